@@ -0,0 +1,90 @@
+// User accounts: password hashing and session tokens. Passwords are stored as
+// salted scrypt hashes; sessions are random tokens of which only a hash is
+// kept, like seat tokens.
+const crypto = require('crypto');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+const KEY_LENGTH = 64;
+
+const DEFAULT_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const USERNAME_RULE = 'Username must be 3 to 32 letters, digits, dots, dashes or underscores';
+const PASSWORD_RULE = `Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`;
+
+// Returns an error message, or null if the username can be registered
+function validateUsername(username) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        return USERNAME_RULE;
+    }
+    return null;
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+        return PASSWORD_RULE;
+    }
+    return null;
+}
+
+// Calls back with "scrypt$<salt>$<hash>", hex encoded
+function hashPassword(password, callback) {
+    const salt = crypto.randomBytes(16);
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, key) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, `scrypt$${salt.toString('hex')}$${key.toString('hex')}`);
+    });
+}
+
+// Calls back with whether the password matches a stored hash
+function verifyPassword(password, stored, callback) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return callback(null, false);
+    }
+    crypto.scrypt(String(password), Buffer.from(salt, 'hex'), KEY_LENGTH, (err, key) => {
+        if (err) {
+            return callback(err);
+        }
+        const expected = Buffer.from(hash, 'hex');
+        callback(null, expected.length === key.length && crypto.timingSafeEqual(expected, key));
+    });
+}
+
+function createSessionToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashSessionToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Session tokens travel as "Authorization: Bearer <token>"
+function tokenFromRequest(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+}
+
+// How long a session lasts, read from the environment on every call
+function sessionTtlMs() {
+    return parseInt(process.env.SESSION_TTL_MS) || DEFAULT_SESSION_TTL_MS;
+}
+
+module.exports = {
+    USERNAME_PATTERN,
+    USERNAME_RULE,
+    MIN_PASSWORD_LENGTH,
+    MAX_PASSWORD_LENGTH,
+    PASSWORD_RULE,
+    validateUsername,
+    validatePassword,
+    hashPassword,
+    verifyPassword,
+    createSessionToken,
+    hashSessionToken,
+    tokenFromRequest,
+    sessionTtlMs
+};
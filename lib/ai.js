@@ -0,0 +1,199 @@
+// Computer opponent
+const {
+    DEFAULT_WIN_LENGTH,
+    boardSizeOf,
+    winsAt,
+    otherPlayer,
+    availablePositions
+} = require('./game');
+
+const DIFFICULTIES = ['easy', 'medium', 'perfect'];
+
+// Chance that the medium player makes a random move instead of the best one
+const MEDIUM_MISTAKE_RATE = 0.4;
+
+// Positions with at most this many empty cells are searched to the end, which
+// makes the classic 3x3 game truly perfect. Larger boards are searched a few
+// plies deep and the leaves are scored heuristically.
+const EXHAUSTIVE_LIMIT = 9;
+const SEARCH_DEPTH = 2;
+
+// Larger than any heuristic score, so a forced win always beats a good position
+const WIN_SCORE = 1e9;
+
+// Empty cells next to an existing mark; far-away cells are never worth
+// considering on big boards and would blow up the search.
+function candidateMoves(board) {
+    const size = boardSizeOf(board);
+    const empty = availablePositions(board);
+    if (empty.length === board.length) {
+        return [Math.floor(size / 2) * size + Math.floor(size / 2)];
+    }
+
+    const near = empty.filter(position => {
+        const row = Math.floor(position / size);
+        const col = position % size;
+        for (let r = row - 1; r <= row + 1; r++) {
+            for (let c = col - 1; c <= col + 1; c++) {
+                if (r >= 0 && r < size && c >= 0 && c < size && board[r * size + c] !== '') {
+                    return true;
+                }
+            }
+        }
+        return false;
+    });
+    return near.length > 0 ? near : empty;
+}
+
+// An exhaustive search has to look at every cell to stay perfect
+function movesToSearch(board, maxDepth) {
+    return maxDepth === Infinity ? availablePositions(board) : candidateMoves(board);
+}
+
+// Scores every line segment of `winLength` cells that only one side occupies;
+// the more marks in a segment, the closer that side is to completing it.
+function evaluate(board, player, winLength) {
+    const size = boardSizeOf(board);
+    const directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+    let score = 0;
+
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            for (const [dRow, dCol] of directions) {
+                const endRow = row + dRow * (winLength - 1);
+                const endCol = col + dCol * (winLength - 1);
+                if (endRow >= size || endCol < 0 || endCol >= size) {
+                    continue;
+                }
+
+                let mine = 0;
+                let theirs = 0;
+                for (let i = 0; i < winLength; i++) {
+                    const cell = board[(row + dRow * i) * size + col + dCol * i];
+                    if (cell === player) {
+                        mine++;
+                    } else if (cell !== '') {
+                        theirs++;
+                    }
+                }
+
+                if (mine > 0 && theirs === 0) {
+                    score += Math.pow(10, mine);
+                } else if (theirs > 0 && mine === 0) {
+                    score -= Math.pow(10, theirs);
+                }
+            }
+        }
+    }
+    return score;
+}
+
+// Negamax with alpha-beta pruning, scored for `player`, who is about to move.
+// Faster wins and slower losses score higher so the computer doesn't toy with
+// the opponent or give up early.
+function search(board, player, lastMove, depth, maxDepth, alpha, beta, winLength) {
+    if (lastMove !== null && winsAt(board, lastMove, winLength)) {
+        // The previous move won, so the side to move has lost
+        return depth - WIN_SCORE;
+    }
+
+    const moves = movesToSearch(board, maxDepth);
+    if (moves.length === 0) {
+        return 0;
+    }
+    if (depth >= maxDepth) {
+        return evaluate(board, player, winLength);
+    }
+
+    let best = -Infinity;
+    for (const position of moves) {
+        board[position] = player;
+        const score = -search(board, otherPlayer(player), position, depth + 1, maxDepth, -beta, -alpha, winLength);
+        board[position] = '';
+
+        if (score > best) {
+            best = score;
+        }
+        if (best > alpha) {
+            alpha = best;
+        }
+        if (alpha >= beta) {
+            break;
+        }
+    }
+    return best;
+}
+
+// The `limit` moves that look best straight after being played, for
+// searching fewer moves when time matters more than strength
+function mostPromising(board, player, moves, limit, winLength) {
+    if (moves.length <= limit) {
+        return moves;
+    }
+    return moves
+        .map(position => {
+            board[position] = player;
+            const score = winsAt(board, position, winLength) ? WIN_SCORE : evaluate(board, player, winLength);
+            board[position] = '';
+            return { position, score };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(entry => entry.position);
+}
+
+// `maxCandidates` caps how many moves a depth-limited search looks at on
+// the first ply; positions searched to the end always look at every move
+function bestMove(board, player, winLength = DEFAULT_WIN_LENGTH, maxCandidates = Infinity) {
+    const scratch = board.slice();
+    const maxDepth = availablePositions(scratch).length <= EXHAUSTIVE_LIMIT ? Infinity : SEARCH_DEPTH;
+    let bestScore = -Infinity;
+    let candidates = [];
+
+    let moves = movesToSearch(scratch, maxDepth);
+    if (maxDepth !== Infinity) {
+        moves = mostPromising(scratch, player, moves, maxCandidates, winLength);
+    }
+
+    for (const position of moves) {
+        scratch[position] = player;
+        const score = -search(scratch, otherPlayer(player), position, 1, maxDepth, -Infinity, Infinity, winLength);
+        scratch[position] = '';
+
+        if (score > bestScore) {
+            bestScore = score;
+            candidates = [position];
+        } else if (score === bestScore) {
+            candidates.push(position);
+        }
+    }
+
+    return randomChoice(candidates);
+}
+
+function randomChoice(positions) {
+    if (positions.length === 0) {
+        return null;
+    }
+    return positions[Math.floor(Math.random() * positions.length)];
+}
+
+function chooseMove(board, player, difficulty, winLength = DEFAULT_WIN_LENGTH) {
+    switch (difficulty) {
+        case 'easy':
+            return randomChoice(availablePositions(board));
+        case 'medium':
+            if (Math.random() < MEDIUM_MISTAKE_RATE) {
+                return randomChoice(availablePositions(board));
+            }
+            return bestMove(board, player, winLength);
+        default:
+            return bestMove(board, player, winLength);
+    }
+}
+
+module.exports = {
+    DIFFICULTIES,
+    chooseMove,
+    bestMove
+};
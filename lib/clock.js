@@ -0,0 +1,70 @@
+// Time controls. A game can give each side a clock that gains an increment
+// after every move ({ initialSeconds, incrementSeconds }), or a fixed time for
+// every move ({ secondsPerMove }). Clocks are kept in milliseconds.
+const MAX_INITIAL_SECONDS = 2 * 60 * 60;
+const MAX_INCREMENT_SECONDS = 60;
+const MAX_SECONDS_PER_MOVE = 60 * 60;
+
+function inRange(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Returns { error }, or { timeControl } in its stored form (null for none)
+function parseTimeControl(option) {
+    if (option === undefined || option === null) {
+        return { timeControl: null };
+    }
+    if (typeof option !== 'object' || Array.isArray(option)) {
+        return { error: 'Invalid time control' };
+    }
+
+    if (option.secondsPerMove !== undefined) {
+        if (option.initialSeconds !== undefined || option.incrementSeconds !== undefined) {
+            return { error: 'Use either secondsPerMove or initialSeconds with incrementSeconds' };
+        }
+        if (!inRange(option.secondsPerMove, 1, MAX_SECONDS_PER_MOVE)) {
+            return { error: `secondsPerMove must be between 1 and ${MAX_SECONDS_PER_MOVE}` };
+        }
+        return { timeControl: { secondsPerMove: option.secondsPerMove } };
+    }
+
+    const incrementSeconds = option.incrementSeconds === undefined ? 0 : option.incrementSeconds;
+    if (!inRange(option.initialSeconds, 1, MAX_INITIAL_SECONDS)) {
+        return { error: `initialSeconds must be between 1 and ${MAX_INITIAL_SECONDS}` };
+    }
+    if (!inRange(incrementSeconds, 0, MAX_INCREMENT_SECONDS)) {
+        return { error: `incrementSeconds must be between 0 and ${MAX_INCREMENT_SECONDS}` };
+    }
+    return { timeControl: { initialSeconds: option.initialSeconds, incrementSeconds } };
+}
+
+// Each side's time before the first move
+function initialClocks(timeControl) {
+    const ms = (timeControl.secondsPerMove || timeControl.initialSeconds) * 1000;
+    return { X: ms, O: ms };
+}
+
+// Time `player` has left when `elapsed` ms of their turn have gone by
+function remaining(clocks, player, elapsed) {
+    return Math.max(0, clocks[player] - elapsed);
+}
+
+// Clocks after `player` moves `elapsed` ms into their turn: their time is
+// charged and the increment added, or reset for the next move
+function afterMove(timeControl, clocks, player, elapsed) {
+    const next = { ...clocks };
+    next[player] = timeControl.secondsPerMove
+        ? timeControl.secondsPerMove * 1000
+        : remaining(clocks, player, elapsed) + timeControl.incrementSeconds * 1000;
+    return next;
+}
+
+module.exports = {
+    MAX_INITIAL_SECONDS,
+    MAX_INCREMENT_SECONDS,
+    MAX_SECONDS_PER_MOVE,
+    parseTimeControl,
+    initialClocks,
+    remaining,
+    afterMove
+};
@@ -0,0 +1,159 @@
+// The API documentation page at /api/docs, rendered on the server from the
+// OpenAPI document. The Content-Security-Policy allows no inline scripts or
+// styles, so the page is plain HTML with public/docs.css for looks.
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (ch) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+})[ch]);
+
+// A parameter's schema in a few words, e.g. "integer, 1 to 100"
+function describeSchema(schema) {
+    const parts = [[].concat(schema.type || 'any').join(' or ')];
+    if (schema.enum) {
+        parts.push(`one of ${schema.enum.map(value => JSON.stringify(value)).join(', ')}`);
+    }
+    if (schema.minimum !== undefined && schema.maximum !== undefined) {
+        parts.push(`${schema.minimum} to ${schema.maximum}`);
+    } else if (schema.minimum !== undefined) {
+        parts.push(`at least ${schema.minimum}`);
+    } else if (schema.maximum !== undefined) {
+        parts.push(`at most ${schema.maximum}`);
+    }
+    if (schema.pattern) {
+        parts.push(`matching ${schema.pattern}`);
+    }
+    return parts.join(', ');
+}
+
+// Parameters that are $refs to the document's shared ones
+function resolve(spec, item) {
+    if (!item.$ref) {
+        return item;
+    }
+    return item.$ref.split('/').slice(1).reduce((node, key) => node[key], spec);
+}
+
+function anchor(method, path) {
+    return `${method}-${path}`.replace(/[^A-Za-z0-9]+/g, '-');
+}
+
+function renderParameters(spec, operation) {
+    if (!operation.parameters) {
+        return '';
+    }
+    const rows = operation.parameters.map(item => resolve(spec, item)).map(parameter => `
+                <tr>
+                    <td><code>${escapeHtml(parameter.name)}</code></td>
+                    <td>${escapeHtml(parameter.in)}</td>
+                    <td>${escapeHtml(describeSchema(parameter.schema))}</td>
+                    <td>${parameter.required ? 'yes' : 'no'}</td>
+                    <td>${escapeHtml(parameter.description || parameter.schema.description || '')}</td>
+                </tr>`).join('');
+    return `
+            <h4>Parameters</h4>
+            <table>
+                <tr><th>Name</th><th>In</th><th>Type</th><th>Required</th><th>Notes</th></tr>${rows}
+            </table>`;
+}
+
+function renderBody(operation) {
+    if (!operation.requestBody) {
+        return '';
+    }
+    return Object.entries(operation.requestBody.content).map(([type, media]) => `
+            <h4>Body (<code>${escapeHtml(type)}</code>)</h4>
+            <pre>${escapeHtml(JSON.stringify(media.schema, null, 2))}</pre>`).join('');
+}
+
+function renderResponses(operation) {
+    const rows = Object.entries(operation.responses).map(([status, response]) => {
+        const description = response.$ref ? 'Error envelope, see the Error schema' : response.description;
+        return `<li><strong>${escapeHtml(status)}</strong> ${escapeHtml(description)}</li>`;
+    }).join('');
+    return `
+            <h4>Responses</h4>
+            <ul>${rows}</ul>`;
+}
+
+function renderSecurity(spec, operation) {
+    if (!operation.security) {
+        return '';
+    }
+    const names = operation.security.map(requirement => {
+        const schemes = Object.keys(requirement);
+        if (schemes.length === 0) {
+            return 'none';
+        }
+        return schemes.map(name => {
+            const scheme = spec.components.securitySchemes[name];
+            return scheme.type === 'http' ? 'Authorization: Bearer' : scheme.name;
+        }).join(' and ');
+    });
+    return `<p class="auth">Credentials: ${escapeHtml(names.join(' or '))}</p>`;
+}
+
+function renderOperation(spec, path, method, operation) {
+    return `
+        <section class="operation" id="${anchor(method, path)}">
+            <h3><span class="method ${escapeHtml(method)}">${escapeHtml(method.toUpperCase())}</span> <code>${escapeHtml(path)}</code></h3>
+            <p>${escapeHtml(operation.summary)}</p>
+            ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+            ${renderSecurity(spec, operation)}${renderParameters(spec, operation)}${renderBody(operation)}${renderResponses(operation)}
+        </section>`;
+}
+
+// The page for a whole OpenAPI document, grouped by tag
+function renderDocs(spec) {
+    const operations = [];
+    for (const [path, methods] of Object.entries(spec.paths)) {
+        for (const [method, operation] of Object.entries(methods)) {
+            operations.push({ path, method, operation });
+        }
+    }
+
+    const groups = spec.tags.map(tag => {
+        const tagged = operations.filter(({ operation }) => operation.tags.includes(tag.name));
+        const contents = tagged.map(({ path, method, operation }) =>
+            `<li><a href="#${anchor(method, path)}">${escapeHtml(method.toUpperCase())} ${escapeHtml(path)}</a></li>`).join('');
+        return {
+            toc: `<li>${escapeHtml(tag.name)}<ul>${contents}</ul></li>`,
+            body: `
+        <h2>${escapeHtml(tag.name)}</h2>${tagged.map(({ path, method, operation }) => renderOperation(spec, path, method, operation)).join('')}`
+        };
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(spec.info.title)} ${escapeHtml(spec.info.version)}</title>
+    <link rel="stylesheet" href="/docs.css">
+</head>
+<body>
+    <header>
+        <h1>${escapeHtml(spec.info.title)} <small>${escapeHtml(spec.info.version)}</small></h1>
+        <p>${escapeHtml(spec.info.description)}</p>
+        <p>Machine-readable: <a href="/api/openapi.json">/api/openapi.json</a> (OpenAPI ${escapeHtml(spec.openapi)})</p>
+    </header>
+    <nav>
+        <ul>${groups.map(group => group.toc).join('')}</ul>
+    </nav>
+    <main>${groups.map(group => group.body).join('')}
+        <h2>Schemas</h2>${Object.entries(spec.components.schemas).map(([name, schema]) => `
+        <section class="schema" id="schema-${escapeHtml(name)}">
+            <h3>${escapeHtml(name)}</h3>
+            <pre>${escapeHtml(JSON.stringify(schema, null, 2))}</pre>
+        </section>`).join('')}
+    </main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderDocs
+};
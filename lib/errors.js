@@ -0,0 +1,42 @@
+// API errors are answered as { error: { code, message, details } }. The code
+// is for programs and stays the same between releases; the message is for
+// people. Invalid requests list what is wrong in `details`, one
+// { location, field, message } per problem.
+
+// Codes for errors that don't have a more specific one
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    422: 'UNPROCESSABLE',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+// The response body for a { status, error, code, details } rejection
+function errorBody(rejection) {
+    const body = {
+        code: rejection.code || STATUS_CODES[rejection.status] || (rejection.status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST'),
+        message: rejection.error
+    };
+    if (rejection.details && rejection.details.length > 0) {
+        body.details = rejection.details;
+    }
+    return { error: body };
+}
+
+// A 400 rejection for one bad field
+function invalidField(location, field, message) {
+    return { status: 400, code: 'VALIDATION_FAILED', error: message, details: [{ location, field, message }] };
+}
+
+module.exports = {
+    STATUS_CODES,
+    errorBody,
+    invalidField
+};
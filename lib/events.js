@@ -0,0 +1,73 @@
+// Server-sent event channels, one per game id
+const HEARTBEAT_INTERVAL = 25000;
+
+const channels = new Map();
+
+function send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function subscriberCount(gameId) {
+    const channel = channels.get(gameId);
+    return channel ? channel.size : 0;
+}
+
+// Turn an HTTP response into an event stream for a game
+function subscribe(gameId, req, res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Stop nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    if (!channels.has(gameId)) {
+        channels.set(gameId, new Set());
+    }
+    channels.get(gameId).add(res);
+
+    // Comment lines keep idle connections open through proxies
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const channel = channels.get(gameId);
+        if (channel) {
+            channel.delete(res);
+            if (channel.size === 0) {
+                channels.delete(gameId);
+            }
+        }
+    });
+}
+
+function publish(gameId, event, data) {
+    const channel = channels.get(gameId);
+    if (!channel) {
+        return;
+    }
+    for (const res of channel) {
+        send(res, event, data);
+    }
+}
+
+// End every open stream, e.g. on shutdown so server.close() can finish
+function closeAll() {
+    for (const channel of channels.values()) {
+        for (const res of channel) {
+            res.end();
+        }
+    }
+    channels.clear();
+}
+
+module.exports = {
+    send,
+    subscribe,
+    publish,
+    subscriberCount,
+    closeAll
+};
@@ -0,0 +1,118 @@
+// Game rules shared by the API routes and the computer opponent.
+// Boards are flat arrays of size * size cells, read row by row.
+const MIN_BOARD_SIZE = 3;
+const MAX_BOARD_SIZE = 15;
+const MIN_WIN_LENGTH = 3;
+const MAX_WIN_LENGTH = 5;
+const DEFAULT_BOARD_SIZE = 3;
+const DEFAULT_WIN_LENGTH = 3;
+
+// Row/column steps for horizontal, vertical and both diagonal lines
+const directions = [
+    [0, 1], [1, 0], [1, 1], [1, -1]
+];
+
+function boardSizeOf(board) {
+    return Math.round(Math.sqrt(board.length));
+}
+
+function createBoard(size = DEFAULT_BOARD_SIZE) {
+    return Array(size * size).fill('');
+}
+
+// Count matching marks running away from (row, col) in one direction
+function countRun(board, size, row, col, dRow, dCol, player) {
+    let count = 0;
+    let r = row + dRow;
+    let c = col + dCol;
+    while (r >= 0 && r < size && c >= 0 && c < size && board[r * size + c] === player) {
+        count++;
+        r += dRow;
+        c += dCol;
+    }
+    return count;
+}
+
+// Whether the mark at `position` completes a line of `winLength`
+function winsAt(board, position, winLength = DEFAULT_WIN_LENGTH) {
+    const player = board[position];
+    if (!player) {
+        return false;
+    }
+    const size = boardSizeOf(board);
+    const row = Math.floor(position / size);
+    const col = position % size;
+
+    return directions.some(([dRow, dCol]) =>
+        1 + countRun(board, size, row, col, dRow, dCol, player) +
+            countRun(board, size, row, col, -dRow, -dCol, player) >= winLength
+    );
+}
+
+function checkWinner(board, winLength = DEFAULT_WIN_LENGTH) {
+    for (let position = 0; position < board.length; position++) {
+        if (winsAt(board, position, winLength)) {
+            return board[position];
+        }
+    }
+    return null;
+}
+
+function checkForDraw(board) {
+    return board.every(cell => cell !== '');
+}
+
+function otherPlayer(player) {
+    return player === 'X' ? 'O' : 'X';
+}
+
+function availablePositions(board) {
+    const positions = [];
+    board.forEach((cell, index) => {
+        if (cell === '') {
+            positions.push(index);
+        }
+    });
+    return positions;
+}
+
+// Rebuild a board from its moves ({ player, position }, oldest first)
+function replayMoves(size, moves) {
+    const board = createBoard(size);
+    moves.forEach(move => {
+        board[move.position] = move.player;
+    });
+    return board;
+}
+
+// Returns an error message for an unsupported size/win length pair, or null
+function validateDimensions(boardSize, winLength) {
+    if (!Number.isInteger(boardSize) || boardSize < MIN_BOARD_SIZE || boardSize > MAX_BOARD_SIZE) {
+        return `Board size must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}`;
+    }
+    if (!Number.isInteger(winLength) || winLength < MIN_WIN_LENGTH || winLength > MAX_WIN_LENGTH) {
+        return `Win length must be between ${MIN_WIN_LENGTH} and ${MAX_WIN_LENGTH}`;
+    }
+    if (winLength > boardSize) {
+        return 'Win length cannot exceed board size';
+    }
+    return null;
+}
+
+module.exports = {
+    MIN_BOARD_SIZE,
+    MAX_BOARD_SIZE,
+    MIN_WIN_LENGTH,
+    MAX_WIN_LENGTH,
+    DEFAULT_BOARD_SIZE,
+    DEFAULT_WIN_LENGTH,
+    boardSizeOf,
+    createBoard,
+    winsAt,
+    checkWinner,
+    checkForDraw,
+    otherPlayer,
+    availablePositions,
+    replayMoves,
+    validateDimensions
+};
@@ -0,0 +1,51 @@
+// Idempotency keys let a client retry a request without doing it twice. The
+// first response for a key is kept for a while and replayed to retries; a key
+// only ever stands for one request, recognised by a hash of its body.
+const crypto = require('crypto');
+
+// Visible ASCII, as a UUID or any other token a client might pick
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+// A claim still without a response after this long was left by a request
+// that never finished, e.g. when the server stopped; a retry may take it over
+const DEFAULT_PENDING_MS = 30 * 1000;
+
+function isValidKey(key) {
+    return KEY_PATTERN.test(key);
+}
+
+function requestHash(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body === undefined ? null : body)).digest('hex');
+}
+
+// Who a key belongs to: the signed-in user, else the seat the request acts
+// for, else the client's address. Keys are never shared between callers, so
+// one caller can't be replayed another's response and the seat token in it.
+// Seat tokens are kept only as a hash.
+function callerOf({ userId, seatToken, ip }) {
+    if (userId !== undefined && userId !== null) {
+        return `user:${userId}`;
+    }
+    if (seatToken) {
+        return `seat:${crypto.createHash('sha256').update(seatToken).digest('hex')}`;
+    }
+    return `ip:${ip}`;
+}
+
+// How long responses are kept, read from the environment on every call
+function retentionMs() {
+    return parseInt(process.env.IDEMPOTENCY_RETENTION_MS) || DEFAULT_RETENTION_MS;
+}
+
+function pendingMs() {
+    return parseInt(process.env.IDEMPOTENCY_PENDING_MS) || DEFAULT_PENDING_MS;
+}
+
+module.exports = {
+    isValidKey,
+    requestHash,
+    callerOf,
+    retentionMs,
+    pendingMs
+};
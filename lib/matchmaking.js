@@ -0,0 +1,176 @@
+// Matchmaking queue. Tickets live in memory, so each server instance keeps
+// its own queue; players are only paired with others on the same instance.
+const { v4: uuidv4 } = require('uuid');
+
+// Rating gap accepted straight away, widened the longer a player waits
+const BASE_RATING_WINDOW = 100;
+const RATING_WINDOW_GROWTH = 50; // per WINDOW_STEP waited
+const WINDOW_STEP = 5000;
+
+// Finished tickets are kept this long so both players can pick up their seat
+const TICKET_TTL = 5 * 60 * 1000;
+
+// A waiting player polls every few seconds; one who has not polled for this
+// long has closed the page and is not paired with anyone
+const POLL_GRACE = 20000;
+
+const tickets = new Map();
+
+function timeoutMs() {
+    return parseInt(process.env.MATCHMAKING_TIMEOUT_MS) || 30000;
+}
+
+function ratingWindow(ticket, now) {
+    return BASE_RATING_WINDOW + Math.floor((now - ticket.joinedAt) / WINDOW_STEP) * RATING_WINDOW_GROWTH;
+}
+
+function isAbandoned(ticket, now) {
+    return ticket.status === 'waiting' && now - ticket.polledAt > POLL_GRACE;
+}
+
+// Drop tickets whose outcome nobody came back for, and waiting tickets
+// nobody is polling any more
+function sweep(now) {
+    for (const [id, ticket] of tickets) {
+        if (isAbandoned(ticket, now) || (ticket.status !== 'waiting' && now - ticket.updatedAt > TICKET_TTL)) {
+            tickets.delete(id);
+        }
+    }
+}
+
+function enqueue(playerName, playerRating, options) {
+    const now = Date.now();
+    sweep(now);
+
+    const ticket = {
+        id: uuidv4(),
+        playerName,
+        rating: playerRating,
+        boardSize: options.boardSize,
+        winLength: options.winLength,
+        // What to do on timeout: 'computer' starts a game against the computer
+        fallback: options.fallback,
+        // Hash of the token only the player who queued was given; it is
+        // needed to poll or cancel the ticket
+        tokenHash: options.tokenHash,
+        // The signed-in user who queued, if any; their match is theirs
+        owner: options.owner || null,
+        status: 'waiting',
+        joinedAt: now,
+        updatedAt: now,
+        polledAt: now,
+        match: null
+    };
+    tickets.set(ticket.id, ticket);
+    return ticket;
+}
+
+function get(ticketId) {
+    return tickets.get(ticketId) || null;
+}
+
+// The player is still there; called on every poll of the ticket
+function touch(ticket) {
+    ticket.polledAt = Date.now();
+}
+
+// A player only ever holds one waiting ticket
+function findWaiting(playerName) {
+    sweep(Date.now());
+    for (const ticket of tickets.values()) {
+        if (ticket.status === 'waiting' && ticket.playerName === playerName) {
+            return ticket;
+        }
+    }
+    return null;
+}
+
+// The longest-waiting compatible ticket: same variant, and a rating gap both
+// players' windows accept. Players who stopped polling are swept first, and
+// those who have timed out are left for the fallback. The pair is taken out of the queue
+// straight away so no concurrent request can grab either of them.
+function findOpponent(ticket) {
+    const now = Date.now();
+    sweep(now);
+    let best = null;
+
+    for (const other of tickets.values()) {
+        if (other === ticket || other.status !== 'waiting' || other.playerName === ticket.playerName) {
+            continue;
+        }
+        if (hasTimedOut(other)) {
+            continue;
+        }
+        if (other.boardSize !== ticket.boardSize || other.winLength !== ticket.winLength) {
+            continue;
+        }
+        const gap = Math.abs(other.rating - ticket.rating);
+        if (gap > ratingWindow(ticket, now) || gap > ratingWindow(other, now)) {
+            continue;
+        }
+        if (!best || other.joinedAt < best.joinedAt) {
+            best = other;
+        }
+    }
+
+    if (best) {
+        ticket.status = best.status = 'pairing';
+        ticket.updatedAt = best.updatedAt = now;
+    }
+    return best;
+}
+
+// Waiting tickets past the timeout are handed back for the computer fallback
+function hasTimedOut(ticket) {
+    return ticket.status === 'waiting' && Date.now() - ticket.joinedAt >= timeoutMs();
+}
+
+function markPairing(ticket) {
+    ticket.status = 'pairing';
+    ticket.updatedAt = Date.now();
+}
+
+function markMatched(ticket, match) {
+    ticket.status = 'matched';
+    ticket.match = match;
+    ticket.updatedAt = Date.now();
+}
+
+function markTimedOut(ticket) {
+    ticket.status = 'timed_out';
+    ticket.updatedAt = Date.now();
+}
+
+// Put a ticket back in the queue after pairing failed
+function requeue(ticket) {
+    ticket.status = 'waiting';
+    ticket.updatedAt = Date.now();
+}
+
+function cancel(ticketId) {
+    const ticket = tickets.get(ticketId);
+    if (!ticket || ticket.status !== 'waiting') {
+        return false;
+    }
+    tickets.delete(ticketId);
+    return true;
+}
+
+function clear() {
+    tickets.clear();
+}
+
+module.exports = {
+    enqueue,
+    get,
+    touch,
+    findWaiting,
+    findOpponent,
+    hasTimedOut,
+    markPairing,
+    markMatched,
+    markTimedOut,
+    requeue,
+    cancel,
+    clear
+};
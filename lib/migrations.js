@@ -0,0 +1,193 @@
+// Numbered schema migrations. Each file in migrations/ is named like
+// 003_board_sizes.js and exports { description, steps }, where a step is an
+// SQL statement or an addColumn(). Applied versions are recorded in the
+// schema_migrations table, and migrations only ever run forward.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// How long to wait for another process migrating the same database file
+const LOCK_TIMEOUT = 30000;
+
+// A column to add unless the table already has it. Databases from before
+// migrations existed grew their columns at startup, so any of them may be there.
+function addColumn(table, column, definition) {
+    return { table, column, definition };
+}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .filter(file => /^\d+_\w+\.js$/.test(file))
+        .map(file => ({
+            version: parseInt(file, 10),
+            name: file.replace(/^\d+_|\.js$/g, ''),
+            ...require(path.join(dir, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migration.version === migrations[index - 1].version) {
+            throw new Error(`Two migrations are numbered ${migration.version}`);
+        }
+    });
+    return migrations;
+}
+
+// Run `fn(item, done)` for each item in turn, stopping at the first error
+function eachSeries(items, fn, callback) {
+    const next = (index) => {
+        if (index === items.length) {
+            return callback(null);
+        }
+        fn(items[index], (err) => (err ? callback(err) : next(index + 1)));
+    };
+    next(0);
+}
+
+// Versions recorded in the database; none before the first migration
+function appliedMigrations(db, callback) {
+    db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version', (err, rows) => {
+        if (err && /no such table/.test(err.message)) {
+            return callback(null, []);
+        }
+        callback(err, rows);
+    });
+}
+
+// SQL a step would run against the database as it is now, or null if there
+// is nothing to do
+function planStep(db, step, callback) {
+    if (typeof step === 'string') {
+        return callback(null, step);
+    }
+    db.all(`PRAGMA table_info(${step.table})`, (err, columns) => {
+        if (err) {
+            return callback(err);
+        }
+        const exists = columns.some(column => column.name === step.column);
+        callback(null, exists ? null : `ALTER TABLE ${step.table} ADD COLUMN ${step.column} ${step.definition}`);
+    });
+}
+
+// Where the database stands: { current, applied, pending, unknown }. Unknown
+// versions were applied by newer code than this.
+function status(db, migrations, callback) {
+    appliedMigrations(db, (err, applied) => {
+        if (err) {
+            return callback(err);
+        }
+        const done = new Set(applied.map(row => row.version));
+        const known = new Set(migrations.map(migration => migration.version));
+        callback(null, {
+            current: applied.length ? applied[applied.length - 1].version : 0,
+            applied: applied.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+            pending: migrations
+                .filter(migration => !done.has(migration.version))
+                .map(({ version, name, description }) => ({ version, name, description })),
+            unknown: applied.filter(row => !known.has(row.version)).map(row => row.version)
+        });
+    });
+}
+
+// List the statements each pending migration would run, changing nothing
+function dryRun(db, migrations, callback) {
+    status(db, migrations, (err, current) => {
+        if (err) {
+            return callback(err);
+        }
+        const pending = migrations.filter(migration => current.pending.some(p => p.version === migration.version));
+        const plan = [];
+        eachSeries(pending, (migration, done) => {
+            const statements = [];
+            eachSeries(migration.steps, (step, stepDone) => {
+                planStep(db, step, (err, sql) => {
+                    if (sql) {
+                        statements.push(sql);
+                    }
+                    stepDone(err);
+                });
+            }, (err) => {
+                plan.push({ version: migration.version, name: migration.name, statements });
+                done(err);
+            });
+        }, (err) => callback(err, err ? undefined : { current: current.current, pending: plan }));
+    });
+}
+
+function runMigration(db, migration, callback) {
+    eachSeries(migration.steps, (step, done) => {
+        planStep(db, step, (err, sql) => {
+            if (err || !sql) {
+                return done(err);
+            }
+            db.run(sql, done);
+        });
+    }, (err) => {
+        if (err) {
+            return callback(new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`));
+        }
+        db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name], callback);
+    });
+}
+
+// Apply every pending migration in one transaction. BEGIN IMMEDIATE takes the
+// database's write lock, so when several servers start against the same file
+// one migrates and the others wait, then find nothing left to do. Calls back
+// with { current, applied }.
+function migrate(db, migrations, callback) {
+    db.configure('busyTimeout', LOCK_TIMEOUT);
+    db.run('BEGIN IMMEDIATE', (err) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const fail = (err) => db.run('ROLLBACK', () => callback(err));
+        db.run(
+            `CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+            (err) => {
+                if (err) {
+                    return fail(err);
+                }
+
+                // Read the versions under the lock, after any other server has finished
+                appliedMigrations(db, (err, rows) => {
+                    if (err) {
+                        return fail(err);
+                    }
+                    const done = new Set(rows.map(row => row.version));
+                    const pending = migrations.filter(migration => !done.has(migration.version));
+
+                    eachSeries(pending, (migration, next) => runMigration(db, migration, next), (err) => {
+                        if (err) {
+                            return fail(err);
+                        }
+                        db.run('COMMIT', (err) => {
+                            if (err) {
+                                return fail(err);
+                            }
+                            const versions = rows.map(row => row.version).concat(pending.map(m => m.version));
+                            callback(null, {
+                                current: versions.length ? Math.max(...versions) : 0,
+                                applied: pending.map(({ version, name }) => ({ version, name }))
+                            });
+                        });
+                    });
+                });
+            }
+        );
+    });
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    addColumn,
+    loadMigrations,
+    status,
+    dryRun,
+    migrate
+};
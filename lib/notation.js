@@ -0,0 +1,249 @@
+// Portable game notation, modelled on chess PGN:
+//
+//   [Event "TicTacToe"]
+//   [Date "2024.05.01"]
+//   [Time "13:45:10"]
+//   [X "Alice"]
+//   [O "Bob"]
+//   [Variant "3x3, 3 in a row"]
+//   [Result "1-0"]
+//
+//   1. b2 a1 2. c3 a3 3. a2 1-0
+//
+// Squares are a column letter and a row number, with a1 the top-left cell.
+// Results are 1-0 (X won), 0-1 (O won), 1/2-1/2 (draw) or * (unfinished).
+// Games that ended off the board carry a Termination tag of resignation,
+// agreed_draw or timeout.
+// A file can hold any number of games, one after another.
+const { DEFAULT_BOARD_SIZE, DEFAULT_WIN_LENGTH } = require('./game');
+
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+const TERMINATIONS = ['resignation', 'agreed_draw', 'timeout'];
+const UNKNOWN = '?';
+const COLUMNS = 'abcdefghijklmnopqrstuvwxyz';
+
+function squareName(position, size) {
+    return `${COLUMNS[position % size]}${Math.floor(position / size) + 1}`;
+}
+
+// Board position of a square like "b2", or null if it is not on the board
+function parseSquare(name, size) {
+    const match = /^([a-z])(\d+)$/.exec(name);
+    if (!match) {
+        return null;
+    }
+    const column = COLUMNS.indexOf(match[1]);
+    const row = parseInt(match[2], 10) - 1;
+    if (column >= size || row < 0 || row >= size) {
+        return null;
+    }
+    return row * size + column;
+}
+
+function resultOf(winner, isDraw) {
+    if (winner) {
+        return winner === 'X' ? '1-0' : '0-1';
+    }
+    return isDraw ? '1/2-1/2' : '*';
+}
+
+function variantOf(boardSize, winLength) {
+    return `${boardSize}x${boardSize}, ${winLength} in a row`;
+}
+
+function tag(name, value) {
+    return `[${name} "${String(value).replace(/[\\"]/g, ch => `\\${ch}`)}"]`;
+}
+
+// Write one game. `game` is an API game object, `moves` its moves in order.
+function formatGame(game, moves) {
+    const result = resultOf(game.winner, game.isDraw);
+    // Stored timestamps are "YYYY-MM-DD HH:MM:SS" in UTC
+    const [date, time] = game.createdAt ? game.createdAt.split(' ') : [];
+
+    const lines = [
+        tag('Event', 'TicTacToe'),
+        tag('Id', game.id),
+        tag('Date', date ? date.replace(/-/g, '.') : '????.??.??'),
+        tag('Time', time || '??:??:??'),
+        tag('X', game.players.X || UNKNOWN),
+        tag('O', game.players.O || UNKNOWN),
+        tag('Variant', variantOf(game.boardSize, game.winLength)),
+        tag('Result', result)
+    ];
+    if (TERMINATIONS.includes(game.endReason)) {
+        lines.push(tag('Termination', game.endReason));
+    }
+    if (game.opponent === 'computer') {
+        lines.push(tag('Opponent', 'computer'), tag('Difficulty', game.difficulty), tag('ComputerPlayer', game.computerPlayer));
+    }
+
+    // Move numbers count pairs of moves, as in chess
+    const tokens = [];
+    moves.forEach((move, index) => {
+        if (index % 2 === 0) {
+            tokens.push(`${index / 2 + 1}.`);
+        }
+        tokens.push(squareName(move.position, game.boardSize));
+    });
+    tokens.push(result);
+
+    // Wrap the move text at 80 columns
+    const movetext = [''];
+    tokens.forEach(token => {
+        const line = movetext[movetext.length - 1];
+        if (line && line.length + token.length + 1 > 80) {
+            movetext.push(token);
+        } else {
+            movetext[movetext.length - 1] = line ? `${line} ${token}` : token;
+        }
+    });
+
+    return `${lines.join('\n')}\n\n${movetext.join('\n')}\n`;
+}
+
+// Several games go into one file separated by a blank line
+function formatGames(entries) {
+    return entries.map(({ game, moves }) => formatGame(game, moves)).join('\n');
+}
+
+// Split text into games of { tags, movetext }
+function splitGames(text) {
+    const games = [];
+    let current = null;
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) {
+            continue;
+        }
+
+        const tagMatch = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/.exec(line);
+        // A tag after some move text starts the next game
+        if (!current || (tagMatch && current.movetext)) {
+            current = { tags: {}, movetext: '' };
+            games.push(current);
+        }
+
+        if (tagMatch) {
+            current.tags[tagMatch[1]] = tagMatch[2].replace(/\\(.)/g, '$1');
+        } else {
+            current.movetext += ` ${line}`;
+        }
+    }
+    return games;
+}
+
+// Read the size and win length from a Variant tag like "5x5, 4 in a row"
+function parseVariant(variant) {
+    if (variant === undefined) {
+        return { boardSize: DEFAULT_BOARD_SIZE, winLength: DEFAULT_WIN_LENGTH };
+    }
+    const match = /^(\d+)x(\d+), (\d+) in a row$/.exec(variant);
+    if (!match || match[1] !== match[2]) {
+        return null;
+    }
+    return { boardSize: parseInt(match[1], 10), winLength: parseInt(match[3], 10) };
+}
+
+// Parse one game's tags and move text. Returns { error } or the game with its
+// moves as { player, position }; the moves are not checked against the rules.
+function parseGame({ tags, movetext }) {
+    const variant = parseVariant(tags.Variant);
+    if (!variant) {
+        return { error: `Invalid Variant tag "${tags.Variant}"` };
+    }
+
+    let createdAt = null;
+    if (tags.Date !== undefined && tags.Date !== '????.??.??') {
+        if (!/^\d{4}\.\d{2}\.\d{2}$/.test(tags.Date)) {
+            return { error: `Invalid Date tag "${tags.Date}"` };
+        }
+        const time = /^\d{2}:\d{2}:\d{2}$/.test(tags.Time || '') ? tags.Time : '00:00:00';
+        createdAt = `${tags.Date.replace(/\./g, '-')} ${time}`;
+    }
+
+    const moves = [];
+    let result = null;
+    for (const token of movetext.split(/\s+/)) {
+        // Move numbers may be written apart ("1. b2") or joined ("1.b2")
+        const square = token.replace(/^\d+\.+/, '');
+        if (!square) {
+            continue;
+        }
+        if (result !== null) {
+            return { error: 'Moves found after the result' };
+        }
+        if (RESULTS.includes(square)) {
+            result = square;
+            continue;
+        }
+
+        const position = parseSquare(square, variant.boardSize);
+        if (position === null) {
+            return { error: `Invalid square "${square}"` };
+        }
+        moves.push({ player: moves.length % 2 === 0 ? 'X' : 'O', position });
+    }
+
+    if (tags.Result !== undefined && !RESULTS.includes(tags.Result)) {
+        return { error: `Invalid Result tag "${tags.Result}"` };
+    }
+    if (result !== null && tags.Result !== undefined && result !== tags.Result) {
+        return { error: 'Result tag does not match the move text' };
+    }
+
+    const termination = tags.Termination === undefined ? null : tags.Termination;
+    if (termination !== null && !TERMINATIONS.includes(termination)) {
+        return { error: `Invalid Termination tag "${termination}"` };
+    }
+    const finalResult = result || tags.Result || '*';
+    if (termination !== null && (finalResult === '*' || (termination === 'agreed_draw') !== (finalResult === '1/2-1/2'))) {
+        return { error: 'Termination tag does not match the result' };
+    }
+
+    const named = (name) => (name === undefined || name === UNKNOWN ? null : name);
+    return {
+        id: tags.Id || null,
+        players: { X: named(tags.X), O: named(tags.O) },
+        boardSize: variant.boardSize,
+        winLength: variant.winLength,
+        createdAt,
+        opponent: tags.Opponent || 'human',
+        difficulty: tags.Difficulty || null,
+        computerPlayer: tags.ComputerPlayer || null,
+        result: finalResult,
+        termination,
+        moves
+    };
+}
+
+// Parse a file of one or more games. Returns { error } naming the first bad
+// game, or { games }.
+function parseGames(text) {
+    const chunks = splitGames(text);
+    if (chunks.length === 0) {
+        return { error: 'No games found' };
+    }
+
+    const games = [];
+    for (const [index, chunk] of chunks.entries()) {
+        const game = parseGame(chunk);
+        if (game.error) {
+            return { error: chunks.length > 1 ? `Game ${index + 1}: ${game.error}` : game.error };
+        }
+        games.push(game);
+    }
+    return { games };
+}
+
+module.exports = {
+    RESULTS,
+    TERMINATIONS,
+    squareName,
+    parseSquare,
+    resultOf,
+    formatGame,
+    formatGames,
+    parseGames
+};
@@ -0,0 +1,359 @@
+// The OpenAPI 3.1 description of the API, served at /api/openapi.json. Path
+// parameters, query parameters and request bodies are taken from lib/schemas.js,
+// the schemas requests are validated against, so the description can't drift
+// from what the server accepts. Every route the server registers needs an entry
+// in OPERATIONS; tests/openapi.test.js fails for one that has none.
+const schemas = require('./schemas');
+const { version } = require('../package.json');
+
+// Response bodies shared by several operations
+const COMPONENT_SCHEMAS = {
+    Error: {
+        type: 'object',
+        properties: {
+            error: {
+                type: 'object',
+                properties: {
+                    code: { type: 'string', description: 'Stable code for programs, e.g. VALIDATION_FAILED' },
+                    message: { type: 'string', description: 'Explanation for people; may change' },
+                    details: {
+                        type: 'array',
+                        description: 'What is wrong with an invalid request, one entry per problem',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                location: { type: 'string', enum: ['path', 'query', 'body', 'header'] },
+                                field: { type: 'string' },
+                                message: { type: 'string' }
+                            },
+                            required: ['location', 'field', 'message']
+                        }
+                    }
+                },
+                required: ['code', 'message']
+            }
+        },
+        required: ['error']
+    },
+    Game: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            board: { type: 'array', items: { type: 'string', enum: ['', 'X', 'O'] } },
+            currentPlayer: { type: 'string', enum: ['X', 'O'] },
+            winner: { type: ['string', 'null'], enum: ['X', 'O', null] },
+            isDraw: { type: 'boolean' },
+            boardSize: { type: 'integer' },
+            winLength: { type: 'integer' },
+            opponent: { type: 'string', enum: ['human', 'computer'] },
+            difficulty: { type: ['string', 'null'] },
+            players: {
+                type: 'object',
+                properties: { X: { type: ['string', 'null'] }, O: { type: ['string', 'null'] } }
+            },
+            computerPlayer: { type: ['string', 'null'] },
+            ranked: { type: 'boolean' },
+            allowTakebacks: { type: 'boolean' },
+            hints: { type: 'object', properties: { X: { type: 'integer' }, O: { type: 'integer' } } },
+            timeControl: { type: ['object', 'null'] },
+            endReason: { type: ['string', 'null'] },
+            takebackRequestedBy: { type: ['string', 'null'] },
+            drawOfferedBy: { type: ['string', 'null'] },
+            version: { type: 'integer', description: 'Goes up with every change; send it back as If-Match or expectedVersion' },
+            createdAt: { type: 'string' },
+            updatedAt: { type: 'string' }
+        }
+    },
+    Session: {
+        type: 'object',
+        properties: {
+            user: { $ref: '#/components/schemas/User' },
+            token: { type: 'string', description: 'Goes in Authorization: Bearer {token}' },
+            expiresAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    User: {
+        type: 'object',
+        properties: { id: { type: 'integer' }, username: { type: 'string' } }
+    },
+    Ticket: {
+        type: 'object',
+        properties: {
+            ticketId: { type: 'string' },
+            ticketToken: { type: 'string', description: 'Only in the response that created the ticket' },
+            status: { type: 'string', enum: ['waiting', 'matched', 'timed_out'] },
+            playerName: { type: 'string' },
+            rating: { type: 'integer' },
+            boardSize: { type: 'integer' },
+            winLength: { type: 'integer' },
+            fallback: { type: 'string', enum: ['computer', 'none'] },
+            waitedMs: { type: 'integer' },
+            match: { type: ['object', 'null'] }
+        }
+    }
+};
+
+const SECURITY_SCHEMES = {
+    session: { type: 'http', scheme: 'bearer', description: 'Session token from /api/auth/register or /api/auth/login' },
+    seatToken: { type: 'apiKey', in: 'header', name: 'X-Seat-Token', description: 'Seat token handed out when a game is created or joined' },
+    ticketToken: { type: 'apiKey', in: 'header', name: 'X-Ticket-Token', description: 'Ticket token handed out when joining the matchmaking queue' },
+    adminToken: { type: 'apiKey', in: 'header', name: 'X-Admin-Token', description: 'The ADMIN_TOKEN the server was started with' }
+};
+
+const HEADER_PARAMETERS = {
+    idempotencyKey: {
+        name: 'Idempotency-Key',
+        in: 'header',
+        description: 'Retrying with the same key replays the first response instead of repeating the request',
+        schema: { type: 'string', minLength: 1, maxLength: 255 }
+    },
+    ifMatch: {
+        name: 'If-Match',
+        in: 'header',
+        description: 'The game\'s ETag; the request fails with VERSION_CONFLICT if the game has changed since',
+        schema: { type: 'string' }
+    }
+};
+
+// Who may call an operation, as OpenAPI security requirements
+const SECURITY = {
+    user: [{ session: [] }],
+    optionalUser: [{}, { session: [] }],
+    seat: [{ seatToken: [] }],
+    ticket: [{ ticketToken: [] }],
+    admin: [{ adminToken: [] }]
+};
+
+// Every route, with its Express path and the lib/schemas.js entry it is
+// validated with. `auth`, `headers` and `response` describe the rest.
+const OPERATIONS = [
+    { method: 'get', path: '/health', tag: 'Service', summary: 'Health check',
+        response: { status: 200, description: 'The server is up' } },
+    { method: 'get', path: '/api/openapi.json', tag: 'Service', summary: 'This API description',
+        response: { status: 200, description: 'OpenAPI 3.1 document' } },
+    { method: 'get', path: '/api/docs', tag: 'Service', summary: 'Browsable API documentation',
+        response: { status: 200, description: 'HTML page', type: 'text/html' } },
+
+    { method: 'post', path: '/api/auth/register', schema: 'register', tag: 'Accounts', summary: 'Create an account and start a session',
+        response: { status: 201, description: 'The new session', schema: 'Session' } },
+    { method: 'post', path: '/api/auth/login', schema: 'login', tag: 'Accounts', summary: 'Sign in and start a session',
+        response: { status: 200, description: 'The new session', schema: 'Session' } },
+    { method: 'post', path: '/api/auth/logout', schema: 'logout', tag: 'Accounts', summary: 'End the session the request was made with', auth: 'user',
+        response: { status: 204, description: 'Signed out' } },
+    { method: 'get', path: '/api/auth/me', schema: 'me', tag: 'Accounts', summary: 'The signed-in user', auth: 'user',
+        response: { status: 200, description: 'The user', schema: { type: 'object', properties: { user: { $ref: '#/components/schemas/User' } } } } },
+
+    { method: 'post', path: '/api/games', schema: 'createGame', tag: 'Games', summary: 'Create a game',
+        description: 'Owned by the signed-in user if there is one. The response carries seat tokens for the seats taken.',
+        auth: 'optionalUser', headers: ['idempotencyKey'],
+        response: { status: 201, description: 'The new game', schema: 'Game' } },
+    { method: 'get', path: '/api/games', schema: 'listGames', tag: 'Games', summary: 'List games a page at a time',
+        description: 'Abandoned games are only listed with status=abandoned. mine=true needs a session.', auth: 'optionalUser',
+        response: { status: 200, description: 'A page of games and the cursor for the next one' } },
+    { method: 'get', path: '/api/games/export', schema: 'exportGames', tag: 'Games', summary: 'Download many games in one file', auth: 'optionalUser',
+        response: { status: 200, description: 'Games in PGN-like notation', type: 'text/plain' } },
+    { method: 'post', path: '/api/games/import', schema: 'importGames', tag: 'Games', summary: 'Recreate games from notation',
+        description: 'Every game is checked before any is saved, so a bad file imports nothing.',
+        response: { status: 201, description: 'The imported games', schema: { type: 'object', properties: { imported: { type: 'integer' }, games: { type: 'array', items: { $ref: '#/components/schemas/Game' } } } } } },
+    { method: 'get', path: '/api/games/:id', schema: 'getGame', tag: 'Games', summary: 'Get a game',
+        response: { status: 200, description: 'The game, with its version as the ETag', schema: 'Game' } },
+    { method: 'get', path: '/api/games/:id/moves', schema: 'listMoves', tag: 'Games', summary: 'Ordered moves with the board after each',
+        response: { status: 200, description: 'The moves' } },
+    { method: 'get', path: '/api/games/:id/export', schema: 'exportGame', tag: 'Games', summary: 'Download a game in PGN-like notation',
+        response: { status: 200, description: 'The game in notation', type: 'text/plain' } },
+    { method: 'get', path: '/api/games/:id/events', schema: 'gameEvents', tag: 'Games', summary: 'Live game updates',
+        response: { status: 200, description: 'Server-sent events, starting with the current state', type: 'text/event-stream' } },
+
+    { method: 'post', path: '/api/games/:id/join', schema: 'joinGame', tag: 'Play', summary: 'Take the open seat, or join as a viewer',
+        response: { status: 201, description: 'The seat and its token; 200 with the game for a viewer' } },
+    { method: 'post', path: '/api/games/:id/move', schema: 'move', tag: 'Play', summary: 'Make a move', auth: 'seat',
+        headers: ['ifMatch', 'idempotencyKey'],
+        response: { status: 200, description: 'The board after the move, and the computer\'s reply if any' } },
+    { method: 'post', path: '/api/games/:id/hint', schema: 'hint', tag: 'Play', summary: 'Best move for the side to move',
+        description: 'Counted on the game; a game with hints is not rated.', auth: 'seat',
+        response: { status: 200, description: 'The suggested move' } },
+    { method: 'post', path: '/api/games/:id/takeback', schema: 'takeback', tag: 'Play', summary: 'Take back your last move',
+        description: 'Instant against the computer; otherwise asks the opponent.', auth: 'seat', headers: ['ifMatch'],
+        response: { status: 200, description: 'The board after the takeback; 202 when the opponent was asked' } },
+    { method: 'post', path: '/api/games/:id/takeback/:answer', schema: 'answerTakeback', tag: 'Play', summary: 'Accept or decline the opponent\'s takeback request',
+        auth: 'seat', headers: ['ifMatch'],
+        response: { status: 200, description: 'The board after an accepted takeback, or the declined request' } },
+    { method: 'post', path: '/api/games/:id/resign', schema: 'resign', tag: 'Play', summary: 'Resign; the opponent wins', auth: 'seat', headers: ['ifMatch'],
+        response: { status: 200, description: 'The finished game', schema: 'Game' } },
+    { method: 'post', path: '/api/games/:id/draw', schema: 'offerDraw', tag: 'Play', summary: 'Offer a draw',
+        description: 'The computer answers at once; otherwise asks the opponent.', auth: 'seat', headers: ['ifMatch'],
+        response: { status: 200, description: 'The computer\'s answer; 202 when the opponent was asked' } },
+    { method: 'post', path: '/api/games/:id/draw/:answer', schema: 'answerDraw', tag: 'Play', summary: 'Accept or decline the opponent\'s draw offer',
+        auth: 'seat', headers: ['ifMatch'],
+        response: { status: 200, description: 'The drawn game, or the declined offer' } },
+
+    { method: 'post', path: '/api/analyze', schema: 'analyze', tag: 'Analysis', summary: 'Solve a position',
+        response: { status: 200, description: 'Each move\'s outcome under perfect play and the best move' } },
+    { method: 'get', path: '/api/stats', schema: 'stats', tag: 'Analysis', summary: 'Player statistics',
+        response: { status: 200, description: 'Totals for everyone, or for one player' } },
+    { method: 'get', path: '/api/leaderboard', schema: 'leaderboard', tag: 'Analysis', summary: 'Players by Elo rating',
+        response: { status: 200, description: 'A page of the leaderboard' } },
+
+    { method: 'post', path: '/api/matchmaking', schema: 'joinMatchmaking', tag: 'Matchmaking', summary: 'Queue for an opponent of similar rating',
+        description: 'Only the response that creates a ticket carries its ticketToken; polling or leaving needs it.',
+        response: { status: 201, description: 'The ticket; 202 while still waiting', schema: 'Ticket' } },
+    { method: 'get', path: '/api/matchmaking/:ticketId', schema: 'ticket', tag: 'Matchmaking', summary: 'Poll a queue ticket', auth: 'ticket',
+        response: { status: 200, description: 'The ticket', schema: 'Ticket' } },
+    { method: 'delete', path: '/api/matchmaking/:ticketId', schema: 'ticket', tag: 'Matchmaking', summary: 'Leave the queue', auth: 'ticket',
+        response: { status: 204, description: 'Left the queue' } },
+
+    { method: 'get', path: '/api/admin/cleanup', schema: 'cleanupStatus', tag: 'Admin', summary: 'Cleanup job settings and its last run', auth: 'admin',
+        response: { status: 200, description: 'Settings and the last run' } },
+    { method: 'post', path: '/api/admin/cleanup', schema: 'runCleanup', tag: 'Admin', summary: 'Run the cleanup job now', auth: 'admin',
+        response: { status: 200, description: 'What the run did' } }
+];
+
+// Express path to OpenAPI path, e.g. /api/games/:id to /api/games/{id}
+function openApiPath(expressPath) {
+    return expressPath.replace(/:(\w+)/g, '{$1}');
+}
+
+// A validation schema as an OpenAPI schema. `errorMessage` is ours rather than
+// JSON Schema's; it states the rule, so it becomes the description.
+function toSpecSchema(schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(toSpecSchema);
+    }
+    if (schema === null || typeof schema !== 'object') {
+        return schema;
+    }
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === 'errorMessage') {
+            if (schema.description === undefined) {
+                result.description = value;
+            }
+        } else if (key === 'properties') {
+            result.properties = {};
+            for (const [name, property] of Object.entries(value)) {
+                result.properties[name] = toSpecSchema(property);
+            }
+        } else {
+            result[key] = toSpecSchema(value);
+        }
+    }
+    return result;
+}
+
+// One parameter per property of a params or query schema
+function parameters(schema, location) {
+    if (!schema) {
+        return [];
+    }
+    const required = schema.required || [];
+    return Object.entries(schema.properties || {}).map(([name, property]) => ({
+        name,
+        in: location,
+        required: location === 'path' || required.includes(name),
+        schema: toSpecSchema(property)
+    }));
+}
+
+// A body schema that also allows a string takes text/plain for it
+function requestBody(schema) {
+    const types = [].concat(schema.type);
+    const content = {
+        'application/json': { schema: toSpecSchema({ ...schema, type: 'object' }) }
+    };
+    if (types.includes('string')) {
+        content['text/plain'] = { schema: { type: 'string' } };
+    }
+    return { required: (schema.required || []).length > 0 || types.includes('string'), content };
+}
+
+// Method and path in camel case, e.g. getGamesIdMoves
+function operationId(entry) {
+    const words = entry.path.replace(/^\/api/, '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+    return entry.method + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+function successResponse(response) {
+    const description = { description: response.description };
+    if (response.status === 204) {
+        return description;
+    }
+    const type = response.type || 'application/json';
+    let schema = type === 'application/json' ? { type: 'object' } : { type: 'string' };
+    if (typeof response.schema === 'string') {
+        schema = { $ref: `#/components/schemas/${response.schema}` };
+    } else if (response.schema) {
+        schema = response.schema;
+    }
+    return { ...description, content: { [type]: { schema } } };
+}
+
+function operation(entry) {
+    const routeSchema = entry.schema ? schemas[entry.schema] : {};
+    const result = {
+        operationId: operationId(entry),
+        tags: [entry.tag],
+        summary: entry.summary
+    };
+    if (entry.description) {
+        result.description = entry.description;
+    }
+
+    const params = [
+        ...parameters(routeSchema.params, 'path'),
+        ...parameters(routeSchema.query, 'query'),
+        ...(entry.headers || []).map(name => ({ $ref: `#/components/parameters/${name}` }))
+    ];
+    if (params.length > 0) {
+        result.parameters = params;
+    }
+    if (routeSchema.body) {
+        result.requestBody = requestBody(routeSchema.body);
+    }
+    if (entry.auth) {
+        result.security = SECURITY[entry.auth];
+    }
+    result.responses = {
+        [entry.response.status]: successResponse(entry.response),
+        default: { $ref: '#/components/responses/Error' }
+    };
+    return result;
+}
+
+// The whole document; built on each call, as it is small
+function buildSpec() {
+    const paths = {};
+    for (const entry of OPERATIONS) {
+        const specPath = openApiPath(entry.path);
+        paths[specPath] = paths[specPath] || {};
+        paths[specPath][entry.method] = operation(entry);
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'TicTacToe API',
+            version,
+            description: 'Errors always come back as { error: { code, message, details } }; see the Error schema.'
+        },
+        tags: [...new Set(OPERATIONS.map(entry => entry.tag))].map(name => ({ name })),
+        paths,
+        components: {
+            schemas: COMPONENT_SCHEMAS,
+            responses: {
+                Error: {
+                    description: 'The request failed',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                }
+            },
+            parameters: HEADER_PARAMETERS,
+            securitySchemes: SECURITY_SCHEMES
+        }
+    };
+}
+
+module.exports = {
+    OPERATIONS,
+    openApiPath,
+    toSpecSchema,
+    buildSpec
+};
@@ -0,0 +1,21 @@
+// Opaque cursors for keyset pagination. A cursor records the sort it was made
+// for and the sort value and id of the last row on the page it came from.
+
+function encodeCursor(data) {
+    return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+// Returns the cursor's data, or null if it was not made by encodeCursor
+function decodeCursor(cursor) {
+    try {
+        const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor
+};
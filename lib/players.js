@@ -0,0 +1,25 @@
+// Player names as chosen by the people playing
+const MAX_NAME_LENGTH = 32;
+
+// Returns the trimmed name, or null if it can't be used
+function normalizeName(name) {
+    if (typeof name !== 'string') {
+        return null;
+    }
+    const trimmed = name.trim();
+    if (trimmed.length === 0 || trimmed.length > MAX_NAME_LENGTH) {
+        return null;
+    }
+    return trimmed;
+}
+
+// The computer is a player too, one per difficulty, so its record shows up in stats
+function computerName(difficulty) {
+    return `Computer (${difficulty})`;
+}
+
+module.exports = {
+    MAX_NAME_LENGTH,
+    normalizeName,
+    computerName
+};
@@ -0,0 +1,81 @@
+// Fixed-window request counting for rate limits. Counts live in this process,
+// so each replica limits the requests it sees.
+const net = require('net');
+
+// Windows that have ended are dropped at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createLimiter() {
+    const windows = new Map();
+    let nextSweep = 0;
+
+    function sweep(now) {
+        if (now < nextSweep) {
+            return;
+        }
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) {
+                windows.delete(key);
+            }
+        }
+        nextSweep = now + SWEEP_INTERVAL_MS;
+    }
+
+    // Count `cost` requests (one by default) against `key`. Returns whether
+    // they are allowed, with the limit, what is left of it and when the
+    // window resets.
+    function hit(key, limit, windowMs, now, cost = 1) {
+        sweep(now);
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+        window.count += cost;
+        return {
+            allowed: window.count <= limit,
+            limit: limit,
+            remaining: Math.max(0, limit - window.count),
+            resetAt: window.resetAt
+        };
+    }
+
+    function reset() {
+        windows.clear();
+    }
+
+    return { hit, reset };
+}
+
+// IPv4 clients reach a dual-stack server as ::ffff:a.b.c.d
+function normalizeIp(ip) {
+    return String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+}
+
+function ipv4ToNumber(ip) {
+    return ip.split('.').reduce((total, part) => total * 256 + Number(part), 0);
+}
+
+// Whether `ip` matches an allowlist entry: an exact address, or an IPv4
+// range in CIDR notation such as 10.0.0.0/8
+function isAllowed(ip, allowlist) {
+    const address = normalizeIp(ip);
+    return allowlist.some(entry => {
+        const [base, bits] = entry.split('/');
+        if (bits === undefined) {
+            return normalizeIp(base) === address;
+        }
+        const prefix = Number(bits);
+        if (!net.isIPv4(base) || !net.isIPv4(address) || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+            return false;
+        }
+        const size = 2 ** (32 - prefix);
+        return Math.floor(ipv4ToNumber(address) / size) === Math.floor(ipv4ToNumber(base) / size);
+    });
+}
+
+module.exports = {
+    createLimiter,
+    normalizeIp,
+    isAllowed
+};
@@ -0,0 +1,43 @@
+// Elo ratings
+const INITIAL_RATING = 1500;
+
+// Players stay provisional for their first games, and their rating moves
+// faster until it settles
+const PROVISIONAL_GAMES = 10;
+const PROVISIONAL_K = 40;
+const ESTABLISHED_K = 20;
+
+// Number of recent rating changes summed up as a player's trend
+const TREND_GAMES = 5;
+
+function isProvisional(ratedGames) {
+    return ratedGames < PROVISIONAL_GAMES;
+}
+
+function kFactor(ratedGames) {
+    return isProvisional(ratedGames) ? PROVISIONAL_K : ESTABLISHED_K;
+}
+
+// Probability that a player rated `rating` beats one rated `opponentRating`
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+// `score` is 1 for a win, 0.5 for a draw and 0 for a loss, from `player`'s side.
+// Players are { rating, ratedGames }; returns the rating change for each.
+function ratingChanges(player, opponent, score) {
+    const expected = expectedScore(player.rating, opponent.rating);
+    return {
+        player: kFactor(player.ratedGames) * (score - expected),
+        opponent: kFactor(opponent.ratedGames) * ((1 - score) - (1 - expected))
+    };
+}
+
+module.exports = {
+    INITIAL_RATING,
+    PROVISIONAL_GAMES,
+    TREND_GAMES,
+    isProvisional,
+    expectedScore,
+    ratingChanges
+};
@@ -0,0 +1,241 @@
+// What each API route accepts, as schemas for lib/validation.js: `params` for
+// the path, `query` for the query string and `body` for the JSON body. Bodies
+// may not carry fields they don't list; query strings may. lib/openapi.js
+// describes the API from these same schemas.
+const rules = require('./game');
+const ai = require('./ai');
+const clock = require('./clock');
+const players = require('./players');
+const accounts = require('./accounts');
+
+const GAME_STATUSES = ['in_progress', 'won', 'drawn', 'abandoned'];
+const GAME_SORTS = ['createdAt', 'updatedAt', 'moves'];
+
+// Game and ticket ids are UUIDs, but any short id-like text is looked up
+// (and not found) rather than refused
+const id = { type: 'string', pattern: '^[A-Za-z0-9-]{1,64}$' };
+
+const side = { type: 'string', enum: ['X', 'O'], errorMessage: 'Player must be X or O' };
+const playerName = { type: ['string', 'null'], minLength: 1, maxLength: players.MAX_NAME_LENGTH };
+const boardSize = { type: 'integer', minimum: rules.MIN_BOARD_SIZE, maximum: rules.MAX_BOARD_SIZE };
+const winLength = { type: 'integer', minimum: rules.MIN_WIN_LENGTH, maximum: rules.MAX_WIN_LENGTH };
+const expectedVersion = { type: 'integer', minimum: 0 };
+
+const gameParams = {
+    type: 'object',
+    properties: { id },
+    required: ['id']
+};
+
+const answerParams = {
+    type: 'object',
+    properties: { id, answer: { type: 'string', enum: ['accept', 'decline'] } },
+    required: ['id', 'answer']
+};
+
+// Routes that act for one side of a game
+const seatBody = {
+    type: 'object',
+    properties: { player: side, expectedVersion },
+    required: ['player'],
+    additionalProperties: false
+};
+
+const emptyBody = { type: 'object', additionalProperties: false };
+
+const timeControl = {
+    type: ['object', 'null'],
+    properties: {
+        initialSeconds: { type: 'number', minimum: 1, maximum: clock.MAX_INITIAL_SECONDS },
+        incrementSeconds: { type: 'number', minimum: 0, maximum: clock.MAX_INCREMENT_SECONDS },
+        secondsPerMove: { type: 'number', minimum: 1, maximum: clock.MAX_SECONDS_PER_MOVE }
+    },
+    additionalProperties: false
+};
+
+// Filters shared by the game list and the bulk export
+const gameFilters = {
+    status: { type: 'string', pattern: `^(${GAME_STATUSES.join('|')})(,(${GAME_STATUSES.join('|')}))*$`, errorMessage: `Status must be one of ${GAME_STATUSES.join(', ')}` },
+    winner: { type: 'string' },
+    player: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    minMoves: { type: 'integer', minimum: 0 },
+    mine: { type: 'string', enum: ['true'] }
+};
+
+module.exports = {
+    GAME_STATUSES,
+    GAME_SORTS,
+
+    createGame: {
+        body: {
+            type: 'object',
+            properties: {
+                boardSize,
+                winLength,
+                opponent: { type: 'string', enum: ['human', 'computer'] },
+                difficulty: { type: 'string', enum: ai.DIFFICULTIES },
+                computerPlayer: side,
+                seat: { type: 'string', enum: ['X', 'O', 'both'] },
+                players: {
+                    type: 'object',
+                    properties: { X: playerName, O: playerName },
+                    additionalProperties: false
+                },
+                ranked: { type: 'boolean' },
+                allowTakebacks: { type: 'boolean' },
+                timeControl
+            },
+            additionalProperties: false
+        }
+    },
+    listGames: {
+        query: {
+            type: 'object',
+            properties: {
+                sort: { type: 'string', enum: GAME_SORTS },
+                order: { type: 'string', enum: ['asc', 'desc'] },
+                limit: { type: 'integer', minimum: 1, maximum: 100 },
+                cursor: { type: 'string' },
+                ...gameFilters
+            }
+        }
+    },
+    exportGames: {
+        query: {
+            type: 'object',
+            properties: {
+                limit: { type: 'integer', minimum: 1, maximum: 1000 },
+                ...gameFilters
+            }
+        }
+    },
+    importGames: {
+        // Notation as a text/plain body, or as JSON { notation }
+        body: {
+            type: ['string', 'object'],
+            properties: { notation: { type: 'string' } },
+            required: ['notation'],
+            additionalProperties: false
+        }
+    },
+    getGame: { params: gameParams },
+    exportGame: { params: gameParams },
+    listMoves: { params: gameParams },
+    gameEvents: { params: gameParams },
+    joinGame: {
+        params: gameParams,
+        body: {
+            type: 'object',
+            properties: {
+                seat: { type: ['string', 'null'], enum: ['X', 'O', 'viewer', null] },
+                playerName
+            },
+            additionalProperties: false
+        }
+    },
+    move: {
+        params: gameParams,
+        body: {
+            type: 'object',
+            properties: {
+                position: { type: 'integer', minimum: 0, maximum: rules.MAX_BOARD_SIZE * rules.MAX_BOARD_SIZE - 1 },
+                player: side,
+                expectedVersion
+            },
+            required: ['position', 'player'],
+            additionalProperties: false
+        }
+    },
+    hint: { params: gameParams, body: seatBody },
+    takeback: { params: gameParams, body: seatBody },
+    answerTakeback: { params: answerParams, body: seatBody },
+    resign: { params: gameParams, body: seatBody },
+    offerDraw: { params: gameParams, body: seatBody },
+    answerDraw: { params: answerParams, body: seatBody },
+    analyze: {
+        body: {
+            type: 'object',
+            properties: {
+                board: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['', 'X', 'O'] },
+                    minItems: 1,
+                    maxItems: rules.MAX_BOARD_SIZE * rules.MAX_BOARD_SIZE,
+                    errorMessage: 'Board must be an array of "", "X" and "O"'
+                },
+                player: side,
+                winLength
+            },
+            required: ['board'],
+            additionalProperties: false
+        }
+    },
+    stats: {
+        query: {
+            type: 'object',
+            properties: { player: { type: 'string' } }
+        }
+    },
+    leaderboard: {
+        query: {
+            type: 'object',
+            properties: {
+                limit: { type: 'integer', minimum: 1, maximum: 100 },
+                offset: { type: 'integer', minimum: 0 }
+            }
+        }
+    },
+    joinMatchmaking: {
+        body: {
+            type: 'object',
+            properties: {
+                playerName: { type: 'string', minLength: 1, maxLength: players.MAX_NAME_LENGTH },
+                boardSize,
+                winLength,
+                fallback: { type: 'string', enum: ['computer', 'none'] }
+            },
+            required: ['playerName'],
+            additionalProperties: false
+        }
+    },
+    ticket: {
+        params: {
+            type: 'object',
+            properties: { ticketId: id },
+            required: ['ticketId']
+        }
+    },
+    register: {
+        body: {
+            type: 'object',
+            properties: {
+                username: { type: 'string', pattern: accounts.USERNAME_PATTERN.source, errorMessage: accounts.USERNAME_RULE },
+                password: {
+                    type: 'string',
+                    minLength: accounts.MIN_PASSWORD_LENGTH,
+                    maxLength: accounts.MAX_PASSWORD_LENGTH,
+                    errorMessage: accounts.PASSWORD_RULE
+                }
+            },
+            required: ['username', 'password'],
+            additionalProperties: false
+        }
+    },
+    login: {
+        body: {
+            type: 'object',
+            properties: {
+                username: { type: 'string' },
+                password: { type: 'string' }
+            },
+            required: ['username', 'password'],
+            additionalProperties: false
+        }
+    },
+    logout: { body: emptyBody },
+    me: {},
+    cleanupStatus: {},
+    runCleanup: { body: emptyBody }
+};
@@ -0,0 +1,41 @@
+// Seat tokens: a secret handed to whoever sits at X or O. Only a hash is
+// stored, so reading the database doesn't let anyone play a seat.
+const crypto = require('crypto');
+
+const SEATS = ['X', 'O'];
+const VIEWER = 'viewer';
+// A creator playing both sides on one screen holds both seats with one token
+const BOTH = 'both';
+
+function createToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Constant-time comparison of a presented token against a stored hash
+function tokenMatches(token, tokenHash) {
+    if (!token || !tokenHash) {
+        return false;
+    }
+    const presented = Buffer.from(hashToken(token), 'hex');
+    const stored = Buffer.from(tokenHash, 'hex');
+    return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+}
+
+// Seat tokens travel in a header so they stay out of URLs and request logs
+function tokenFromRequest(req) {
+    return req.get('X-Seat-Token') || null;
+}
+
+module.exports = {
+    SEATS,
+    VIEWER,
+    BOTH,
+    createToken,
+    hashToken,
+    tokenMatches,
+    tokenFromRequest
+};
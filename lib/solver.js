@@ -0,0 +1,176 @@
+// Perfect-play solver for position analysis. Every position it solves is
+// remembered, so the classic 3x3 game fills a table of a few thousand entries
+// on first use and is answered from memory afterwards.
+const {
+    DEFAULT_WIN_LENGTH,
+    winsAt,
+    checkWinner,
+    otherPlayer,
+    availablePositions
+} = require('./game');
+
+// Solving is exhaustive and runs on the event loop, so a position is only
+// taken on if its work fits in a budget. The work is at most the board's cells
+// (each position is copied and keyed) times 3 to the power of its empty cells
+// (each is empty, X or O), about 100ms at the limit. The empty 3x3 board is
+// 177,147; a 15x15 board may have 7 empty cells.
+const MAX_SOLVE_WORK = 1000000;
+
+// Forget everything once the table holds about this many bytes rather than
+// grow without bound. An entry costs its key, one character per cell, and
+// roughly ENTRY_OVERHEAD_BYTES for the map slot and the result.
+const MAX_TABLE_BYTES = 32 * 1024 * 1024;
+const ENTRY_OVERHEAD_BYTES = 80;
+
+const table = new Map();
+let tableBytes = 0;
+
+// The most empty cells a position on a board of `cells` cells may have to be
+// solved
+function maxEmptyCells(cells) {
+    let empty = 0;
+    while (cells * Math.pow(3, empty + 1) <= MAX_SOLVE_WORK) {
+        empty++;
+    }
+    return empty;
+}
+
+function canSolve(board) {
+    return availablePositions(board).length <= maxEmptyCells(board.length);
+}
+
+// Outcome for the side to move, best first
+const OUTCOME_RANK = { win: 2, draw: 1, loss: 0 };
+const INVERSE = { win: 'loss', draw: 'draw', loss: 'win' };
+
+function better(a, b) {
+    if (OUTCOME_RANK[a.outcome] !== OUTCOME_RANK[b.outcome]) {
+        return OUTCOME_RANK[a.outcome] > OUTCOME_RANK[b.outcome];
+    }
+    // Win as fast as possible, lose as slowly as possible
+    return a.outcome === 'loss' ? a.plies > b.plies : a.plies < b.plies;
+}
+
+// Result of `player` playing `position`: { outcome, plies } where plies counts
+// the moves left in the game, this one included, under perfect play
+function scoreMove(board, player, position, winLength) {
+    const next = board.slice();
+    next[position] = player;
+    if (winsAt(next, position, winLength)) {
+        return { outcome: 'win', plies: 1 };
+    }
+    if (next.every(cell => cell !== '')) {
+        return { outcome: 'draw', plies: 1 };
+    }
+    const reply = solve(next, otherPlayer(player), winLength);
+    return { outcome: INVERSE[reply.outcome], plies: reply.plies + 1 };
+}
+
+// Best result for `player` to move in an unfinished position
+function solve(board, player, winLength = DEFAULT_WIN_LENGTH) {
+    const key = `${winLength}${player}${board.map(cell => cell || '-').join('')}`;
+    const known = table.get(key);
+    if (known) {
+        return known;
+    }
+
+    let best = null;
+    for (const position of availablePositions(board)) {
+        const result = scoreMove(board, player, position, winLength);
+        if (!best || better(result, best)) {
+            best = result;
+        }
+        // Nothing beats winning on the spot
+        if (best.outcome === 'win' && best.plies === 1) {
+            break;
+        }
+    }
+
+    const entryBytes = key.length + ENTRY_OVERHEAD_BYTES;
+    if (tableBytes + entryBytes > MAX_TABLE_BYTES) {
+        table.clear();
+        tableBytes = 0;
+    }
+    table.set(key, best);
+    tableBytes += entryBytes;
+    return best;
+}
+
+// Whether a board could come up in a real game, where X moves first, turns
+// alternate and play stops at the first line. Returns { reachable, reason }.
+function checkReachable(board, winLength = DEFAULT_WIN_LENGTH) {
+    const xCount = board.filter(cell => cell === 'X').length;
+    const oCount = board.filter(cell => cell === 'O').length;
+
+    if (xCount !== oCount && xCount !== oCount + 1) {
+        return { reachable: false, reason: 'X moves first and turns alternate, so X has the same number of marks as O or one more' };
+    }
+
+    const winner = checkWinner(board, winLength);
+    if (!winner) {
+        return { reachable: true, reason: null };
+    }
+
+    const expected = winner === 'X' ? oCount + 1 : oCount;
+    if (xCount !== expected) {
+        return { reachable: false, reason: `${winner} has a line but the other side moved after it` };
+    }
+
+    // Some mark of the winner has to be the one that finished every line on
+    // the board, which also rules out both sides having a line
+    const marks = [];
+    board.forEach((cell, position) => {
+        if (cell === winner) {
+            marks.push(position);
+        }
+    });
+    const finished = marks.some(position => {
+        const before = board.slice();
+        before[position] = '';
+        return checkWinner(before, winLength) === null;
+    });
+    if (!finished) {
+        return { reachable: false, reason: 'The game would have ended before this position' };
+    }
+    return { reachable: true, reason: null };
+}
+
+// Analyse a position for `player` to move. Returns { error } when there are
+// too many empty cells to solve, otherwise the status of the game and, if it
+// is still going, every legal move with its outcome and the recommended move.
+function analyze(board, player, winLength = DEFAULT_WIN_LENGTH) {
+    const winner = checkWinner(board, winLength);
+    const full = board.every(cell => cell !== '');
+    const result = {
+        ...checkReachable(board, winLength),
+        status: winner ? 'won' : (full ? 'drawn' : 'in_progress'),
+        winner: winner,
+        outcome: null,
+        plies: null,
+        recommendedMove: null,
+        moves: []
+    };
+    if (winner || full) {
+        return result;
+    }
+
+    const empty = availablePositions(board);
+    if (!canSolve(board)) {
+        return { error: `Positions on this board with more than ${maxEmptyCells(board.length)} empty cells are too big to solve` };
+    }
+
+    result.moves = empty.map(position => ({ position, ...scoreMove(board, player, position, winLength) }));
+    const best = result.moves.reduce((a, b) => (better(b, a) ? b : a));
+    result.outcome = best.outcome;
+    result.plies = best.plies;
+    result.recommendedMove = best.position;
+    return result;
+}
+
+module.exports = {
+    maxEmptyCells,
+    canSolve,
+    solve,
+    checkReachable,
+    analyze
+};
@@ -0,0 +1,67 @@
+// Where games, moves, seats, players and stats are kept. STORAGE picks the
+// backend: "sqlite" (the default) uses the database file at DB_PATH, "memory"
+// keeps everything in this process until it exits.
+//
+// Every backend has the same callback-style methods. Game rows are shaped like
+// the games table, with x_player_name and o_player_name added.
+//
+//   open(cb) / close(cb)
+//   getGame(id, cb(err, game))                  undefined if there is none
+//   insertGame(fields, moves, cb(err))          a new game, with any moves already played
+//   updateGame(id, changes, conditions, cb(err, version))
+//       Sets `changes` and bumps the version if the game matches `conditions`
+//       ({ version } and/or { unfinished: true }); the new version, or null
+//   listGames({ filters, sort, order, after, limit }, cb(err, { total, games }))
+//       Filters: id, statuses, player, winnerSide, winnerName, from, to,
+//       minMoves and ownerId
+//       Rows add total_moves and move_history; `after` is the last row's
+//       { value, id } from the page before
+//   listIdleGames(cutoff, cb(err, games))       unfinished, nothing played since `cutoff`
+//   abandonIdleGames(cutoff, cb(err, count))
+//   purgeAbandonedGames(cutoff, cb(err, count)) abandoned before `cutoff` without a move
+//   listMoves(gameId, cb(err, moves))           oldest first
+//   recordMove(gameId, version, changes, move, cb(err, version))
+//   takeBack(gameId, version, changes, fromMoveId, cb(err, version))
+//       Change the game and add or remove moves together, only if the game is
+//       still at `version`; the new version, or null if it isn't
+//   listSeats(gameId, cb(err, seats))
+//   claimSeats(gameId, seatNames, tokenHash, cb(err, claimed))   false if one is taken
+//   findOrCreatePlayer(name, cb(err, id))
+//   getPlayers(ids, cb(err, players))
+//   recordRatingChange(playerId, gameId, ratingBefore, ratingAfter, cb(err))
+//   listRatedPlayers(limit, offset, cb(err, { total, players }))
+//   listRatingChanges(playerIds, cb(err, changes))                newest first
+//   listStats(playerName, cb(err, rows))        everyone's when playerName is null
+//   recordResult(playerId, counters, cb(err))   add one to each stats counter
+//   claimIdempotencyKey(scope, key, requestHash, cutoff, pendingCutoff, cb(err, stored))
+//       Reserves an unused or expired key and calls back with null, otherwise
+//       with the stored { request_hash, status, response }; status is null
+//       while the first request is still being handled. Keys claimed before
+//       `cutoff`, or before `pendingCutoff` and still without a response,
+//       have expired
+//   saveIdempotentResponse(scope, key, status, response, cb(err))
+//   releaseIdempotencyKey(scope, key, cb(err))
+//   purgeIdempotencyKeys(cutoff, cb(err, count))  keys claimed before `cutoff`
+//   createUser(username, passwordHash, cb(err, id))  null if the name is taken
+//   findUser(username, cb(err, user))           { id, username, password_hash }
+//   createSession(tokenHash, userId, expiresAt, cb(err))
+//   findSession(tokenHash, now, cb(err, user))  { id, username } while unexpired
+//   deleteSession(tokenHash, cb(err))
+//   purgeSessions(now, cb(err, count))          sessions expired by `now`
+const BACKENDS = {
+    sqlite: () => require('./sqlite').createStorage(process.env.DB_PATH || './data/tictactoe.db'),
+    memory: () => require('./memory').createStorage()
+};
+
+function createStorage(name = process.env.STORAGE || 'sqlite') {
+    const backend = BACKENDS[name];
+    if (!backend) {
+        throw new Error(`Unknown storage "${name}"; use ${Object.keys(BACKENDS).join(' or ')}`);
+    }
+    return backend();
+}
+
+module.exports = {
+    BACKENDS: Object.keys(BACKENDS),
+    createStorage
+};
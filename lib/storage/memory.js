@@ -0,0 +1,487 @@
+// In-memory storage with the same behaviour as the SQLite storage. Nothing
+// outlives the process, so it suits tests, demos and trying the server out.
+const { INITIAL_RATING } = require('../rating');
+
+// Column defaults, as the migrations leave them
+const GAME_DEFAULTS = {
+    winner: null,
+    is_draw: 0,
+    opponent: 'human',
+    difficulty: null,
+    computer_player: null,
+    board_size: 3,
+    win_length: 3,
+    x_player_id: null,
+    o_player_id: null,
+    ranked: 1,
+    allow_takebacks: 1,
+    takeback_requested_by: null,
+    hints_x: 0,
+    hints_o: 0,
+    time_control: null,
+    clock_x_ms: null,
+    clock_o_ms: null,
+    turn_started_at: null,
+    end_reason: null,
+    draw_offered_by: null,
+    version: 0,
+    owner_id: null
+};
+
+const STAT_COUNTERS = [
+    'wins', 'losses', 'draws', 'total_games',
+    'wins_as_x', 'losses_as_x', 'draws_as_x', 'wins_as_o', 'losses_as_o', 'draws_as_o',
+    'wins_by_resignation', 'losses_by_resignation', 'wins_on_time', 'losses_on_time', 'agreed_draws'
+];
+
+// Conditions for each game list status
+const STATUS_CONDITIONS = {
+    in_progress: game => !game.winner && !game.is_draw && !game.end_reason,
+    won: game => Boolean(game.winner),
+    drawn: game => Boolean(game.is_draw),
+    abandoned: game => game.end_reason === 'abandoned'
+};
+
+// The same "YYYY-MM-DD HH:MM:SS" UTC timestamps SQLite writes
+function timestamp() {
+    return new Date().toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Values as SQLite would hand them back: booleans as 0 or 1, nothing as null
+function stored(values) {
+    const row = {};
+    for (const [column, value] of Object.entries(values)) {
+        row[column] = typeof value === 'boolean' ? Number(value) : (value === undefined ? null : value);
+    }
+    return row;
+}
+
+// Callbacks always run later, as they would after a query
+function later(callback, ...args) {
+    setImmediate(() => callback(...args));
+}
+
+// Ascending comparison of two sort values, with nulls first like SQLite
+function compare(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    if (a === null) {
+        return -1;
+    }
+    if (b === null) {
+        return 1;
+    }
+    return a < b ? -1 : 1;
+}
+
+function createStorage() {
+    const games = new Map();
+    const moves = [];
+    const seats = [];
+    const players = new Map();
+    const playerStats = [];
+    const ratingHistory = [];
+    const idempotencyKeys = new Map();
+    const users = new Map();
+    const sessions = new Map();
+    const nextId = { moves: 1, seats: 1, players: 1, playerStats: 1, ratingHistory: 1, users: 1 };
+
+    const movesOf = (gameId) => moves.filter(move => move.game_id === gameId);
+
+    // A game row with its player names, copied so callers can't change the store
+    function readGame(game) {
+        const x = players.get(game.x_player_id);
+        const o = players.get(game.o_player_id);
+        return { ...game, x_player_name: x ? x.name : null, o_player_name: o ? o.name : null };
+    }
+
+    function listRow(game) {
+        const history = movesOf(game.id);
+        return {
+            ...readGame(game),
+            total_moves: history.length,
+            move_history: history.map(move => ({ player: move.player, position: move.position }))
+        };
+    }
+
+    function matches(game, conditions) {
+        return (conditions.version === undefined || game.version === conditions.version) &&
+            (!conditions.unfinished || STATUS_CONDITIONS.in_progress(game));
+    }
+
+    function changeGame(game, changes) {
+        Object.assign(game, stored(changes));
+        game.version++;
+        game.updated_at = timestamp();
+        return game.version;
+    }
+
+    function isIdle(game, cutoff) {
+        const history = movesOf(game.id);
+        const lastActive = history.length ? history[history.length - 1].created_at : game.created_at;
+        return STATUS_CONDITIONS.in_progress(game) && lastActive < cutoff;
+    }
+
+    function listFilter(filters) {
+        return (row) =>
+            (filters.id === undefined || row.id === filters.id) &&
+            (!filters.statuses || filters.statuses.some(status => STATUS_CONDITIONS[status](row))) &&
+            (filters.player === undefined || row.x_player_name === filters.player || row.o_player_name === filters.player) &&
+            (filters.winnerSide === undefined || row.winner === filters.winnerSide) &&
+            (filters.winnerName === undefined ||
+                (row.winner === 'X' && row.x_player_name === filters.winnerName) ||
+                (row.winner === 'O' && row.o_player_name === filters.winnerName)) &&
+            (filters.from === undefined || row.created_at >= filters.from) &&
+            (filters.to === undefined || row.created_at <= filters.to) &&
+            (filters.minMoves === undefined || row.total_moves >= filters.minMoves) &&
+            (filters.ownerId === undefined || row.owner_id === filters.ownerId);
+    }
+
+    function open(callback) {
+        later(callback, null);
+    }
+
+    function close(callback) {
+        later(callback, null);
+    }
+
+    function getGame(gameId, callback) {
+        const game = games.get(gameId);
+        later(callback, null, game ? readGame(game) : undefined);
+    }
+
+    function insertGame(fields, gameMoves, callback) {
+        if (games.has(fields.id)) {
+            return later(callback, new Error(`Game ${fields.id} already exists`));
+        }
+        const now = timestamp();
+        games.set(fields.id, { ...GAME_DEFAULTS, created_at: now, updated_at: now, ...stored(fields) });
+        gameMoves.forEach(move => moves.push({
+            id: nextId.moves++,
+            game_id: fields.id,
+            player: move.player,
+            position: move.position,
+            created_at: now,
+            remaining_ms: null
+        }));
+        later(callback, null);
+    }
+
+    function updateGame(gameId, changes, conditions, callback) {
+        const game = games.get(gameId);
+        later(callback, null, game && matches(game, conditions) ? changeGame(game, changes) : null);
+    }
+
+    function listGames(query, callback) {
+        const direction = query.order === 'desc' ? -1 : 1;
+        const column = query.sort;
+        const rows = Array.from(games.values())
+            .map(listRow)
+            .filter(listFilter(query.filters))
+            .sort((a, b) => direction * (compare(a[column], b[column]) || compare(a.id, b.id)));
+
+        // Rows after the cursor: past its sort value, with the id breaking ties
+        const after = query.after;
+        const page = after
+            ? rows.filter(row => direction * (compare(row[column], after.value) || compare(row.id, after.id)) > 0)
+            : rows;
+
+        later(callback, null, { total: rows.length, games: page.slice(0, query.limit) });
+    }
+
+    function listIdleGames(cutoff, callback) {
+        const idle = Array.from(games.values()).filter(game => isIdle(game, cutoff));
+        later(callback, null, idle.map(readGame));
+    }
+
+    function abandonIdleGames(cutoff, callback) {
+        const idle = Array.from(games.values()).filter(game => isIdle(game, cutoff));
+        idle.forEach(game => changeGame(game, {
+            end_reason: 'abandoned',
+            turn_started_at: null,
+            takeback_requested_by: null,
+            draw_offered_by: null
+        }));
+        later(callback, null, idle.length);
+    }
+
+    function purgeAbandonedGames(cutoff, callback) {
+        const purgeable = Array.from(games.values()).filter(game =>
+            game.end_reason === 'abandoned' && game.updated_at < cutoff && movesOf(game.id).length === 0);
+        purgeable.forEach(game => {
+            games.delete(game.id);
+            for (let index = seats.length - 1; index >= 0; index--) {
+                if (seats[index].game_id === game.id) {
+                    seats.splice(index, 1);
+                }
+            }
+        });
+        later(callback, null, purgeable.length);
+    }
+
+    function listMoves(gameId, callback) {
+        later(callback, null, movesOf(gameId).map(move => ({
+            id: move.id,
+            player: move.player,
+            position: move.position,
+            created_at: move.created_at,
+            remaining_ms: move.remaining_ms
+        })));
+    }
+
+    function recordMove(gameId, version, changes, move, callback) {
+        const game = games.get(gameId);
+        if (!game || !matches(game, { version })) {
+            return later(callback, null, null);
+        }
+        moves.push({
+            id: nextId.moves++,
+            game_id: gameId,
+            player: move.player,
+            position: move.position,
+            created_at: timestamp(),
+            remaining_ms: move.remaining_ms === undefined ? null : move.remaining_ms
+        });
+        later(callback, null, changeGame(game, changes));
+    }
+
+    function takeBack(gameId, version, changes, fromMoveId, callback) {
+        const game = games.get(gameId);
+        if (!game || !matches(game, { version })) {
+            return later(callback, null, null);
+        }
+        for (let index = moves.length - 1; index >= 0; index--) {
+            if (moves[index].game_id === gameId && moves[index].id >= fromMoveId) {
+                moves.splice(index, 1);
+            }
+        }
+        later(callback, null, changeGame(game, changes));
+    }
+
+    function listSeats(gameId, callback) {
+        later(callback, null, seats
+            .filter(seat => seat.game_id === gameId)
+            .map(seat => ({ seat: seat.seat, token_hash: seat.token_hash })));
+    }
+
+    function claimSeats(gameId, seatNames, tokenHash, callback) {
+        if (seats.some(seat => seat.game_id === gameId && seatNames.includes(seat.seat))) {
+            return later(callback, null, false);
+        }
+        const now = timestamp();
+        seatNames.forEach(seat => seats.push({
+            id: nextId.seats++,
+            game_id: gameId,
+            seat: seat,
+            token_hash: tokenHash,
+            created_at: now
+        }));
+        later(callback, null, true);
+    }
+
+    function findOrCreatePlayer(name, callback) {
+        let player = Array.from(players.values()).find(p => p.name === name);
+        if (!player) {
+            player = { id: nextId.players++, name, created_at: timestamp(), rating: INITIAL_RATING, rated_games: 0 };
+            players.set(player.id, player);
+        }
+        later(callback, null, player.id);
+    }
+
+    function getPlayers(ids, callback) {
+        later(callback, null, ids
+            .filter((id, index) => players.has(id) && ids.indexOf(id) === index)
+            .map(id => {
+                const { name, rating, rated_games } = players.get(id);
+                return { id, name, rating, rated_games };
+            }));
+    }
+
+    function recordRatingChange(playerId, gameId, change, callback) {
+        const player = players.get(playerId);
+        if (!player) {
+            return later(callback, null);
+        }
+        const before = player.rating;
+        player.rating += change;
+        player.rated_games++;
+        ratingHistory.push({
+            id: nextId.ratingHistory++,
+            player_id: playerId,
+            game_id: gameId,
+            rating_before: before,
+            rating_after: player.rating,
+            created_at: timestamp()
+        });
+        later(callback, null);
+    }
+
+    function listRatedPlayers(limit, offset, callback) {
+        const rated = Array.from(players.values())
+            .filter(player => player.rated_games > 0)
+            .sort((a, b) => compare(b.rating, a.rating) || compare(a.name, b.name));
+        later(callback, null, {
+            total: rated.length,
+            players: rated.slice(offset, offset + limit).map(({ id, name, rating, rated_games }) => ({ id, name, rating, rated_games }))
+        });
+    }
+
+    function listRatingChanges(playerIds, callback) {
+        later(callback, null, ratingHistory
+            .filter(entry => playerIds.includes(entry.player_id))
+            .reverse()
+            .map(entry => ({ player_id: entry.player_id, change: entry.rating_after - entry.rating_before })));
+    }
+
+    function listStats(playerName, callback) {
+        const rows = playerStats
+            .filter(row => players.has(row.player_id) && (!playerName || players.get(row.player_id).name === playerName))
+            .sort((a, b) => b.wins - a.wins)
+            .map(row => ({ ...row }));
+        later(callback, null, rows);
+    }
+
+    // One stats row per player, as the player_stats table has
+    function recordResult(playerId, counters, callback) {
+        const player = players.get(playerId);
+        if (!player) {
+            return later(callback, null);
+        }
+
+        let row = playerStats.find(stats => stats.player_id === playerId);
+        if (!row) {
+            const now = timestamp();
+            row = { id: nextId.playerStats++, player_name: player.name, created_at: now, updated_at: now, player_id: playerId };
+            STAT_COUNTERS.forEach(counter => {
+                row[counter] = 0;
+            });
+            playerStats.push(row);
+        }
+        counters.concat('total_games').forEach(counter => {
+            row[counter]++;
+        });
+        row.updated_at = timestamp();
+        later(callback, null);
+    }
+
+    // Keys are kept by endpoint and key; a key older than `cutoff` has expired
+    function claimIdempotencyKey(scope, key, requestHash, cutoff, pendingCutoff, callback) {
+        const id = JSON.stringify([scope, key]);
+        const existing = idempotencyKeys.get(id);
+        const expired = existing && (existing.created_at < cutoff || (existing.status === null && existing.created_at < pendingCutoff));
+        if (existing && !expired) {
+            const { request_hash, status, response } = existing;
+            return later(callback, null, { request_hash, status, response });
+        }
+        idempotencyKeys.set(id, { request_hash: requestHash, status: null, response: null, created_at: timestamp() });
+        later(callback, null, null);
+    }
+
+    function saveIdempotentResponse(scope, key, status, response, callback) {
+        const entry = idempotencyKeys.get(JSON.stringify([scope, key]));
+        if (entry) {
+            Object.assign(entry, { status, response });
+        }
+        later(callback, null);
+    }
+
+    function releaseIdempotencyKey(scope, key, callback) {
+        idempotencyKeys.delete(JSON.stringify([scope, key]));
+        later(callback, null);
+    }
+
+    function purgeIdempotencyKeys(cutoff, callback) {
+        let purged = 0;
+        for (const [id, entry] of idempotencyKeys) {
+            if (entry.created_at < cutoff) {
+                idempotencyKeys.delete(id);
+                purged++;
+            }
+        }
+        later(callback, null, purged);
+    }
+
+    // Usernames are unique whatever their case, as in the users table
+    const userNamed = (username) =>
+        Array.from(users.values()).find(user => user.username.toLowerCase() === username.toLowerCase());
+
+    function createUser(username, passwordHash, callback) {
+        if (userNamed(username)) {
+            return later(callback, null, null);
+        }
+        const user = { id: nextId.users++, username, password_hash: passwordHash, created_at: timestamp() };
+        users.set(user.id, user);
+        later(callback, null, user.id);
+    }
+
+    function findUser(username, callback) {
+        const user = userNamed(username);
+        later(callback, null, user ? { id: user.id, username: user.username, password_hash: user.password_hash } : undefined);
+    }
+
+    function createSession(tokenHash, userId, expiresAt, callback) {
+        sessions.set(tokenHash, { user_id: userId, created_at: timestamp(), expires_at: expiresAt });
+        later(callback, null);
+    }
+
+    function findSession(tokenHash, now, callback) {
+        const session = sessions.get(tokenHash);
+        const user = session && session.expires_at > now ? users.get(session.user_id) : null;
+        later(callback, null, user ? { id: user.id, username: user.username } : undefined);
+    }
+
+    function deleteSession(tokenHash, callback) {
+        sessions.delete(tokenHash);
+        later(callback, null);
+    }
+
+    function purgeSessions(now, callback) {
+        let purged = 0;
+        for (const [tokenHash, session] of sessions) {
+            if (session.expires_at <= now) {
+                sessions.delete(tokenHash);
+                purged++;
+            }
+        }
+        later(callback, null, purged);
+    }
+
+    return {
+        open,
+        close,
+        getGame,
+        insertGame,
+        updateGame,
+        listGames,
+        listIdleGames,
+        abandonIdleGames,
+        purgeAbandonedGames,
+        listMoves,
+        recordMove,
+        takeBack,
+        listSeats,
+        claimSeats,
+        findOrCreatePlayer,
+        getPlayers,
+        recordRatingChange,
+        listRatedPlayers,
+        listRatingChanges,
+        listStats,
+        recordResult,
+        claimIdempotencyKey,
+        saveIdempotentResponse,
+        releaseIdempotencyKey,
+        purgeIdempotencyKeys,
+        createUser,
+        findUser,
+        createSession,
+        findSession,
+        deleteSession,
+        purgeSessions
+    };
+}
+
+module.exports = {
+    createStorage
+};
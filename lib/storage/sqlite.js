@@ -0,0 +1,580 @@
+// SQLite storage. The schema lives in migrations/ and is brought up to date
+// when the database is opened; one connection serves every request.
+const sqlite3 = require('sqlite3').verbose();
+const migrations = require('../migrations');
+
+// Games are always read with the names of the players on each side
+const SELECT_GAME = `SELECT g.*, px.name AS x_player_name, po.name AS o_player_name
+    FROM games g
+    LEFT JOIN players px ON px.id = g.x_player_id
+    LEFT JOIN players po ON po.id = g.o_player_id`;
+
+// Game list rows: each game with its player names, move count and ordered moves
+const GAME_LIST = `(
+    SELECT g.*,
+           px.name AS x_player_name,
+           po.name AS o_player_name,
+           (SELECT COUNT(*) FROM moves m WHERE m.game_id = g.id) AS total_moves,
+           (SELECT GROUP_CONCAT(m.player || ':' || m.position, ',' ORDER BY m.id)
+              FROM moves m WHERE m.game_id = g.id) AS move_history
+    FROM games g
+    LEFT JOIN players px ON px.id = g.x_player_id
+    LEFT JOIN players po ON po.id = g.o_player_id
+) AS listed`;
+
+// Conditions for each game list status
+const STATUS_CONDITIONS = {
+    in_progress: '(winner IS NULL AND NOT is_draw AND end_reason IS NULL)',
+    won: 'winner IS NOT NULL',
+    drawn: 'is_draw',
+    abandoned: "end_reason = 'abandoned'"
+};
+
+// Unfinished games whose last move (or creation, if none) is older than a cutoff
+const IDLE_GAMES = `g.winner IS NULL AND NOT g.is_draw AND g.end_reason IS NULL
+    AND COALESCE((SELECT MAX(m.created_at) FROM moves m WHERE m.game_id = g.id), g.created_at) < ?`;
+
+// Abandoned games without a single move, abandoned before a cutoff
+const PURGEABLE_GAMES = `SELECT g.id FROM games g
+    WHERE g.end_reason = 'abandoned' AND g.updated_at < ?
+    AND NOT EXISTS (SELECT 1 FROM moves m WHERE m.game_id = g.id)`;
+
+// Moves of a game list row, oldest first
+function moveHistoryOf(row) {
+    return row.move_history ? row.move_history.split(',').map(move => {
+        const [player, position] = move.split(':');
+        return { player, position: parseInt(position) };
+    }) : [];
+}
+
+// SQL conditions for game list filters (see createStorage().listGames)
+function listConditions(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.id !== undefined) {
+        conditions.push('id = ?');
+        params.push(filters.id);
+    }
+    if (filters.statuses) {
+        conditions.push(`(${filters.statuses.map(status => STATUS_CONDITIONS[status]).join(' OR ')})`);
+    }
+    if (filters.player !== undefined) {
+        conditions.push('(x_player_name = ? OR o_player_name = ?)');
+        params.push(filters.player, filters.player);
+    }
+    if (filters.winnerSide !== undefined) {
+        conditions.push('winner = ?');
+        params.push(filters.winnerSide);
+    }
+    if (filters.winnerName !== undefined) {
+        conditions.push("((winner = 'X' AND x_player_name = ?) OR (winner = 'O' AND o_player_name = ?))");
+        params.push(filters.winnerName, filters.winnerName);
+    }
+    if (filters.from !== undefined) {
+        conditions.push('created_at >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to !== undefined) {
+        conditions.push('created_at <= ?');
+        params.push(filters.to);
+    }
+    if (filters.minMoves !== undefined) {
+        conditions.push('total_moves >= ?');
+        params.push(filters.minMoves);
+    }
+    if (filters.ownerId !== undefined) {
+        conditions.push('owner_id = ?');
+        params.push(filters.ownerId);
+    }
+    return { conditions, params };
+}
+
+// `column = ?` assignments for an object of column values
+function assignments(changes) {
+    const columns = Object.keys(changes);
+    return {
+        sql: columns.map(column => `${column} = ?, `).join(''),
+        params: columns.map(column => changes[column])
+    };
+}
+
+function createStorage(dbPath) {
+    let db = null;
+
+    // Every write runs in a transaction, even a single statement. Transactions
+    // share the one connection, so they take turns: a write made while another
+    // transaction is open would become part of it and be lost to its rollback.
+    // `work(done)` calls done(err, result); an error rolls the transaction back.
+    const transactionQueue = [];
+    let transactionRunning = false;
+
+    function transaction(work, callback) {
+        transactionQueue.push({ work, callback });
+        if (!transactionRunning) {
+            nextTransaction();
+        }
+    }
+
+    function nextTransaction() {
+        const next = transactionQueue.shift();
+        transactionRunning = Boolean(next);
+        if (!next) {
+            return;
+        }
+
+        const finish = (err, result) => {
+            next.callback(err, result);
+            nextTransaction();
+        };
+        db.run('BEGIN IMMEDIATE', (err) => {
+            if (err) {
+                return finish(err);
+            }
+            next.work((err, result) => {
+                if (err) {
+                    return db.run('ROLLBACK', () => finish(err));
+                }
+                db.run('COMMIT', (err) => {
+                    if (err) {
+                        return db.run('ROLLBACK', () => finish(err));
+                    }
+                    finish(null, result);
+                });
+            });
+        });
+    }
+
+    // One statement as a transaction of its own; calls back with the number
+    // of rows it changed
+    function run(sql, params, callback) {
+        transaction((done) => {
+            db.run(sql, params, function(err) {
+                done(err, err ? undefined : this.changes);
+            });
+        }, callback);
+    }
+
+    // Update a game and bump its version if it matches `conditions`; calls
+    // back with the new version, or null if it didn't match
+    function changeGame(gameId, changes, conditions, callback) {
+        const set = assignments(changes);
+        const where = ['id = ?'];
+        const params = set.params.concat(gameId);
+        if (conditions.version !== undefined) {
+            where.push('version = ?');
+            params.push(conditions.version);
+        }
+        if (conditions.unfinished) {
+            where.push('winner IS NULL AND NOT is_draw AND end_reason IS NULL');
+        }
+
+        db.get(
+            `UPDATE games SET ${set.sql}version = version + 1, updated_at = CURRENT_TIMESTAMP
+             WHERE ${where.join(' AND ')} RETURNING version`,
+            params,
+            (err, row) => callback(err, row ? row.version : null)
+        );
+    }
+
+    function open(callback) {
+        db = new sqlite3.Database(dbPath, (err) => {
+            if (err) {
+                return callback(err);
+            }
+            console.log('Connected to SQLite database');
+            migrations.migrate(db, migrations.loadMigrations(), (err, result) => {
+                if (err) {
+                    return callback(err);
+                }
+                if (result.applied.length) {
+                    console.log(`Migrated database to version ${result.current}`);
+                }
+                callback(null);
+            });
+        });
+    }
+
+    function close(callback) {
+        if (!db) {
+            return callback(null);
+        }
+        db.close(callback);
+    }
+
+    function getGame(gameId, callback) {
+        db.get(`${SELECT_GAME} WHERE g.id = ?`, [gameId], callback);
+    }
+
+    function insertGame(fields, moves, callback) {
+        const columns = Object.keys(fields);
+        transaction((done) => {
+            db.run(
+                `INSERT INTO games (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                columns.map(column => fields[column]),
+                (err) => {
+                    if (err || moves.length === 0) {
+                        return done(err);
+                    }
+                    const params = [];
+                    moves.forEach(move => params.push(fields.id, move.player, move.position));
+                    db.run(
+                        `INSERT INTO moves (game_id, player, position) VALUES ${moves.map(() => '(?, ?, ?)').join(', ')}`,
+                        params,
+                        (err) => done(err)
+                    );
+                }
+            );
+        }, (err) => callback(err));
+    }
+
+    function updateGame(gameId, changes, conditions, callback) {
+        transaction((done) => changeGame(gameId, changes, conditions, done), callback);
+    }
+
+    function listGames(query, callback) {
+        const { conditions, params } = listConditions(query.filters);
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const column = query.sort;
+        const order = query.order.toUpperCase();
+
+        // Rows after the cursor: past its sort value, with the id breaking ties
+        const pageConditions = conditions.slice();
+        const pageParams = params.slice();
+        if (query.after) {
+            const operator = query.order === 'desc' ? '<' : '>';
+            pageConditions.push(`(${column} ${operator} ? OR (${column} = ? AND id ${operator} ?))`);
+            pageParams.push(query.after.value, query.after.value, query.after.id);
+        }
+        const pageWhere = pageConditions.length ? `WHERE ${pageConditions.join(' AND ')}` : '';
+
+        db.get(`SELECT COUNT(*) AS total FROM ${GAME_LIST} ${where}`, params, (err, count) => {
+            if (err) {
+                return callback(err);
+            }
+            db.all(
+                `SELECT * FROM ${GAME_LIST} ${pageWhere} ORDER BY ${column} ${order}, id ${order} LIMIT ?`,
+                [...pageParams, query.limit],
+                (err, rows) => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    callback(null, {
+                        total: count.total,
+                        games: rows.map(row => ({ ...row, move_history: moveHistoryOf(row) }))
+                    });
+                }
+            );
+        });
+    }
+
+    function listIdleGames(cutoff, callback) {
+        db.all(`${SELECT_GAME} WHERE ${IDLE_GAMES}`, [cutoff], callback);
+    }
+
+    // Stopping the clock keeps abandoned games from being lost on time later
+    function abandonIdleGames(cutoff, callback) {
+        run(
+            `UPDATE games AS g SET end_reason = 'abandoned', turn_started_at = NULL, takeback_requested_by = NULL,
+                draw_offered_by = NULL, version = version + 1, updated_at = CURRENT_TIMESTAMP
+             WHERE ${IDLE_GAMES}`,
+            [cutoff],
+            callback
+        );
+    }
+
+    function purgeAbandonedGames(cutoff, callback) {
+        transaction((done) => {
+            db.run(`DELETE FROM seats WHERE game_id IN (${PURGEABLE_GAMES})`, [cutoff], (err) => {
+                if (err) {
+                    return done(err);
+                }
+                db.run(`DELETE FROM games WHERE id IN (${PURGEABLE_GAMES})`, [cutoff], function(err) {
+                    done(err, err ? undefined : this.changes);
+                });
+            });
+        }, callback);
+    }
+
+    function listMoves(gameId, callback) {
+        db.all(
+            'SELECT id, player, position, created_at, remaining_ms FROM moves WHERE game_id = ? ORDER BY id',
+            [gameId],
+            callback
+        );
+    }
+
+    // The game is only changed if it is still at `version`, and the move is
+    // saved in the same transaction
+    function recordMove(gameId, version, changes, move, callback) {
+        transaction((done) => {
+            changeGame(gameId, changes, { version }, (err, newVersion) => {
+                if (err || newVersion === null) {
+                    return done(err, null);
+                }
+                db.run(
+                    'INSERT INTO moves (game_id, player, position, remaining_ms) VALUES (?, ?, ?, ?)',
+                    [gameId, move.player, move.position, move.remaining_ms],
+                    (err) => done(err, newVersion)
+                );
+            });
+        }, callback);
+    }
+
+    function takeBack(gameId, version, changes, fromMoveId, callback) {
+        transaction((done) => {
+            changeGame(gameId, changes, { version }, (err, newVersion) => {
+                if (err || newVersion === null) {
+                    return done(err, null);
+                }
+                db.run('DELETE FROM moves WHERE game_id = ? AND id >= ?', [gameId, fromMoveId], (err) => done(err, newVersion));
+            });
+        }, callback);
+    }
+
+    function listSeats(gameId, callback) {
+        db.all('SELECT seat, token_hash FROM seats WHERE game_id = ?', [gameId], callback);
+    }
+
+    // The unique index catches two players racing for the same seat
+    function claimSeats(gameId, seatNames, tokenHash, callback) {
+        const params = [];
+        seatNames.forEach(seat => params.push(gameId, seat, tokenHash));
+
+        transaction((done) => {
+            db.run(
+                `INSERT INTO seats (game_id, seat, token_hash) VALUES ${seatNames.map(() => '(?, ?, ?)').join(', ')}`,
+                params,
+                (err) => {
+                    if (err && /UNIQUE/.test(err.message)) {
+                        return done(null, false);
+                    }
+                    done(err, !err);
+                }
+            );
+        }, callback);
+    }
+
+    function findOrCreatePlayer(name, callback) {
+        transaction((done) => {
+            db.run('INSERT INTO players (name) VALUES (?) ON CONFLICT (name) DO NOTHING', [name], (err) => {
+                if (err) {
+                    return done(err);
+                }
+                db.get('SELECT id FROM players WHERE name = ?', [name], (err, row) => {
+                    done(err, row && row.id);
+                });
+            });
+        }, callback);
+    }
+
+    function getPlayers(ids, callback) {
+        db.all(
+            `SELECT id, name, rating, rated_games FROM players WHERE id IN (${ids.map(() => '?').join(', ') || 'NULL'})`,
+            ids,
+            callback
+        );
+    }
+
+    // Moves a rating by `change`; the history row takes the rating before and
+    // after from the same transaction, so concurrent games cannot lose an update
+    function recordRatingChange(playerId, gameId, change, callback) {
+        transaction((done) => {
+            db.run(
+                'UPDATE players SET rating = rating + ?, rated_games = rated_games + 1 WHERE id = ?',
+                [change, playerId],
+                (err) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    db.run(
+                        `INSERT INTO rating_history (player_id, game_id, rating_before, rating_after)
+                         SELECT id, ?, rating - ?, rating FROM players WHERE id = ?`,
+                        [gameId, change, playerId],
+                        (err) => done(err)
+                    );
+                }
+            );
+        }, (err) => callback(err));
+    }
+
+    function listRatedPlayers(limit, offset, callback) {
+        db.get('SELECT COUNT(*) AS total FROM players WHERE rated_games > 0', (err, count) => {
+            if (err) {
+                return callback(err);
+            }
+            db.all(
+                `SELECT id, name, rating, rated_games FROM players
+                 WHERE rated_games > 0
+                 ORDER BY rating DESC, name ASC
+                 LIMIT ? OFFSET ?`,
+                [limit, offset],
+                (err, rows) => callback(err, err ? undefined : { total: count.total, players: rows })
+            );
+        });
+    }
+
+    function listRatingChanges(playerIds, callback) {
+        db.all(
+            `SELECT player_id, rating_after - rating_before AS change FROM rating_history
+             WHERE player_id IN (${playerIds.map(() => '?').join(', ') || 'NULL'})
+             ORDER BY id DESC`,
+            playerIds,
+            callback
+        );
+    }
+
+    function listStats(playerName, callback) {
+        db.all(
+            `SELECT ps.* FROM player_stats ps
+             JOIN players p ON p.id = ps.player_id
+             ${playerName ? 'WHERE p.name = ?' : ''}
+             ORDER BY ps.wins DESC`,
+            playerName ? [playerName] : [],
+            callback
+        );
+    }
+
+    function recordResult(playerId, counters, callback) {
+        transaction((done) => {
+            db.run(
+                `INSERT INTO player_stats (player_id, player_name, ${counters.join(', ')}, total_games)
+                 SELECT id, name, ${counters.map(() => '1').join(', ')}, 1 FROM players WHERE id = ?
+                 ON CONFLICT (player_id) DO UPDATE SET
+                    ${counters.map(column => `${column} = ${column} + 1`).join(',\n                    ')},
+                    total_games = total_games + 1,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [playerId],
+                (err) => done(err)
+            );
+        }, (err) => callback(err));
+    }
+
+    // A key older than `cutoff` has expired and is claimed afresh
+    function claimIdempotencyKey(scope, key, requestHash, cutoff, pendingCutoff, callback) {
+        transaction((done) => {
+            db.run(
+                `DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?
+                 AND (created_at < ? OR (status IS NULL AND created_at < ?))`,
+                [scope, key, cutoff, pendingCutoff],
+                (err) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    db.run(
+                        `INSERT INTO idempotency_keys (scope, idempotency_key, request_hash) VALUES (?, ?, ?)
+                         ON CONFLICT (scope, idempotency_key) DO NOTHING`,
+                        [scope, key, requestHash],
+                        function(err) {
+                            if (err || this.changes) {
+                                return done(err, null);
+                            }
+                            db.get(
+                                'SELECT request_hash, status, response FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?',
+                                [scope, key],
+                                done
+                            );
+                        }
+                    );
+                }
+            );
+        }, callback);
+    }
+
+    function saveIdempotentResponse(scope, key, status, response, callback) {
+        run(
+            'UPDATE idempotency_keys SET status = ?, response = ? WHERE scope = ? AND idempotency_key = ?',
+            [status, response, scope, key],
+            (err) => callback(err)
+        );
+    }
+
+    function releaseIdempotencyKey(scope, key, callback) {
+        run('DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?', [scope, key], (err) => callback(err));
+    }
+
+    function purgeIdempotencyKeys(cutoff, callback) {
+        run('DELETE FROM idempotency_keys WHERE created_at < ?', [cutoff], callback);
+    }
+
+    // null if the username is taken, whatever its case
+    function createUser(username, passwordHash, callback) {
+        transaction((done) => {
+            db.run('INSERT INTO users (username, password_hash) VALUES (?, ?)', [username, passwordHash], function(err) {
+                if (err && /UNIQUE/.test(err.message)) {
+                    return done(null, null);
+                }
+                done(err, err ? undefined : this.lastID);
+            });
+        }, callback);
+    }
+
+    function findUser(username, callback) {
+        db.get('SELECT id, username, password_hash FROM users WHERE username = ?', [username], callback);
+    }
+
+    function createSession(tokenHash, userId, expiresAt, callback) {
+        run(
+            'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+            [tokenHash, userId, expiresAt],
+            (err) => callback(err)
+        );
+    }
+
+    // The user a session belongs to, if it has not expired by `now`
+    function findSession(tokenHash, now, callback) {
+        db.get(
+            `SELECT u.id, u.username FROM sessions s
+             JOIN users u ON u.id = s.user_id
+             WHERE s.token_hash = ? AND s.expires_at > ?`,
+            [tokenHash, now],
+            callback
+        );
+    }
+
+    function deleteSession(tokenHash, callback) {
+        run('DELETE FROM sessions WHERE token_hash = ?', [tokenHash], (err) => callback(err));
+    }
+
+    function purgeSessions(now, callback) {
+        run('DELETE FROM sessions WHERE expires_at <= ?', [now], callback);
+    }
+
+    return {
+        open,
+        close,
+        getGame,
+        insertGame,
+        updateGame,
+        listGames,
+        listIdleGames,
+        abandonIdleGames,
+        purgeAbandonedGames,
+        listMoves,
+        recordMove,
+        takeBack,
+        listSeats,
+        claimSeats,
+        findOrCreatePlayer,
+        getPlayers,
+        recordRatingChange,
+        listRatedPlayers,
+        listRatingChanges,
+        listStats,
+        recordResult,
+        claimIdempotencyKey,
+        saveIdempotentResponse,
+        releaseIdempotencyKey,
+        purgeIdempotencyKeys,
+        createUser,
+        findUser,
+        createSession,
+        findSession,
+        deleteSession,
+        purgeSessions
+    };
+}
+
+module.exports = {
+    createStorage
+};
@@ -0,0 +1,143 @@
+// Request validation against schemas written in a subset of JSON Schema, the
+// same schemas the API description is built from. Supported keywords: type
+// (one or a list), enum, minimum, maximum, minLength, maxLength, pattern,
+// properties, required, additionalProperties (false only), items, minItems and
+// maxItems. `errorMessage` replaces the message for anything wrong with the
+// value it is on, as ajv-errors does.
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'true or false',
+    object: 'an object',
+    array: 'an array',
+    null: 'null'
+};
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+function hasType(value, type) {
+    if (type === 'integer') {
+        return Number.isInteger(value);
+    }
+    if (type === 'number') {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+    return typeOf(value) === type;
+}
+
+// Query strings and path segments are always text; read them as the schema's
+// type where they spell one out
+function coerce(value, schema) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    const types = [].concat(schema.type || []);
+    if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+// Joins a property onto a field path, e.g. "players" and "X" to "players.X"
+function fieldPath(parent, key) {
+    return parent ? `${parent}.${key}` : String(key);
+}
+
+// Problems with `value` as { field, message }, where the field is a dotted
+// path from the top of the value ('' for the value itself)
+function check(schema, value, field, options, problems) {
+    const name = field || options.name;
+    const fail = (message) => {
+        problems.push({ field, message: schema.errorMessage || `${name} ${message}` });
+        return problems;
+    };
+    if (options.coerce) {
+        value = coerce(value, schema);
+    }
+
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => hasType(value, type))) {
+            return fail(`must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`);
+        }
+    }
+    if (schema.enum && !schema.enum.some(allowed => allowed === value)) {
+        return fail(`must be one of ${schema.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return fail(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            return fail(`must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            return fail(`must match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return fail(`must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => check(schema.items, item, fieldPath(field, index), options, problems));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                problems.push({ field: fieldPath(field, key), message: `${fieldPath(field, key)} is required` });
+            }
+        }
+        for (const key of Object.keys(value)) {
+            if (properties[key]) {
+                if (value[key] !== undefined) {
+                    check(properties[key], value[key], fieldPath(field, key), options, problems);
+                }
+            } else if (schema.additionalProperties === false) {
+                problems.push({ field: fieldPath(field, key), message: `${fieldPath(field, key)} is not allowed` });
+            }
+        }
+    }
+    return problems;
+}
+
+// Returns the problems with `value` under `schema`, none if it is valid.
+// Options: `name` for the value as a whole in messages, and `coerce` to read
+// strings as numbers and booleans where the schema asks for those.
+function validate(schema, value, options = {}) {
+    return check(schema, value, '', { name: 'value', ...options }, []);
+}
+
+module.exports = {
+    validate
+};
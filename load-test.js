@@ -42,6 +42,7 @@ export default function () {
 
   if (createGameRes.status === 201) {
     const gameId = createGameRes.json('id');
+    const seatToken = createGameRes.json('seatToken');
     
     // Get the game
     const getGameRes = http.get(`${BASE_URL}/api/games/${gameId}`);
@@ -57,7 +58,7 @@ export default function () {
         position: moves[i],
         player: i % 2 === 0 ? 'X' : 'O'
       }), {
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'X-Seat-Token': seatToken },
       });
       
       check(moveRes, {
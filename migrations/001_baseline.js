@@ -0,0 +1,34 @@
+// The original schema: games, their moves and the per-letter stats tallies.
+// IF NOT EXISTS lets databases from before migrations adopt it as they are.
+module.exports = {
+    description: 'Games, moves and player stats',
+    steps: [
+        `CREATE TABLE IF NOT EXISTS games (
+            id TEXT PRIMARY KEY,
+            board TEXT NOT NULL,
+            current_player TEXT NOT NULL,
+            winner TEXT,
+            is_draw BOOLEAN DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS moves (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            game_id TEXT NOT NULL,
+            player TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (game_id) REFERENCES games (id)
+        )`,
+        `CREATE TABLE IF NOT EXISTS player_stats (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            player_name TEXT UNIQUE NOT NULL,
+            wins INTEGER DEFAULT 0,
+            losses INTEGER DEFAULT 0,
+            draws INTEGER DEFAULT 0,
+            total_games INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+    ]
+};
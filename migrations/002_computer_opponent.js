@@ -0,0 +1,10 @@
+const { addColumn } = require('../lib/migrations');
+
+module.exports = {
+    description: 'Games against the computer',
+    steps: [
+        addColumn('games', 'opponent', "TEXT DEFAULT 'human'"),
+        addColumn('games', 'difficulty', 'TEXT'),
+        addColumn('games', 'computer_player', 'TEXT')
+    ]
+};
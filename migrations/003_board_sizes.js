@@ -0,0 +1,10 @@
+const { addColumn } = require('../lib/migrations');
+
+// Rows from before N×N boards are 3×3, three in a row
+module.exports = {
+    description: 'Board size and win length per game',
+    steps: [
+        addColumn('games', 'board_size', 'INTEGER DEFAULT 3'),
+        addColumn('games', 'win_length', 'INTEGER DEFAULT 3')
+    ]
+};
@@ -0,0 +1,15 @@
+// Seats held by players, one row per side; tokens are stored hashed
+module.exports = {
+    description: 'Seat tokens',
+    steps: [
+        `CREATE TABLE IF NOT EXISTS seats (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            game_id TEXT NOT NULL,
+            seat TEXT NOT NULL,
+            token_hash TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (game_id, seat),
+            FOREIGN KEY (game_id) REFERENCES games (id)
+        )`
+    ]
+};
@@ -0,0 +1,23 @@
+const { addColumn } = require('../lib/migrations');
+
+// Stats are kept per named player, split by the side they played. Rows
+// without a player_id are the old per-letter "X"/"O"/"Draw" tallies.
+module.exports = {
+    description: 'Named players and stats by side',
+    steps: [
+        `CREATE TABLE IF NOT EXISTS players (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT UNIQUE NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        addColumn('games', 'x_player_id', 'INTEGER REFERENCES players (id)'),
+        addColumn('games', 'o_player_id', 'INTEGER REFERENCES players (id)'),
+        addColumn('player_stats', 'player_id', 'INTEGER REFERENCES players (id)'),
+        addColumn('player_stats', 'wins_as_x', 'INTEGER DEFAULT 0'),
+        addColumn('player_stats', 'losses_as_x', 'INTEGER DEFAULT 0'),
+        addColumn('player_stats', 'draws_as_x', 'INTEGER DEFAULT 0'),
+        addColumn('player_stats', 'wins_as_o', 'INTEGER DEFAULT 0'),
+        addColumn('player_stats', 'losses_as_o', 'INTEGER DEFAULT 0'),
+        addColumn('player_stats', 'draws_as_o', 'INTEGER DEFAULT 0')
+    ]
+};
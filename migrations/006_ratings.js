@@ -0,0 +1,22 @@
+const { addColumn } = require('../lib/migrations');
+
+// Everyone starts at 1500. The history has one row per player per ranked
+// game, for trends and auditing.
+module.exports = {
+    description: 'Elo ratings',
+    steps: [
+        addColumn('games', 'ranked', 'BOOLEAN DEFAULT 1'),
+        addColumn('players', 'rating', 'REAL DEFAULT 1500'),
+        addColumn('players', 'rated_games', 'INTEGER DEFAULT 0'),
+        `CREATE TABLE IF NOT EXISTS rating_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            player_id INTEGER NOT NULL,
+            game_id TEXT NOT NULL,
+            rating_before REAL NOT NULL,
+            rating_after REAL NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (player_id) REFERENCES players (id),
+            FOREIGN KEY (game_id) REFERENCES games (id)
+        )`
+    ]
+};
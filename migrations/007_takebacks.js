@@ -0,0 +1,9 @@
+const { addColumn } = require('../lib/migrations');
+
+module.exports = {
+    description: 'Takeback requests',
+    steps: [
+        addColumn('games', 'allow_takebacks', 'BOOLEAN DEFAULT 1'),
+        addColumn('games', 'takeback_requested_by', 'TEXT')
+    ]
+};
@@ -0,0 +1,7 @@
+// Moves are always read a game at a time
+module.exports = {
+    description: 'Index moves by game',
+    steps: [
+        'CREATE INDEX IF NOT EXISTS idx_moves_game_id ON moves (game_id)'
+    ]
+};
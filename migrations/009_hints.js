@@ -0,0 +1,9 @@
+const { addColumn } = require('../lib/migrations');
+
+module.exports = {
+    description: 'Hints taken by each side',
+    steps: [
+        addColumn('games', 'hints_x', 'INTEGER DEFAULT 0'),
+        addColumn('games', 'hints_o', 'INTEGER DEFAULT 0')
+    ]
+};
@@ -0,0 +1,15 @@
+const { addColumn } = require('../lib/migrations');
+
+// Clocks are in milliseconds and turn_started_at is a millisecond epoch. Each
+// move keeps the mover's clock after it.
+module.exports = {
+    description: 'Time controls',
+    steps: [
+        addColumn('games', 'time_control', 'TEXT'),
+        addColumn('games', 'clock_x_ms', 'INTEGER'),
+        addColumn('games', 'clock_o_ms', 'INTEGER'),
+        addColumn('games', 'turn_started_at', 'INTEGER'),
+        addColumn('games', 'end_reason', 'TEXT'),
+        addColumn('moves', 'remaining_ms', 'INTEGER')
+    ]
+};
@@ -0,0 +1,14 @@
+const { addColumn } = require('../lib/migrations');
+
+// Stats count results that were not decided on the board by how they ended
+module.exports = {
+    description: 'Draw offers and results by end reason',
+    steps: [
+        addColumn('games', 'draw_offered_by', 'TEXT'),
+        addColumn('player_stats', 'wins_by_resignation', 'INTEGER DEFAULT 0'),
+        addColumn('player_stats', 'losses_by_resignation', 'INTEGER DEFAULT 0'),
+        addColumn('player_stats', 'wins_on_time', 'INTEGER DEFAULT 0'),
+        addColumn('player_stats', 'losses_on_time', 'INTEGER DEFAULT 0'),
+        addColumn('player_stats', 'agreed_draws', 'INTEGER DEFAULT 0')
+    ]
+};
@@ -0,0 +1,10 @@
+const { addColumn } = require('../lib/migrations');
+
+// Every change to a game bumps its version, so a write made against an
+// out-of-date copy of the game can be refused
+module.exports = {
+    description: 'Game versions for conflict detection',
+    steps: [
+        addColumn('games', 'version', 'INTEGER NOT NULL DEFAULT 0')
+    ]
+};
@@ -0,0 +1,16 @@
+// Responses kept for retried requests, one row per endpoint and key. A row
+// without a status belongs to a request that is still being handled.
+module.exports = {
+    description: 'Idempotency keys',
+    steps: [
+        `CREATE TABLE IF NOT EXISTS idempotency_keys (
+            scope TEXT NOT NULL,
+            idempotency_key TEXT NOT NULL,
+            request_hash TEXT NOT NULL,
+            status INTEGER,
+            response TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (scope, idempotency_key)
+        )`
+    ]
+};
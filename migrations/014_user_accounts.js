@@ -0,0 +1,24 @@
+const { addColumn } = require('../lib/migrations');
+
+// Accounts with server-side sessions. Session tokens are stored hashed, and
+// games created while signed in belong to the account.
+module.exports = {
+    description: 'User accounts and sessions',
+    steps: [
+        `CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            password_hash TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS sessions (
+            token_hash TEXT PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users (id)
+        )`,
+        addColumn('games', 'owner_id', 'INTEGER'),
+        'CREATE INDEX IF NOT EXISTS idx_games_owner_id ON games (owner_id)'
+    ]
+};
@@ -0,0 +1,16 @@
+// Stats are keyed on the player rather than the name. The per-letter "X", "O"
+// and "Draw" rows from before named players are dropped, and a row a new
+// player of that name took over is recounted from its by-side columns, which
+// only ever counted that player's games.
+module.exports = {
+    description: 'Stats keyed by player id',
+    steps: [
+        'DELETE FROM player_stats WHERE player_id IS NULL',
+        `UPDATE player_stats SET
+            wins = wins_as_x + wins_as_o,
+            losses = losses_as_x + losses_as_o,
+            draws = draws_as_x + draws_as_o,
+            total_games = wins_as_x + wins_as_o + losses_as_x + losses_as_o + draws_as_x + draws_as_o`,
+        'CREATE UNIQUE INDEX IF NOT EXISTS idx_player_stats_player_id ON player_stats (player_id)'
+    ]
+};
@@ -3,17 +3,51 @@ let currentGame = null;
 let currentPlayer = 'X';
 let gameBoard = Array(9).fill('');
 let gameId = null;
-let showAllGames = false; // Track if showing all games or just 3
+let gameHistory = { games: [], total: 0, nextCursor: null }; // Finished games loaded so far
+let lastStats = []; // Player stats the panel was last drawn with
+let gameEvents = null; // Live update stream for the current game
+let mySeat = null; // 'X', 'O', 'both' (same screen) or 'viewer'
+let seatToken = null; // Secret that lets this browser move for its seat
+let statsPlayerFilter = ''; // Player name the stats panel is narrowed to
+let replay = null; // Game being replayed in the stats panel: { game, step, timer }
+let hintPosition = null; // Cell suggested by the last hint, until the board changes
+let clockSync = null; // Last clocks from the server and when they arrived
+let matchmakingTicket = null; // Queue ticket while looking for an opponent
+let matchmakingToken = null; // Proves the ticket is ours when polling or cancelling
+let matchmakingTimer = null;
+let session = null; // { token, user } while signed in; guests have none
 
 // DOM elements
 let boxes = document.querySelectorAll(".box");
+let gameGrid = document.querySelector(".game");
 let resetBtn = document.querySelector("#reset-btn");
+let undoBtn = document.querySelector("#undo-btn");
+let hintBtn = document.querySelector("#hint-btn");
+let threatsInput = document.querySelector("#threats-input");
+let takebackPrompt = document.querySelector("#takeback-prompt");
+let takebackAcceptBtn = document.querySelector("#takeback-accept-btn");
+let takebackDeclineBtn = document.querySelector("#takeback-decline-btn");
+let drawBtn = document.querySelector("#draw-btn");
+let resignBtn = document.querySelector("#resign-btn");
+let drawPrompt = document.querySelector("#draw-prompt");
+let drawAcceptBtn = document.querySelector("#draw-accept-btn");
+let drawDeclineBtn = document.querySelector("#draw-decline-btn");
 let newGameBtn = document.querySelector("#new-btn");
 let createGameBtn = document.querySelector("#create-game-btn");
 let statsBtn = document.querySelector("#stats-btn");
 let closeStatsBtn = document.querySelector("#close-stats-btn");
 let refreshStatsBtn = document.querySelector("#refresh-stats-btn");
 let showMoreBtn = document.querySelector("#show-more-btn");
+let opponentSelect = document.querySelector("#opponent-select");
+let boardSizeInput = document.querySelector("#board-size-input");
+let timeControlSelect = document.querySelector("#time-control-select");
+let winLengthInput = document.querySelector("#win-length-input");
+let rankedInput = document.querySelector("#ranked-input");
+let playerNameInput = document.querySelector("#player-name-input");
+let opponentNameInput = document.querySelector("#opponent-name-input");
+let joinGameInput = document.querySelector("#join-game-input");
+let joinGameBtn = document.querySelector("#join-game-btn");
+let findOpponentBtn = document.querySelector("#find-opponent-btn");
 let msgContainer = document.querySelector(".msg-container");
 let msg = document.querySelector("#msg");
 let mode = document.querySelector(".mode");
@@ -21,9 +55,25 @@ let body1 = document.querySelector(".body1");
 let mdp = document.querySelector(".mdp");
 let md = document.querySelector(".md");
 let currentPlayerDisplay = document.querySelector("#current-player");
+let mySeatDisplay = document.querySelector("#my-seat");
+let clocksDisplay = document.querySelector("#clocks");
+let clockXDisplay = document.querySelector("#clock-x");
+let clockODisplay = document.querySelector("#clock-o");
 let gameIdDisplay = document.querySelector("#game-id");
 let statsPanel = document.querySelector("#stats-panel");
 let statsContent = document.querySelector("#stats-content");
+let replayViewer = document.querySelector("#replay-viewer");
+let accountForm = document.querySelector("#account-form");
+let accountUser = document.querySelector("#account-user");
+let accountName = document.querySelector("#account-name");
+let usernameInput = document.querySelector("#username-input");
+let passwordInput = document.querySelector("#password-input");
+let signUpBtn = document.querySelector("#sign-up-btn");
+let signOutBtn = document.querySelector("#sign-out-btn");
+let myGamesBtn = document.querySelector("#my-games-btn");
+let myGamesPanel = document.querySelector("#my-games-panel");
+let myGamesContent = document.querySelector("#my-games-content");
+let closeMyGamesBtn = document.querySelector("#close-my-games-btn");
 
 // API base URL
 const API_BASE_URL = window.location.origin;
@@ -70,34 +120,175 @@ mdp.addEventListener("click", (e) => {
     chamode();
 });
 
+// Read the opponent picker (e.g. "computer:perfect", "human:online") and the board options
+const selectedGameOptions = () => {
+    const [opponent, variant] = opponentSelect.value.split(':');
+    const options = {
+        opponent,
+        boardSize: parseInt(boardSizeInput.value),
+        winLength: parseInt(winLengthInput.value),
+        ranked: rankedInput.checked
+    };
+    // "clock:300:5" is 5 minutes plus 5 seconds a move, "move:10" 10 seconds a move
+    const [clockType, first, second] = timeControlSelect.value.split(':');
+    if (clockType === 'clock') {
+        options.timeControl = { initialSeconds: parseInt(first), incrementSeconds: parseInt(second) };
+    } else if (clockType === 'move') {
+        options.timeControl = { secondsPerMove: parseInt(first) };
+    }
+    const myName = playerNameInput.value.trim();
+    const opponentName = opponentNameInput.value.trim();
+    if (opponent === 'computer') {
+        options.difficulty = variant;
+        options.players = { X: myName || null };
+    } else if (variant === 'online') {
+        // Take X and leave O for whoever opens the shared link
+        options.seat = 'X';
+        options.players = { X: myName || null };
+    } else {
+        options.players = { X: myName || null, O: opponentName || null };
+    }
+    return options;
+};
+
+// Everything from the server is escaped before it goes into HTML; player names
+// are chosen by users
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (ch) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+})[ch]);
+
+// The Content-Security-Policy blocks style attributes in rendered HTML, so
+// grids carry their size as data-board-size and get it through the DOM
+const applyBoardSizes = (container) => {
+    container.querySelectorAll('.move-grid[data-board-size]').forEach(grid => {
+        grid.style.setProperty('--board-size', grid.dataset.boardSize);
+    });
+};
+
+// Message from an API error response ({ error: { code, message } })
+const errorMessage = (data, fallback) => (data && data.error && data.error.message) || fallback;
+
+// Name of whoever plays a side, falling back to the letter
+const playerLabel = (game, side) => (game.players && game.players[side]) || side;
+
+// Seats are remembered per game so a reload keeps playing the same side
+const storeSeat = (id, seat, token) => {
+    mySeat = seat;
+    seatToken = token || null;
+    localStorage.setItem(`tictactoe-seat-${id}`, JSON.stringify({ seat, token: seatToken }));
+};
+
+const restoreSeat = (id) => {
+    const stored = JSON.parse(localStorage.getItem(`tictactoe-seat-${id}`) || 'null');
+    mySeat = stored ? stored.seat : null;
+    seatToken = stored ? stored.token : null;
+    return stored;
+};
+
+const canMove = () => mySeat === 'both' || mySeat === currentPlayer;
+
+// Side whose move Undo takes back: ours, or whoever just moved on a shared screen
+const takebackSide = () => {
+    if (mySeat === 'both') {
+        return currentPlayer === 'X' ? 'O' : 'X';
+    }
+    return mySeat;
+};
+
+// Side that resigns or offers a draw: ours, or the side to move on a shared screen
+const actingSide = () => (mySeat === 'both' ? currentPlayer : mySeat);
+
+// Signed-in requests carry the session token
+const authHeaders = () => (session ? { 'Authorization': `Bearer ${session.token}` } : {});
+
+const updateAccount = () => {
+    accountForm.classList.toggle('hide', Boolean(session));
+    accountUser.classList.toggle('hide', !session);
+    accountName.textContent = session ? session.user.username : '';
+};
+
+// The session is remembered so a reload stays signed in
+const storeSession = (value) => {
+    session = value;
+    if (value) {
+        localStorage.setItem('tictactoe-session', JSON.stringify(value));
+    } else {
+        localStorage.removeItem('tictactoe-session');
+    }
+    updateAccount();
+};
+
+// Network attempts for requests that are safe to retry
+const RETRY_ATTEMPTS = 3;
+
+const newIdempotencyKey = () => (window.crypto && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`);
+
+// POST with an Idempotency-Key, retrying when the connection fails. Every
+// attempt carries the same key, so the server acts once and replays its answer.
+const postWithRetry = async (url, options) => {
+    const headers = { ...options.headers, 'Idempotency-Key': newIdempotencyKey() };
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fetch(url, { ...options, method: 'POST', headers });
+        } catch (error) {
+            if (attempt >= RETRY_ATTEMPTS) {
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, 500 * attempt));
+        }
+    }
+};
+
+// How finished games ended, for the history list
+const END_REASON_LABELS = {
+    board_win: 'line completed',
+    board_draw: 'board full',
+    resignation: 'by resignation',
+    agreed_draw: 'by agreement',
+    timeout: 'on time'
+};
+
 // API functions
 async function createNewGame() {
     try {
-        const response = await fetch(`${API_BASE_URL}/api/games`, {
-            method: 'POST',
+        const response = await postWithRetry(`${API_BASE_URL}/api/games`, {
             headers: {
                 'Content-Type': 'application/json',
-            }
+                ...authHeaders()
+            },
+            body: JSON.stringify(selectedGameOptions())
         });
 
+        // The session ended; carry on as a guest
+        if (response.status === 401 && session) {
+            storeSession(null);
+            return createNewGame();
+        }
+
         if (!response.ok) {
-            throw new Error('Failed to create game');
+            const errorData = await response.json();
+            throw new Error(errorMessage(errorData, 'Failed to create game'));
         }
 
         const game = await response.json();
-        currentGame = game;
+        currentGame = null;
         gameId = game.id;
-        gameBoard = game.board;
-        currentPlayer = game.currentPlayer;
-        
-        updateDisplay();
-        enableBoxes();
-        msgContainer.classList.add("hide");
+        storeSeat(game.id, game.seat, game.seatToken);
+        applyGameState(game);
+        watchGame(gameId);
         
-        showMessage('New game created!', 'success');
+        showMessage(game.seat === 'X' && game.opponent === 'human'
+            ? 'Game created! Share the link so your opponent can join as O.'
+            : 'New game created!', 'success');
     } catch (error) {
         console.error('Error creating game:', error);
-        showMessage('Failed to create new game', 'error');
+        showMessage(error.message, 'error');
     }
 }
 
@@ -108,88 +299,598 @@ async function makeMove(position) {
     }
 
     try {
-        const response = await fetch(`${API_BASE_URL}/api/games/${gameId}/move`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Seat-Token': seatToken || ''
+        };
+        // Only play the move on the board we are looking at
+        if (currentGame && currentGame.version !== undefined) {
+            headers['If-Match'] = `"${currentGame.version}"`;
+        }
+        const response = await postWithRetry(`${API_BASE_URL}/api/games/${gameId}/move`, {
+            headers,
             body: JSON.stringify({
                 position: position,
                 player: currentPlayer
             })
         });
 
+        if (response.status === 409) {
+            await refreshGame();
+            throw new Error('The game changed before your move arrived, so it was not played');
+        }
+
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.error || 'Failed to make move');
+            throw new Error(errorMessage(errorData, 'Failed to make move'));
         }
 
         const result = await response.json();
-        currentGame = result;
-        gameBoard = result.board;
-        currentPlayer = result.currentPlayer;
-        
+        applyGameState(result);
+    } catch (error) {
+        console.error('Error making move:', error);
+        showMessage(error.message, 'error');
+    }
+}
+
+// Replace the local state with the game as the server has it now
+async function refreshGame() {
+    const response = await fetch(`${API_BASE_URL}/api/games/${gameId}`);
+    if (response.ok) {
+        applyGameState(await response.json());
+    }
+}
+
+// Ask the server for the best move and highlight it
+async function requestHint() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/games/${gameId}/hint`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Seat-Token': seatToken || ''
+            },
+            body: JSON.stringify({ player: currentPlayer })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorMessage(errorData, 'Failed to get a hint'));
+        }
+
+        const hint = await response.json();
+        if (currentGame.ranked && hint.hints.X + hint.hints.O === 1) {
+            showMessage('Hints were used, so this game will not be rated', 'success');
+        }
+        applyGameState({ hints: hint.hints });
+        hintPosition = hint.position;
         updateDisplay();
-        
-        if (result.winner) {
-            showWinner(result.winner);
-        } else if (result.isDraw) {
-            showDraw();
+    } catch (error) {
+        console.error('Error getting hint:', error);
+        showMessage(error.message, 'error');
+    }
+}
+
+// Whether `player` playing `position` would complete a line
+const completesLine = (board, position, player, winLength) => {
+    const size = Math.round(Math.sqrt(board.length));
+    const row = Math.floor(position / size);
+    const col = position % size;
+    const run = (dRow, dCol) => {
+        let count = 0;
+        let r = row + dRow;
+        let c = col + dCol;
+        while (r >= 0 && r < size && c >= 0 && c < size && board[r * size + c] === player) {
+            count++;
+            r += dRow;
+            c += dCol;
+        }
+        return count;
+    };
+    return [[0, 1], [1, 0], [1, 1], [1, -1]].some(([dRow, dCol]) =>
+        1 + run(dRow, dCol) + run(-dRow, -dCol) >= winLength
+    );
+};
+
+// Undo our last move; the opponent may have to agree first
+async function requestTakeback() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/games/${gameId}/takeback`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Seat-Token': seatToken || ''
+            },
+            body: JSON.stringify({ player: takebackSide() })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorMessage(errorData, 'Failed to take back move'));
+        }
+
+        const result = await response.json();
+        if (result.status === 'requested') {
+            showMessage('Takeback requested, waiting for your opponent', 'success');
+        } else {
+            applyGameState({ ...result, takebackRequestedBy: null });
         }
     } catch (error) {
-        console.error('Error making move:', error);
+        console.error('Error taking back move:', error);
         showMessage(error.message, 'error');
     }
 }
 
-async function loadGame(gameId) {
+async function answerTakeback(answer) {
     try {
-        const response = await fetch(`${API_BASE_URL}/api/games/${gameId}`);
+        const response = await fetch(`${API_BASE_URL}/api/games/${gameId}/takeback/${answer}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Seat-Token': seatToken || ''
+            },
+            body: JSON.stringify({ player: mySeat })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorMessage(errorData, 'Failed to answer takeback'));
+        }
+
+        const result = await response.json();
+        applyGameState({ ...result, takebackRequestedBy: null });
+    } catch (error) {
+        console.error('Error answering takeback:', error);
+        showMessage(error.message, 'error');
+    }
+}
+
+async function resignGame() {
+    if (!confirm('Resign this game?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/games/${gameId}/resign`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Seat-Token': seatToken || ''
+            },
+            body: JSON.stringify({ player: actingSide() })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorMessage(errorData, 'Failed to resign'));
+        }
+
+        applyGameState(await response.json());
+    } catch (error) {
+        console.error('Error resigning:', error);
+        showMessage(error.message, 'error');
+    }
+}
+
+// Offer a draw; the computer answers straight away, a person may take a while
+async function offerDraw() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/games/${gameId}/draw`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Seat-Token': seatToken || ''
+            },
+            body: JSON.stringify({ player: actingSide() })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorMessage(errorData, 'Failed to offer draw'));
+        }
+
+        const result = await response.json();
+        if (result.status === 'offered') {
+            applyGameState({ drawOfferedBy: result.offeredBy });
+            showMessage('Draw offered, waiting for your opponent', 'success');
+        } else if (result.status === 'declined') {
+            showMessage('The computer declined the draw', 'error');
+        } else {
+            applyGameState(result);
+        }
+    } catch (error) {
+        console.error('Error offering draw:', error);
+        showMessage(error.message, 'error');
+    }
+}
+
+async function answerDraw(answer) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/games/${gameId}/draw/${answer}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Seat-Token': seatToken || ''
+            },
+            body: JSON.stringify({ player: mySeat })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorMessage(errorData, 'Failed to answer draw offer'));
+        }
+
+        const result = await response.json();
+        applyGameState(result.status === 'declined' ? { drawOfferedBy: null } : result);
+    } catch (error) {
+        console.error('Error answering draw offer:', error);
+        showMessage(error.message, 'error');
+    }
+}
+
+// Take the open seat in someone else's game, or watch if both are taken
+async function joinGame(id) {
+    let response = await fetch(`${API_BASE_URL}/api/games/${id}/join`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ playerName: playerNameInput.value.trim() || null })
+    });
+
+    if (response.status === 409) {
+        response = await fetch(`${API_BASE_URL}/api/games/${id}/join`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ seat: 'viewer' })
+        });
+    }
+
+    if (!response.ok) {
+        throw new Error('Failed to join game');
+    }
+
+    const joined = await response.json();
+    storeSeat(id, joined.seat, joined.seatToken);
+    showMessage(joined.seat === 'viewer' ? 'Game is full, watching only' : `You are playing ${joined.seat}`, 'success');
+}
+
+async function loadGame(id) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/games/${id}`);
         
         if (!response.ok) {
             throw new Error('Failed to load game');
         }
 
-        const game = await response.json();
-        currentGame = game;
-        gameBoard = game.board;
-        currentPlayer = game.currentPlayer;
-        
-        updateDisplay();
-        
-        if (game.winner) {
-            showWinner(game.winner);
-        } else if (game.isDraw) {
-            showDraw();
+        if (!restoreSeat(id)) {
+            await joinGame(id);
         }
+
+        const game = await response.json();
+        currentGame = null;
+        gameId = game.id;
+        applyGameState(game);
+        watchGame(gameId);
     } catch (error) {
         console.error('Error loading game:', error);
         showMessage('Failed to load game', 'error');
     }
 }
 
+// Sign in, or sign up when `action` is 'register'
+async function authenticate(action) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/auth/${action}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ username: usernameInput.value.trim(), password: passwordInput.value })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(errorMessage(data, 'Failed to sign in'));
+        }
+
+        passwordInput.value = '';
+        storeSession({ token: data.token, user: data.user });
+        // Play under the account's name unless another is chosen
+        if (!playerNameInput.value.trim()) {
+            playerNameInput.value = data.user.username;
+            localStorage.setItem('tictactoe-player-name', data.user.username);
+        }
+        showMessage(action === 'register' ? 'Account created, you are signed in' : `Signed in as ${data.user.username}`, 'success');
+    } catch (error) {
+        console.error('Error signing in:', error);
+        showMessage(error.message, 'error');
+    }
+}
+
+async function signOut() {
+    try {
+        await fetch(`${API_BASE_URL}/api/auth/logout`, { method: 'POST', headers: authHeaders() });
+    } catch (error) {
+        console.error('Error signing out:', error);
+    }
+    storeSession(null);
+    myGamesPanel.classList.add('hide');
+    showMessage('Signed out', 'success');
+}
+
+// Pick up a remembered session, dropping it if it has ended
+async function restoreSession() {
+    session = JSON.parse(localStorage.getItem('tictactoe-session') || 'null');
+    updateAccount();
+    if (!session) {
+        return;
+    }
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/auth/me`, { headers: authHeaders() });
+        if (response.status === 401) {
+            storeSession(null);
+        }
+    } catch (error) {
+        console.error('Error checking session:', error);
+    }
+}
+
+// Games created while signed in, newest first, whatever state they are in
+async function loadMyGames() {
+    try {
+        const query = new URLSearchParams({ mine: 'true', status: 'in_progress,won,drawn,abandoned', limit: 20 });
+        const response = await fetch(`${API_BASE_URL}/api/games?${query}`, { headers: authHeaders() });
+        if (response.status === 401) {
+            storeSession(null);
+            throw new Error('Sign in again to see your games');
+        }
+        if (!response.ok) {
+            throw new Error('Failed to load your games');
+        }
+        displayMyGames(await response.json());
+    } catch (error) {
+        console.error('Error loading my games:', error);
+        showMessage(error.message, 'error');
+    }
+}
+
+function displayMyGames(page) {
+    if (page.games.length === 0) {
+        myGamesContent.innerHTML = '<div class="loading">Games you create while signed in show up here</div>';
+    } else {
+        myGamesContent.innerHTML = `
+            <div class="stats-section">
+                <h3>${escapeHtml(page.total)} game${page.total === 1 ? '' : 's'}</h3>
+                ${page.games.map(game => {
+                    const status = game.winner
+                        ? `Winner: ${escapeHtml(playerLabel(game, game.winner))}`
+                        : (game.isDraw ? 'Draw' : (game.endReason === 'abandoned' ? 'Abandoned' : 'In progress'));
+                    return `
+                        <div class="game-item">
+                            <div class="game-details">
+                                <span class="game-id">Game ID: ${escapeHtml(game.id.substring(0, 8))}...</span>
+                                <span class="game-players">${escapeHtml(playerLabel(game, 'X'))} (X) vs ${escapeHtml(playerLabel(game, 'O'))} (O)</span>
+                                <span class="game-date">${escapeHtml(new Date(game.createdAt).toLocaleString())}</span>
+                                <span class="game-status ${game.winner ? 'winner' : 'draw'}">${status}</span>
+                                <button class="replay-btn" data-open-game-id="${escapeHtml(game.id)}">Open</button>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+    myGamesPanel.classList.remove('hide');
+}
+
+// Queue up for a random opponent of similar rating
+async function findOpponent() {
+    const playerName = playerNameInput.value.trim();
+    if (!playerName) {
+        showMessage('Enter your name to find an opponent', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/matchmaking`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                playerName,
+                boardSize: parseInt(boardSizeInput.value),
+                winLength: parseInt(winLengthInput.value)
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to join matchmaking');
+        }
+
+        handleTicket(await response.json());
+    } catch (error) {
+        console.error('Error joining matchmaking:', error);
+        showMessage('Failed to find an opponent', 'error');
+    }
+}
+
+async function cancelMatchmaking() {
+    clearTimeout(matchmakingTimer);
+    if (matchmakingTicket) {
+        await fetch(`${API_BASE_URL}/api/matchmaking/${matchmakingTicket}`, {
+            method: 'DELETE',
+            headers: { 'X-Ticket-Token': matchmakingToken }
+        });
+    }
+    matchmakingTicket = null;
+    matchmakingToken = null;
+    findOpponentBtn.innerText = 'Find Opponent';
+}
+
+// Keep polling until the queue pairs us, then open the game on our seat
+function handleTicket(ticket) {
+    matchmakingTicket = ticket.ticketId;
+    // Only the response to joining carries the token
+    matchmakingToken = ticket.ticketToken || matchmakingToken;
+
+    if (ticket.status === 'waiting') {
+        findOpponentBtn.innerText = 'Cancel Search';
+        showMessage('Looking for an opponent...', 'success');
+        matchmakingTimer = setTimeout(pollMatchmaking, 2000);
+        return;
+    }
+
+    matchmakingTicket = null;
+    matchmakingToken = null;
+    findOpponentBtn.innerText = 'Find Opponent';
+
+    if (ticket.status === 'timed_out') {
+        showMessage('Nobody is available right now', 'error');
+        return;
+    }
+
+    const { match } = ticket;
+    storeSeat(match.gameId, match.seat, match.seatToken);
+    showMessage(`Matched with ${match.opponentName}, you are playing ${match.seat}`, 'success');
+    loadGame(match.gameId);
+}
+
+async function pollMatchmaking() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/matchmaking/${matchmakingTicket}`, {
+            headers: { 'X-Ticket-Token': matchmakingToken }
+        });
+        if (!response.ok) {
+            throw new Error('Failed to check matchmaking');
+        }
+        handleTicket(await response.json());
+    } catch (error) {
+        console.error('Error checking matchmaking:', error);
+        matchmakingTicket = null;
+        matchmakingToken = null;
+        findOpponentBtn.innerText = 'Find Opponent';
+        showMessage('Lost your place in the queue', 'error');
+    }
+}
+
+// Follow live updates so moves made on another device show up here.
+// EventSource reconnects by itself and the server resends the full state.
+function watchGame(id) {
+    if (gameEvents) {
+        gameEvents.close();
+    }
+
+    // Put the game in the URL so it can be shared with the other player
+    history.replaceState(null, '', `#${id}`);
+
+    gameEvents = new EventSource(`${API_BASE_URL}/api/games/${id}/events`);
+    gameEvents.addEventListener('state', (e) => applyGameState(JSON.parse(e.data)));
+    gameEvents.addEventListener('move', (e) => applyGameState(JSON.parse(e.data)));
+    gameEvents.addEventListener('takeback', (e) => {
+        const takeback = JSON.parse(e.data);
+        if (takeback.status === 'requested') {
+            applyGameState({ takebackRequestedBy: takeback.requestedBy });
+            return;
+        }
+        if (takeback.status === 'accepted') {
+            applyGameState({
+                board: takeback.board,
+                currentPlayer: takeback.currentPlayer,
+                winner: null,
+                isDraw: false,
+                takebackRequestedBy: null
+            });
+        } else {
+            applyGameState({ takebackRequestedBy: null });
+        }
+        if (takeback.requestedBy === mySeat) {
+            showMessage(`Takeback ${takeback.status}`, takeback.status === 'accepted' ? 'success' : 'error');
+        }
+    });
+    gameEvents.addEventListener('draw', (e) => {
+        const draw = JSON.parse(e.data);
+        applyGameState({ drawOfferedBy: draw.status === 'offered' ? draw.offeredBy : null });
+        if (draw.status === 'declined' && draw.offeredBy === mySeat) {
+            showMessage('Draw declined', 'error');
+        }
+    });
+    gameEvents.addEventListener('end', (e) => {
+        const end = JSON.parse(e.data);
+        // Games ended on the board arrive with their last move; the rest
+        // (time, resignation, agreed draws) only come through here
+        const clocks = end.clocks ? { clocks: end.clocks, clockRunning: null } : {};
+        applyGameState({
+            winner: end.winner,
+            isDraw: end.isDraw,
+            endReason: end.reason,
+            takebackRequestedBy: null,
+            drawOfferedBy: null,
+            ...clocks
+        });
+    });
+    gameEvents.addEventListener('hint', (e) => applyGameState({ hints: JSON.parse(e.data).hints }));
+    gameEvents.addEventListener('join', (e) => {
+        const { viewers } = JSON.parse(e.data);
+        if (viewers > 1) {
+            showMessage(`${viewers} people are connected to this game`, 'success');
+        }
+    });
+}
+
+// Fetch a page of finished games; the first page is short, later ones bigger
+function fetchHistoryPage(cursor) {
+    const query = new URLSearchParams({ status: 'won,drawn', limit: cursor ? 10 : 3 });
+    if (statsPlayerFilter) {
+        query.set('player', statsPlayerFilter);
+    }
+    if (cursor) {
+        query.set('cursor', cursor);
+    }
+    return fetch(`${API_BASE_URL}/api/games?${query}`);
+}
+
 async function loadStats() {
     try {
-        // Load both player stats and game history
+        // Load both player stats and the first page of game history
         const [statsResponse, gamesResponse] = await Promise.all([
             fetch(`${API_BASE_URL}/api/stats`),
-            fetch(`${API_BASE_URL}/api/games`)
+            fetchHistoryPage(null)
         ]);
         
         if (!statsResponse.ok || !gamesResponse.ok) {
             throw new Error('Failed to load statistics');
         }
 
-        const stats = await statsResponse.json();
-        const games = await gamesResponse.json();
-        displayStats(stats, games);
+        lastStats = await statsResponse.json();
+        gameHistory = await gamesResponse.json();
+        displayStats(lastStats);
     } catch (error) {
         console.error('Error loading stats:', error);
         showMessage('Failed to load statistics', 'error');
     }
 }
 
-function displayStats(stats, games) {
+// Append the next page of game history
+async function loadMoreHistory() {
+    try {
+        const response = await fetchHistoryPage(gameHistory.nextCursor);
+        if (!response.ok) {
+            throw new Error('Failed to load games');
+        }
+
+        const page = await response.json();
+        gameHistory = { ...page, games: gameHistory.games.concat(page.games) };
+        displayStats(lastStats);
+    } catch (error) {
+        console.error('Error loading games:', error);
+        showMessage('Failed to load more games', 'error');
+    }
+}
+
+function displayStats(stats) {
     let html = '<div class="stats-container">';
     
     // Player Statistics Section
@@ -198,14 +899,40 @@ function displayStats(stats, games) {
     if (stats.length === 0) {
         html += '<div class="loading">No player statistics available yet</div>';
     } else {
-        html += stats.map(player => `
+        // Narrow both stats and history down to one player
+        html += `
+            <div class="stats-filter">
+                <label for="stats-player-filter">Player: </label>
+                <select id="stats-player-filter">
+                    <option value="">All players</option>
+                    ${stats.map(player => `
+                        <option value="${escapeHtml(player.player_name)}" ${player.player_name === statsPlayerFilter ? 'selected' : ''}>
+                            ${escapeHtml(player.player_name)}
+                        </option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+        const shownStats = statsPlayerFilter
+            ? stats.filter(player => player.player_name === statsPlayerFilter)
+            : stats;
+        html += shownStats.map(player => `
             <div class="stats-item">
-                <span class="player-name"><strong>${player.player_name}</strong></span>
+                <span class="player-name"><strong>${escapeHtml(player.player_name)}</strong></span>
                 <span class="player-stats">
-                    <span class="win">W: ${player.wins}</span> | 
-                    <span class="loss">L: ${player.losses}</span> | 
-                    <span class="draw">D: ${player.draws}</span> | 
-                    <span class="total">Total: ${player.total_games}</span>
+                    <span class="win">W: ${escapeHtml(player.wins)}</span> | 
+                    <span class="loss">L: ${escapeHtml(player.losses)}</span> | 
+                    <span class="draw">D: ${escapeHtml(player.draws)}</span> | 
+                    <span class="total">Total: ${escapeHtml(player.total_games)}</span>
+                </span>
+                <span class="player-sides">
+                    As X: ${escapeHtml(player.wins_as_x)}/${escapeHtml(player.losses_as_x)}/${escapeHtml(player.draws_as_x)} · 
+                    As O: ${escapeHtml(player.wins_as_o)}/${escapeHtml(player.losses_as_o)}/${escapeHtml(player.draws_as_o)}
+                </span>
+                <span class="player-reasons">
+                    By resignation: ${escapeHtml(player.wins_by_resignation)}/${escapeHtml(player.losses_by_resignation)} · 
+                    On time: ${escapeHtml(player.wins_on_time)}/${escapeHtml(player.losses_on_time)} · 
+                    Agreed draws: ${escapeHtml(player.agreed_draws)}
                 </span>
             </div>
         `).join('');
@@ -215,30 +942,37 @@ function displayStats(stats, games) {
     // Game History Section
     html += '<div class="stats-section">';
     
-    // Filter only finished games (winner or draw)
-    const finishedGames = games.filter(game => game.winner || game.isDraw);
+    // Only finished games (won or drawn) are fetched, a page at a time
+    const finishedGames = gameHistory.games;
     
-    html += `<h3>History Game (${finishedGames.length} finished)</h3>`;
+    html += `<h3>History Game (${escapeHtml(gameHistory.total)} finished)</h3>`;
     
     if (finishedGames.length === 0) {
         html += '<div class="loading">No finished games yet</div>';
                 } else {
-                const gamesToShow = showAllGames ? finishedGames : finishedGames.slice(0, 3);
-                html += gamesToShow.map(game => {
-                    const gameDate = new Date(game.createdAt).toLocaleString();
-                    const status = game.winner ? `Winner: ${game.winner}` : 'Draw';
+                html += finishedGames.map(game => {
+                    const gameDate = escapeHtml(new Date(game.createdAt).toLocaleString());
+                    const status = game.winner ? `Winner: ${escapeHtml(playerLabel(game, game.winner))}` : 'Draw';
+                    const matchup = `${escapeHtml(playerLabel(game, 'X'))} (X) vs ${escapeHtml(playerLabel(game, 'O'))} (O)`;
                     const moves = game.moveHistory.length;
+                    const reason = END_REASON_LABELS[game.endReason]
+                        ? `<span class="game-reason">Ended ${END_REASON_LABELS[game.endReason]}</span>`
+                        : '';
+                    const hints = game.hints && (game.hints.X || game.hints.O)
+                        ? `<span class="game-hints">Hints: X ${escapeHtml(game.hints.X)}, O ${escapeHtml(game.hints.O)}</span>`
+                        : '';
                     
-                    // Create 3x3 grid visualization
-                    const board = Array(9).fill('');
+                    // Create grid visualization at the game's own size
+                    const size = parseInt(game.boardSize) || 3;
+                    const board = Array(size * size).fill('');
                     game.moveHistory.forEach(move => {
                         board[move.position] = move.player;
                     });
                     
                     const gridHTML = `
-                        <div class="move-grid">
-                            ${board.map((cell, index) => 
-                                `<div class="move-cell ${cell ? cell.toLowerCase() : 'empty'}">${cell || ''}</div>`
+                        <div class="move-grid" data-board-size="${size}">
+                            ${board.map(cell => 
+                                `<div class="move-cell ${cell ? escapeHtml(cell.toLowerCase()) : 'empty'}">${escapeHtml(cell || '')}</div>`
                             ).join('')}
                         </div>
                     `;
@@ -246,25 +980,31 @@ function displayStats(stats, games) {
                     return `
                         <div class="game-item">
                             <div class="game-header">
-                                <span class="game-id">Game ID: ${game.id.substring(0, 8)}...</span>
+                                <span class="game-id">Game ID: ${escapeHtml(game.id.substring(0, 8))}...</span>
                                 ${gridHTML}
                                 <span class="game-status ${game.winner ? 'winner' : 'draw'}">${status}</span>
                             </div>
                             <div class="game-details">
+                                <span class="game-players">${matchup}</span>
                                 <span class="game-date">${gameDate}</span>
-                                <span class="game-moves">Moves: ${moves}</span>
+                                <span class="game-moves">Moves: ${escapeHtml(moves)}</span>
+                                ${reason}
+                                ${hints}
+                                <span class="game-variant">${size}×${size}, ${escapeHtml(game.winLength || 3)} in a row</span>
+                                <button class="replay-btn" data-replay-id="${escapeHtml(game.id)}">Replay</button>
+                                <a class="replay-btn" href="${API_BASE_URL}/api/games/${encodeURIComponent(game.id)}/export" download>Export</a>
                             </div>
                         </div>
                     `;
                 }).join('');
                         }
             
-            // Add Show More/Less button if there are more than 3 games
-            if (finishedGames.length > 3) {
+            // Add Show More button while the server has further pages
+            if (gameHistory.nextCursor) {
                 html += `
                     <div class="show-more-section">
                         <button id="show-more-btn" class="show-more-btn">
-                            ${showAllGames ? 'Show Less' : `Show More (${finishedGames.length - 3} more)`}
+                            Show More (${escapeHtml(gameHistory.total - finishedGames.length)} more)
                         </button>
                     </div>
                 `;
@@ -275,9 +1015,99 @@ function displayStats(stats, games) {
             html += '</div>';
     
     statsContent.innerHTML = html;
+    applyBoardSizes(statsContent);
     statsPanel.classList.remove("hide");
 }
 
+// Load a game's moves into the replay viewer, starting from the empty board
+async function openReplay(id) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/games/${id}/moves`);
+        if (!response.ok) {
+            throw new Error('Failed to load moves');
+        }
+
+        stopReplay();
+        replay = { game: await response.json(), step: 0, timer: null };
+        renderReplay();
+    } catch (error) {
+        console.error('Error loading replay:', error);
+        showMessage('Failed to load replay', 'error');
+    }
+}
+
+const stopReplay = () => {
+    if (replay && replay.timer) {
+        clearInterval(replay.timer);
+        replay.timer = null;
+    }
+};
+
+const closeReplay = () => {
+    stopReplay();
+    replay = null;
+    replayViewer.classList.add('hide');
+};
+
+const stepReplay = (step) => {
+    replay.step = Math.max(0, Math.min(step, replay.game.moves.length));
+    if (replay.step === replay.game.moves.length) {
+        stopReplay();
+    }
+    renderReplay();
+};
+
+const toggleAutoplay = () => {
+    if (replay.timer) {
+        stopReplay();
+    } else {
+        // Start over when autoplay is pressed at the end
+        if (replay.step === replay.game.moves.length) {
+            replay.step = 0;
+        }
+        replay.timer = setInterval(() => stepReplay(replay.step + 1), 1000);
+    }
+    renderReplay();
+};
+
+// Draw the board after `replay.step` moves, numbering each mark by when it was played
+const renderReplay = () => {
+    const { game, step } = replay;
+    const size = parseInt(game.boardSize) || 3;
+    const moves = game.moves;
+    const board = step > 0 ? moves[step - 1].board : Array(size * size).fill('');
+    const numbers = {};
+    moves.slice(0, step).forEach(move => {
+        numbers[move.position] = move.number;
+    });
+    const lastPosition = step > 0 ? moves[step - 1].position : null;
+    const caption = step > 0
+        ? `Move ${step} of ${moves.length}: ${escapeHtml(playerLabel(game, moves[step - 1].player))} (${escapeHtml(moves[step - 1].player)})`
+        : `Start (${moves.length} moves)`;
+
+    replayViewer.innerHTML = `
+        <h3>Replay: ${escapeHtml(playerLabel(game, 'X'))} (X) vs ${escapeHtml(playerLabel(game, 'O'))} (O)</h3>
+        <div class="move-grid" data-board-size="${size}">
+            ${board.map((cell, index) => `
+                <div class="move-cell ${cell ? escapeHtml(cell.toLowerCase()) : 'empty'} ${index === lastPosition ? 'last' : ''}">
+                    ${cell ? `<span class="move-number">${escapeHtml(numbers[index])}</span>${escapeHtml(cell)}` : ''}
+                </div>
+            `).join('')}
+        </div>
+        <div class="replay-caption">${caption}</div>
+        <div class="replay-controls">
+            <button data-replay-action="first" ${step === 0 ? 'disabled' : ''}>⏮ First</button>
+            <button data-replay-action="previous" ${step === 0 ? 'disabled' : ''}>◀ Previous</button>
+            <button data-replay-action="autoplay">${replay.timer ? '⏸ Pause' : '▶ Autoplay'}</button>
+            <button data-replay-action="next" ${step === moves.length ? 'disabled' : ''}>Next ▶</button>
+            <button data-replay-action="last" ${step === moves.length ? 'disabled' : ''}>Last ⏭</button>
+            <button data-replay-action="close">Close</button>
+        </div>
+    `;
+    applyBoardSizes(replayViewer);
+    replayViewer.classList.remove('hide');
+};
+
 // Game logic functions
 const resetGame = () => {
     // Always create a new game when reset is clicked
@@ -290,37 +1120,147 @@ const disableBoxes = () => {
     };
 };
 
-const enableBoxes = () => {
-    for (let box of boxes) {
-        box.disabled = false;
-        box.innerText = "";
+const showWinner = (winner) => {
+    const winnerName = playerLabel(currentGame, winner);
+    const loserName = playerLabel(currentGame, winner === 'X' ? 'O' : 'X');
+    const messages = {
+        timeout: `${winnerName} wins on time!`,
+        resignation: `${loserName} resigned, ${winnerName} wins!`
     };
+    msg.innerText = messages[currentGame.endReason] || `Congratulations, Winner is ${winnerName}!`;
+    msgContainer.classList.remove("hide");
+    disableBoxes();
 };
 
-const showWinner = (winner) => {
-    msg.innerText = `Congratulations, Winner is ${winner}!`;
+const showDraw = () => {
+    msg.innerText = currentGame.endReason === 'agreed_draw' ? 'Draw agreed!' : `Game Draw!`;
     msgContainer.classList.remove("hide");
     disableBoxes();
 };
 
-const showDraw = () => {
-    msg.innerText = `Game Draw!`;
+const showAbandoned = () => {
+    msg.innerText = 'This game was abandoned';
     msgContainer.classList.remove("hide");
     disableBoxes();
 };
 
+// Count the running clock down between server updates
+const formatClock = (ms) => {
+    const seconds = Math.ceil(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const renderClocks = () => {
+    const clocks = clockSync && clockSync.clocks;
+    clocksDisplay.classList.toggle('hide', !clocks);
+    if (!clocks) {
+        return;
+    }
+
+    const elapsed = Date.now() - clockSync.receivedAt;
+    [['X', clockXDisplay], ['O', clockODisplay]].forEach(([side, display]) => {
+        const running = clockSync.running === side;
+        const left = Math.max(0, clocks[side] - (running ? elapsed : 0));
+        display.textContent = `${playerLabel(currentGame, side)} ${formatClock(left)}`;
+        display.classList.toggle('running', running);
+        display.classList.toggle('low', left < 10000);
+    });
+};
+
+setInterval(renderClocks, 250);
+
+// Rebuild the board buttons when the game's size changes
+const renderBoard = (size) => {
+    if (boxes.length === size * size) {
+        return;
+    }
+
+    gameGrid.innerHTML = '';
+    for (let index = 0; index < size * size; index++) {
+        const box = document.createElement('button');
+        box.className = 'box clr';
+        if (!bcmode) {
+            box.classList.add('bosh');
+        }
+        box.dataset.index = index;
+        gameGrid.appendChild(box);
+    }
+    gameGrid.style.setProperty('--board-size', size);
+    boxes = gameGrid.querySelectorAll('.box');
+};
+
+// Merge a game snapshot from the API or the live channel into the local state
+const applyGameState = (game) => {
+    // Skip snapshots older than the one we have, like a live update that
+    // arrives after the response to the same move
+    if (currentGame && game.version < currentGame.version) {
+        return;
+    }
+    // A hint only applies to the position it was given for
+    if (game.board) {
+        hintPosition = null;
+    }
+    currentGame = { ...currentGame, ...game };
+    if (game.clocks !== undefined) {
+        clockSync = { clocks: game.clocks, running: game.clockRunning, receivedAt: Date.now() };
+    }
+    gameBoard = currentGame.board;
+    currentPlayer = currentGame.currentPlayer;
+    
+    updateDisplay();
+    
+    if (currentGame.winner) {
+        showWinner(currentGame.winner);
+    } else if (currentGame.isDraw) {
+        showDraw();
+    } else if (currentGame.endReason === 'abandoned') {
+        showAbandoned();
+    } else {
+        msgContainer.classList.add("hide");
+    }
+};
+
 const updateDisplay = () => {
-    // Update board
+    renderBoard(Math.round(Math.sqrt(gameBoard.length)));
+
+    // Update board, with the hint and threats drawn over the empty cells
+    const finished = Boolean(currentGame?.winner || currentGame?.isDraw || currentGame?.endReason === 'abandoned');
+    const winLength = currentGame?.winLength || 3;
+    const showThreats = threatsInput.checked && !finished;
     boxes.forEach((box, index) => {
+        const empty = gameBoard[index] === '';
         box.innerText = gameBoard[index] || '';
-        box.disabled = gameBoard[index] !== '' || currentGame?.winner || currentGame?.isDraw;
+        box.disabled = !empty || finished || !canMove();
+        box.classList.toggle('hint', index === hintPosition);
+        box.classList.toggle('threat-x', showThreats && empty && completesLine(gameBoard, index, 'X', winLength));
+        box.classList.toggle('threat-o', showThreats && empty && completesLine(gameBoard, index, 'O', winLength));
     });
     
     // Update current player
     currentPlayerDisplay.textContent = currentPlayer;
+    mySeatDisplay.textContent = mySeat === 'both' ? 'X & O' : (mySeat || '-');
     
     // Update game ID
     gameIdDisplay.textContent = gameId || '-';
+
+    // Undo needs a seat and an unfinished game that allows takebacks
+    undoBtn.classList.toggle('hide', currentGame?.allowTakebacks === false);
+    undoBtn.disabled = finished || !mySeat || mySeat === 'viewer';
+
+    // Only the opponent of whoever asked gets to answer
+    const requestedBy = currentGame?.takebackRequestedBy;
+    const canAnswer = requestedBy && mySeat !== 'both' && mySeat !== 'viewer' && mySeat !== requestedBy;
+    takebackPrompt.classList.toggle('hide', !canAnswer || finished);
+
+    // Resigning and draw offers need a seat in an unfinished game
+    const seated = Boolean(mySeat) && mySeat !== 'viewer';
+    resignBtn.disabled = finished || !seated;
+    drawBtn.disabled = finished || !seated || Boolean(currentGame?.drawOfferedBy);
+    const offeredBy = currentGame?.drawOfferedBy;
+    const canAnswerDraw = offeredBy && mySeat !== 'both' && seated && mySeat !== offeredBy;
+    drawPrompt.classList.toggle('hide', !canAnswerDraw || finished);
+
+    hintBtn.disabled = finished || !canMove();
 };
 
 const showMessage = (message, type) => {
@@ -335,15 +1275,17 @@ const showMessage = (message, type) => {
     }, 3000);
 };
 
-// Event listeners
-boxes.forEach((box) => {
-    box.addEventListener("click", async () => {
-        const position = parseInt(box.dataset.index);
-        
-        if (gameBoard[position] === '' && !currentGame?.winner && !currentGame?.isDraw) {
-            await makeMove(position);
-        }
-    });
+// Event listeners (delegated, since the board is rebuilt for each size)
+gameGrid.addEventListener("click", async (e) => {
+    const box = e.target.closest('.box');
+    if (!box) {
+        return;
+    }
+    const position = parseInt(box.dataset.index);
+    
+    if (gameBoard[position] === '' && !currentGame?.winner && !currentGame?.isDraw && canMove()) {
+        await makeMove(position);
+    }
 });
 
 newGameBtn.addEventListener("click", (e) => {
@@ -351,29 +1293,123 @@ newGameBtn.addEventListener("click", (e) => {
     resetGame();
 });
 resetBtn.addEventListener("click", resetGame);
+undoBtn.addEventListener("click", requestTakeback);
+hintBtn.addEventListener("click", requestHint);
+
+// Remember whether threats are shown
+threatsInput.checked = localStorage.getItem('tictactoe-show-threats') === 'true';
+threatsInput.addEventListener("change", () => {
+    localStorage.setItem('tictactoe-show-threats', threatsInput.checked);
+    updateDisplay();
+});
+takebackAcceptBtn.addEventListener("click", () => answerTakeback('accept'));
+takebackDeclineBtn.addEventListener("click", () => answerTakeback('decline'));
+resignBtn.addEventListener("click", resignGame);
+drawBtn.addEventListener("click", offerDraw);
+drawAcceptBtn.addEventListener("click", () => answerDraw('accept'));
+drawDeclineBtn.addEventListener("click", () => answerDraw('decline'));
 createGameBtn.addEventListener("click", createNewGame);
+opponentSelect.addEventListener("change", createNewGame);
 statsBtn.addEventListener("click", loadStats);
 closeStatsBtn.addEventListener("click", () => {
+    closeReplay();
     statsPanel.classList.add("hide");
 });
 
+accountForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    authenticate('login');
+});
+signUpBtn.addEventListener("click", () => authenticate('register'));
+signOutBtn.addEventListener("click", signOut);
+myGamesBtn.addEventListener("click", loadMyGames);
+closeMyGamesBtn.addEventListener("click", () => myGamesPanel.classList.add("hide"));
+
+// Open buttons in the my games list
+document.addEventListener('click', (e) => {
+    const openBtn = e.target.closest('[data-open-game-id]');
+    if (openBtn) {
+        myGamesPanel.classList.add('hide');
+        loadGame(openBtn.dataset.openGameId);
+    }
+});
+
+joinGameBtn.addEventListener("click", () => {
+    const id = joinGameInput.value.trim();
+    if (id) {
+        loadGame(id);
+    }
+});
+
+findOpponentBtn.addEventListener("click", () => {
+    if (matchmakingTicket) {
+        cancelMatchmaking();
+    } else {
+        findOpponent();
+    }
+});
+
 refreshStatsBtn.addEventListener("click", () => {
     loadStats();
 });
 
-// Add event listener for show more/less button (using event delegation)
+// Remember the name so it is filled in next time
+playerNameInput.value = localStorage.getItem('tictactoe-player-name') || '';
+playerNameInput.addEventListener("change", () => {
+    localStorage.setItem('tictactoe-player-name', playerNameInput.value.trim());
+});
+
+// Player filter in the stats panel (rendered with the stats, so delegated)
+document.addEventListener('change', (e) => {
+    if (e.target && e.target.id === 'stats-player-filter') {
+        statsPlayerFilter = e.target.value;
+        loadStats();
+    }
+});
+
+// Add event listener for show more button (using event delegation)
 document.addEventListener('click', (e) => {
     if (e.target && e.target.id === 'show-more-btn') {
-        showAllGames = !showAllGames;
-        loadStats(); // Reload stats to update the display
+        loadMoreHistory();
     }
 });
 
+// Replay buttons in the history and the viewer's controls
+document.addEventListener('click', (e) => {
+    const replayBtn = e.target.closest('[data-replay-id]');
+    if (replayBtn) {
+        openReplay(replayBtn.dataset.replayId);
+        return;
+    }
+
+    const control = e.target.closest('[data-replay-action]');
+    if (!control || !replay) {
+        return;
+    }
+    const actions = {
+        first: () => stepReplay(0),
+        previous: () => stepReplay(replay.step - 1),
+        next: () => stepReplay(replay.step + 1),
+        last: () => stepReplay(replay.game.moves.length),
+        autoplay: toggleAutoplay,
+        close: closeReplay
+    };
+    actions[control.dataset.replayAction]();
+});
+
 // Initialize the game
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     console.log('DOM loaded, initializing game...');
     console.log('Mode button found:', mode);
     console.log('New Game button found:', newGameBtn);
     console.log('Message container found:', msgContainer);
-    createNewGame();
+    // Sign back in first, so a new game belongs to the account
+    await restoreSession();
+    // Open a shared game from the URL, otherwise start a fresh one
+    const sharedGameId = window.location.hash.slice(1);
+    if (sharedGameId) {
+        loadGame(sharedGameId);
+    } else {
+        createNewGame();
+    }
 });
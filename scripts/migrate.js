@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// Bring the database at DB_PATH up to date, or show where it stands.
+//
+//   npm run migrate                apply pending migrations
+//   npm run migrate -- --dry-run   show the SQL pending migrations would run
+//   npm run migrate -- status      list applied and pending migrations
+//
+// The server also migrates on startup, so this is for checking a database or
+// migrating ahead of a deploy.
+const sqlite3 = require('sqlite3');
+const migrations = require('../lib/migrations');
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const command = args.find(arg => !arg.startsWith('--')) || 'up';
+const dryRun = args.includes('--dry-run');
+
+if (!['up', 'status'].includes(command)) {
+    console.error(`Unknown command "${command}". Use "status", or no command to migrate.`);
+    process.exit(1);
+}
+
+const dbPath = process.env.DB_PATH || './data/tictactoe.db';
+const db = new sqlite3.Database(dbPath, (err) => {
+    if (err) {
+        console.error('Error opening database:', err.message);
+        process.exit(1);
+    }
+    run((err) => {
+        db.close();
+        if (err) {
+            console.error(err.message);
+            process.exit(1);
+        }
+    });
+});
+
+function run(callback) {
+    const known = migrations.loadMigrations();
+
+    if (command === 'status') {
+        return migrations.status(db, known, (err, status) => {
+            if (err) {
+                return callback(err);
+            }
+            console.log(`Database ${dbPath} is at version ${status.current}`);
+            status.applied.forEach(m => console.log(`  applied  ${m.version} ${m.name} (${m.appliedAt})`));
+            status.pending.forEach(m => console.log(`  pending  ${m.version} ${m.name}: ${m.description}`));
+            if (status.unknown.length) {
+                console.log(`  Versions ${status.unknown.join(', ')} were applied by newer code`);
+            }
+            callback(null);
+        });
+    }
+
+    if (dryRun) {
+        return migrations.dryRun(db, known, (err, plan) => {
+            if (err) {
+                return callback(err);
+            }
+            if (plan.pending.length === 0) {
+                console.log(`Database ${dbPath} is up to date at version ${plan.current}`);
+            }
+            plan.pending.forEach(m => {
+                console.log(`-- ${m.version} ${m.name}`);
+                m.statements.forEach(sql => console.log(`${sql.replace(/\n\s+/g, ' ')};`));
+            });
+            callback(null);
+        });
+    }
+
+    migrations.migrate(db, known, (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        result.applied.forEach(m => console.log(`Applied ${m.version} ${m.name}`));
+        console.log(`Database ${dbPath} is at version ${result.current}`);
+        callback(null);
+    });
+}
@@ -1,320 +1,2605 @@
 const express = require('express');
 const cors = require('cors');
-// const helmet = require('helmet');
+const helmet = require('helmet');
 const morgan = require('morgan');
-const sqlite3 = require('sqlite3').verbose();
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const rules = require('./lib/game');
+const ai = require('./lib/ai');
+const events = require('./lib/events');
+const seats = require('./lib/seats');
+const players = require('./lib/players');
+const rating = require('./lib/rating');
+const matchmaking = require('./lib/matchmaking');
+const pagination = require('./lib/pagination');
+const notation = require('./lib/notation');
+const solver = require('./lib/solver');
+const clock = require('./lib/clock');
+const idempotency = require('./lib/idempotency');
+const accounts = require('./lib/accounts');
+const ratelimit = require('./lib/ratelimit');
+const errors = require('./lib/errors');
+const validation = require('./lib/validation');
+const schemas = require('./lib/schemas');
+const openapi = require('./lib/openapi');
+const docs = require('./lib/docs');
+const storageBackends = require('./lib/storage');
 require('dotenv').config();
 
+// Chosen after .env is read, which may set STORAGE and DB_PATH
+const storage = storageBackends.createStorage();
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-// app.use(helmet());
-app.use(cors());
-app.use(morgan('combined'));
-app.use(express.json());
-// Serve static files with error handling
-app.use(express.static('public', {
-    setHeaders: (res, path, stat) => {
-        // Add cache headers for better performance
-        res.set('Cache-Control', 'public, max-age=3600');
+// Whose X-Forwarded-For to believe for the client's IP: by default proxies on
+// private networks, like nginx in docker-compose. TRUST_PROXY takes Express's
+// "trust proxy" values: addresses, subnets, names like "loopback" or a hop count.
+const trustProxy = process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
+// Middleware
+// Security headers. The client is same-origin files with no inline scripts or
+// styles, so the policy allows nothing else. Plain HTTP deployments are not
+// upgraded to HTTPS.
+app.use(helmet({
+    contentSecurityPolicy: {
+        directives: {
+            styleSrc: ["'self'"],
+            upgradeInsecureRequests: null
+        }
+    }
+}));
+app.use(cors());
+app.use(morgan('combined'));
+app.use(express.json());
+
+// Answer with the error envelope (see lib/errors.js) for a { status, error }
+// rejection, with its code and details if it has them
+function sendError(res, rejection) {
+    res.status(rejection.status).json(errors.errorBody(rejection));
+}
+
+// Check a request against a route's schemas from lib/schemas.js before the
+// handler sees it. A path that doesn't fit is a 404, as for any unknown path.
+function validate(route) {
+    const parts = [
+        { location: 'path', source: 'params', coerce: true, status: 404, error: 'Not found', code: 'NOT_FOUND' },
+        { location: 'query', source: 'query', coerce: true, status: 400, code: 'VALIDATION_FAILED' },
+        { location: 'body', source: 'body', coerce: false, status: 400, code: 'VALIDATION_FAILED' }
+    ].filter(part => route[part.source]);
+
+    return (req, res, next) => {
+        for (const part of parts) {
+            const value = req[part.source] === undefined ? {} : req[part.source];
+            const problems = validation.validate(route[part.source], value, { name: part.location, coerce: part.coerce });
+            if (problems.length > 0) {
+                return sendError(res, {
+                    status: part.status,
+                    code: part.code,
+                    error: part.error || problems[0].message,
+                    details: problems.map(problem => ({ location: part.location, ...problem }))
+                });
+            }
+        }
+        next();
+    };
+}
+
+// API requests wait until storage is open (for SQLite, with its schema up to date)
+let databaseState = null; // { error } once storage is ready or has failed
+const databaseWaiters = [];
+
+function databaseOpened(err) {
+    databaseState = { error: err };
+    databaseWaiters.splice(0).forEach(waiter => waiter(err));
+}
+
+app.use('/api', (req, res, next) => {
+    const proceed = (err) => (err ? sendError(res, { status: 503, error: 'Database is not available' }) : next());
+    if (databaseState) {
+        return proceed(databaseState.error);
+    }
+    databaseWaiters.push(proceed);
+});
+
+// Rate limits per window, stricter for creating games and solving positions
+// than for reading. Every request counts against its IP address, and a
+// signed-in user's also against their account. Guests are held to the per-IP
+// limit and users to the per-user one, on their address as well as their
+// account, so signing up more accounts doesn't raise what one address may do.
+// Callers on the allowlist (addresses or IPv4 CIDR ranges) are not counted.
+function rateLimitSettings() {
+    const number = (name, fallback) => parseInt(process.env[name]) || fallback;
+    return {
+        windowMs: number('RATE_LIMIT_WINDOW_MS', 60 * 1000),
+        limits: {
+            create: { ip: number('RATE_LIMIT_CREATE_PER_IP', 20), user: number('RATE_LIMIT_CREATE_PER_USER', 60) },
+            analyze: { ip: number('RATE_LIMIT_ANALYZE_PER_IP', 20), user: number('RATE_LIMIT_ANALYZE_PER_USER', 60) },
+            // Counted per imported game rather than per request
+            import: { ip: number('RATE_LIMIT_IMPORT_PER_IP', 100), user: number('RATE_LIMIT_IMPORT_PER_USER', 300) },
+            write: { ip: number('RATE_LIMIT_WRITE_PER_IP', 120), user: number('RATE_LIMIT_WRITE_PER_USER', 300) },
+            read: { ip: number('RATE_LIMIT_READ_PER_IP', 600), user: number('RATE_LIMIT_READ_PER_USER', 1200) }
+        },
+        allowlist: (process.env.RATE_LIMIT_ALLOWLIST || '').split(',').map(entry => entry.trim()).filter(Boolean)
+    };
+}
+
+// Requests that make new games: directly or through matchmaking
+const CREATE_PATHS = ['/games', '/matchmaking'];
+const HINT_PATH = /^\/games\/[^/]+\/hint$/;
+
+function rateLimitCategory(req) {
+    if (req.method === 'GET' || req.method === 'HEAD') {
+        return 'read';
+    }
+    // Each analysis or hint may hold the event loop for up to about 100ms
+    if (req.method === 'POST' && (req.path === '/analyze' || HINT_PATH.test(req.path))) {
+        return 'analyze';
+    }
+    if (req.method === 'POST' && req.path === '/games/import') {
+        return 'import';
+    }
+    return req.method === 'POST' && CREATE_PATHS.includes(req.path) ? 'create' : 'write';
+}
+
+const limiter = ratelimit.createLimiter();
+
+// Sets the RateLimit-* headers from the count that is further along (a
+// refusal, or the least left) and refuses with 429 if it is over. Returns
+// whether the request may go on.
+function applyRateLimit(res, results, windowMs, now) {
+    const result = results.reduce((worst, next) => {
+        if (worst.allowed !== next.allowed) {
+            return worst.allowed ? next : worst;
+        }
+        return next.remaining < worst.remaining ? next : worst;
+    });
+    const resetSeconds = Math.ceil((result.resetAt - now) / 1000);
+
+    res.set({
+        'RateLimit-Policy': `${result.limit};w=${Math.ceil(windowMs / 1000)}`,
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(resetSeconds)
+    });
+    if (!result.allowed) {
+        res.set('Retry-After', String(resetSeconds));
+        sendError(res, { status: 429, error: `Too many requests; try again in ${resetSeconds} seconds` });
+        return false;
+    }
+    return true;
+}
+
+// Every API request counts against its address before anything else is done
+// with it, so junk session tokens are counted too. One with a session token
+// is held to the per-user limit here: if the token is no good the request is
+// refused anyway, and if it is, its account is counted once it is known.
+app.use('/api', (req, res, next) => {
+    const settings = rateLimitSettings();
+    req.rateLimit = null;
+    if (ratelimit.isAllowed(req.ip, settings.allowlist)) {
+        return next();
+    }
+
+    const category = rateLimitCategory(req);
+    const limits = settings.limits[category];
+    const now = Date.now();
+    const limit = accounts.tokenFromRequest(req) ? limits.user : limits.ip;
+    const result = limiter.hit(`${category}:ip:${ratelimit.normalizeIp(req.ip)}`, limit, settings.windowMs, now);
+    req.rateLimit = { settings, category, result };
+    if (result.allowed) {
+        return next();
+    }
+    applyRateLimit(res, [result], settings.windowMs, now);
+});
+
+// Attach the signed-in user to API requests as req.user; guests have none. A
+// token for a session that has ended is refused rather than played as a guest.
+app.use('/api', (req, res, next) => {
+    req.user = null;
+    const token = accounts.tokenFromRequest(req);
+    if (!token) {
+        return next();
+    }
+    storage.findSession(accounts.hashSessionToken(token), toSqlTimestamp(Date.now()), (err, user) => {
+        if (err) {
+            console.error('Error fetching session:', err);
+            return sendError(res, { status: 500, error: 'Failed to check session' });
+        }
+        if (!user) {
+            return sendError(res, { status: 401, error: 'Session has expired; sign in again', code: 'SESSION_EXPIRED' });
+        }
+        req.user = user;
+        next();
+    });
+});
+
+// Every API response says where the caller stands in RateLimit-* headers; a
+// caller over the limit gets 429 with Retry-After
+app.use('/api', (req, res, next) => {
+    if (!req.rateLimit) {
+        return next();
+    }
+    const { settings, category, result } = req.rateLimit;
+    const now = Date.now();
+    const results = [result];
+    if (req.user) {
+        results.push(limiter.hit(`${category}:user:${req.user.id}`, settings.limits[category].user, settings.windowMs, now));
+    }
+    if (applyRateLimit(res, results, settings.windowMs, now)) {
+        next();
+    }
+});
+
+// Counts `cost` more requests against the caller for one that turns out to do
+// the work of several. Returns whether the request may go on; if not, it has
+// been refused with 429.
+function chargeRateLimit(req, res, cost) {
+    if (!req.rateLimit || cost <= 0) {
+        return true;
+    }
+    const { settings, category } = req.rateLimit;
+    const limits = settings.limits[category];
+    const now = Date.now();
+    const results = [
+        limiter.hit(`${category}:ip:${ratelimit.normalizeIp(req.ip)}`, req.user ? limits.user : limits.ip, settings.windowMs, now, cost)
+    ];
+    if (req.user) {
+        results.push(limiter.hit(`${category}:user:${req.user.id}`, limits.user, settings.windowMs, now, cost));
+    }
+    return applyRateLimit(res, results, settings.windowMs, now);
+}
+
+function requireUser(req, res, next) {
+    if (!req.user) {
+        return sendError(res, { status: 401, error: 'Sign in required', code: 'SIGN_IN_REQUIRED' });
+    }
+    next();
+}
+
+// Serve static files with error handling
+app.use(express.static('public', {
+    setHeaders: (res, path, stat) => {
+        // Add cache headers for better performance
+        res.set('Cache-Control', 'public, max-age=3600');
+    }
+}));
+
+// Handle static file errors
+app.use('/public', (err, req, res, next) => {
+    console.error('Static file error:', err);
+    sendError(res, { status: 404, error: 'Static file not found' });
+});
+
+// Storage setup
+storage.open((err) => {
+    if (err) {
+        console.error('Error opening storage:', err.message);
+    }
+    databaseOpened(err);
+});
+
+// Refusal of a write made against a version of the game that is out of date
+const VERSION_CONFLICT = 'Game has changed; reload it and try again';
+
+function versionConflict() {
+    return { status: 409, error: VERSION_CONFLICT, code: 'VERSION_CONFLICT' };
+}
+
+// The version a client expects the game to be at: an If-Match header holding
+// the ETag from GET /api/games/:id, or `expectedVersion` in the body.
+// Returns a { status, error } rejection if that isn't the version `game` is
+// at, or null if it is or the client didn't say.
+function checkVersion(req, game) {
+    const header = req.get('If-Match');
+    let expected = req.body && req.body.expectedVersion;
+    if (header !== undefined) {
+        if (header.trim() === '*') {
+            return null;
+        }
+        const match = /^\s*(?:W\/)?"?(\d+)"?\s*$/.exec(header);
+        expected = match ? Number(match[1]) : NaN;
+    }
+    if (expected === undefined || expected === null) {
+        return null;
+    }
+    if (!Number.isInteger(expected) || expected < 0) {
+        return errors.invalidField('header', 'If-Match', 'Expected version must be a whole number');
+    }
+    return expected === game.version ? null : versionConflict();
+}
+
+// Update a game row if it is still at the version `game` was read at, and
+// bump the version. Calls back with whether it was updated.
+function updateGame(game, changes, callback) {
+    storage.updateGame(game.id, changes, { version: game.version }, (err, version) => {
+        if (version !== null && version !== undefined) {
+            game.version = version;
+        }
+        callback(err, Boolean(version));
+    });
+}
+
+// Persist a single move and the resulting game state. The game row is only
+// updated if it is still at the version `game` was read at, and the move is
+// saved along with it, so racing moves can't both land. Calls back
+// with a { status, error } rejection, 409 if another change got there first.
+function saveMove(game, player, position, state, callback) {
+    const gameId = game.id;
+    const clocks = state.clocks || { X: null, O: null };
+    const endReason = boardEndReason(state);
+
+    // Moving on withdraws any takeback request or draw offer still waiting
+    // for an answer
+    const changes = {
+        board: JSON.stringify(state.board),
+        current_player: state.currentPlayer,
+        winner: state.winner,
+        is_draw: state.isDraw,
+        end_reason: endReason,
+        takeback_requested_by: null,
+        draw_offered_by: null,
+        clock_x_ms: clocks.X,
+        clock_o_ms: clocks.O,
+        turn_started_at: state.turnStartedAt || null
+    };
+    const move = { player, position, remaining_ms: clocks[player] };
+
+    storage.recordMove(gameId, game.version, changes, move, (err, version) => {
+        if (err) {
+            console.error('Error saving move:', err);
+            return callback({ status: 500, error: 'Failed to save move' });
+        }
+        if (version === null) {
+            return callback(versionConflict());
+        }
+
+        game.version = version;
+        state.version = version;
+
+        // Push the move to everyone watching the game
+        events.publish(gameId, 'move', {
+            id: gameId,
+            version: state.version,
+            board: state.board,
+            currentPlayer: state.currentPlayer,
+            winner: state.winner,
+            isDraw: state.isDraw,
+            endReason: endReason,
+            takebackRequestedBy: null,
+            drawOfferedBy: null,
+            ...clockFields(state),
+            move: { position, player }
+        });
+
+        if (!state.winner && !state.isDraw) {
+            scheduleFlag(gameId, state);
+            return callback(null);
+        }
+
+        // Settle stats and ratings before answering, so the move
+        // response and the leaderboard never disagree
+        recordFinishedGame(game, state.winner, state.isDraw, endReason, () => {
+            events.publish(gameId, 'end', {
+                id: gameId,
+                version: state.version,
+                winner: state.winner,
+                isDraw: state.isDraw,
+                reason: endReason
+            });
+            callback(null);
+        });
+    });
+}
+
+// How a game state ended on the board, or null while it is still going
+function boardEndReason(state) {
+    if (state.winner) {
+        return 'board_win';
+    }
+    return state.isDraw ? 'board_draw' : null;
+}
+
+// Games nobody played for too long are closed by the cleanup job and can't
+// be played on
+function isAbandoned(game) {
+    return game.end_reason === 'abandoned';
+}
+
+// Returns a { status, error } rejection saying why `player` cannot play
+// `position` in a game state, or null if they can
+function checkMove(state, player, position) {
+    if (position >= state.board.length) {
+        return errors.invalidField('body', 'position', 'Invalid position');
+    }
+    if (player !== state.currentPlayer) {
+        return { status: 400, error: 'Not your turn', code: 'NOT_YOUR_TURN' };
+    }
+    if (state.board[position] !== '') {
+        return { status: 400, error: 'Position already taken', code: 'POSITION_TAKEN' };
+    }
+    if (state.winner || state.isDraw) {
+        return { status: 400, error: 'Game is already finished', code: 'GAME_FINISHED' };
+    }
+    return null;
+}
+
+// Apply a move to a board and work out the resulting state
+function playMove(board, player, position, winLength) {
+    const nextBoard = board.slice();
+    nextBoard[position] = player;
+    const winner = rules.checkWinner(nextBoard, winLength);
+    return {
+        board: nextBoard,
+        currentPlayer: rules.otherPlayer(player),
+        winner: winner,
+        isDraw: !winner && rules.checkForDraw(nextBoard)
+    };
+}
+
+// Stored time control of a game row, or null for untimed games
+function timeControlOf(game) {
+    return game.time_control ? JSON.parse(game.time_control) : null;
+}
+
+// Charge `player` for the time since their turn started. Returns the clocks
+// after the move and when the next turn starts, or {} for untimed games.
+function chargeClock(game, clocks, turnStartedAt, player, now) {
+    const timeControl = timeControlOf(game);
+    if (!timeControl) {
+        return {};
+    }
+    const elapsed = turnStartedAt ? now - turnStartedAt : 0;
+    return { clocks: clock.afterMove(timeControl, clocks, player, elapsed), turnStartedAt: now };
+}
+
+// Clocks as they stand in a games row, with the running one charged up to now
+function clocksNow(game, now) {
+    if (!game.time_control) {
+        return null;
+    }
+    const clocks = { X: game.clock_x_ms, O: game.clock_o_ms };
+    if (game.turn_started_at && !game.winner && !game.is_draw) {
+        clocks[game.current_player] = clock.remaining(clocks, game.current_player, now - game.turn_started_at);
+    }
+    return clocks;
+}
+
+// Clock fields for responses and events about a game state. Clocks only run
+// once the first move has been made.
+function clockFields(state) {
+    const running = state.clocks && state.turnStartedAt && !state.winner && !state.isDraw;
+    return {
+        clocks: state.clocks || null,
+        clockRunning: running ? state.currentPlayer : null
+    };
+}
+
+// Finish an unfinished game with `winner` (null for a draw) for `reason`,
+// stopping the clocks where they stand, and settle stats and ratings. Calls
+// back with whether this call ended it; the row is updated to match.
+function endGame(game, winner, reason, callback) {
+    const isDraw = winner === null;
+    const clocks = clocksNow(game, Date.now());
+    const changes = { winner, is_draw: isDraw, end_reason: reason, takeback_requested_by: null, draw_offered_by: null };
+    if (clocks) {
+        changes.clock_x_ms = clocks.X;
+        changes.clock_o_ms = clocks.O;
+    }
+
+    storage.updateGame(game.id, changes, { unfinished: true }, (err, version) => {
+        if (err) {
+            console.error('Error ending game:', err);
+            return callback(err);
+        }
+        // Someone else got there first and has already settled the result
+        if (version === null) {
+            return callback(null, false);
+        }
+
+        Object.assign(game, changes, { version });
+        scheduleFlag(game.id, {});
+
+        recordFinishedGame(game, winner, isDraw, reason, () => {
+            events.publish(game.id, 'end', {
+                id: game.id,
+                version: game.version,
+                winner: winner,
+                isDraw: isDraw,
+                reason: reason,
+                clocks: clocks
+            });
+            callback(null, true);
+        });
+    });
+}
+
+// End a timed game as a loss on time for the side to move if their clock has
+// run out. Calls back with whether it is now over.
+function flagIfOutOfTime(game, now, callback) {
+    const clocks = clocksNow(game, now);
+    if (!clocks || !game.turn_started_at || game.winner || game.is_draw || clocks[game.current_player] > 0) {
+        return callback(null, false);
+    }
+
+    endGame(game, rules.otherPlayer(game.current_player), 'timeout', (err) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, true);
+    });
+}
+
+// Timers that end timed games when the side to move runs out, by game id.
+// Games are also checked whenever they are read, so a restart loses nothing.
+const flagTimers = new Map();
+
+function scheduleFlag(gameId, state) {
+    clearTimeout(flagTimers.get(gameId));
+    flagTimers.delete(gameId);
+    if (!state.clocks || !state.turnStartedAt) {
+        return;
+    }
+
+    const timer = setTimeout(() => {
+        flagTimers.delete(gameId);
+        storage.getGame(gameId, (err, game) => {
+            if (err || !game) {
+                return;
+            }
+            flagIfOutOfTime(game, Date.now(), () => {});
+        });
+    }, state.clocks[state.currentPlayer] + 50);
+    // Never keep the process alive just to end a game
+    timer.unref();
+    flagTimers.set(gameId, timer);
+}
+
+// Resolve { X: name, O: name } to { X: id, O: id }; unnamed sides stay null
+function resolvePlayers(names, callback) {
+    const ids = { X: null, O: null };
+    const sides = seats.SEATS.filter(side => names[side]);
+
+    const next = (index) => {
+        if (index === sides.length) {
+            return callback(null, ids);
+        }
+        storage.findOrCreatePlayer(names[sides[index]], (err, id) => {
+            if (err) {
+                return callback(err);
+            }
+            ids[sides[index]] = id;
+            next(index + 1);
+        });
+    };
+    next(0);
+}
+
+// Calls back with a { status, error } rejection, or null when the token holds the seat
+function checkSeat(gameId, seat, token, callback) {
+    storage.listSeats(gameId, (err, rows) => {
+        if (err) {
+            console.error('Error fetching seats:', err);
+            return callback({ status: 500, error: 'Failed to check seat' });
+        }
+        // Games created before seats existed have none and stay open to anyone
+        if (rows.length === 0) {
+            return callback(null);
+        }
+
+        const row = rows.find(r => r.seat === seat);
+        if (!row) {
+            return callback({ status: 409, error: 'Waiting for an opponent to join', code: 'WAITING_FOR_OPPONENT' });
+        }
+        if (!token) {
+            return callback({ status: 401, error: 'Seat token required', code: 'SEAT_TOKEN_REQUIRED' });
+        }
+        if (!seats.tokenMatches(token, row.token_hash)) {
+            return callback({ status: 403, error: 'Seat token does not match this player', code: 'SEAT_TOKEN_MISMATCH' });
+        }
+        callback(null);
+    });
+}
+
+// Shape a games row for API responses and event payloads
+function formatGame(row) {
+    return {
+        id: row.id,
+        board: JSON.parse(row.board),
+        currentPlayer: row.current_player,
+        winner: row.winner,
+        isDraw: Boolean(row.is_draw),
+        boardSize: row.board_size || rules.DEFAULT_BOARD_SIZE,
+        winLength: winLengthOf(row),
+        opponent: row.opponent || 'human',
+        difficulty: row.difficulty,
+        players: {
+            X: row.x_player_name || null,
+            O: row.o_player_name || null
+        },
+        computerPlayer: row.computer_player,
+        ranked: Boolean(row.ranked),
+        allowTakebacks: Boolean(row.allow_takebacks),
+        hints: { X: row.hints_x || 0, O: row.hints_o || 0 },
+        timeControl: timeControlOf(row),
+        ...clockFields({
+            clocks: clocksNow(row, Date.now()),
+            turnStartedAt: row.turn_started_at,
+            currentPlayer: row.current_player,
+            winner: row.winner,
+            isDraw: row.is_draw
+        }),
+        // Games finished before end reasons were kept ended on the board
+        endReason: row.end_reason || boardEndReason({ winner: row.winner, isDraw: row.is_draw }),
+        takebackRequestedBy: row.takeback_requested_by || null,
+        drawOfferedBy: row.draw_offered_by || null,
+        version: row.version,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Dimensions stored on a game row; rows from before N×N boards are 3×3
+function winLengthOf(game) {
+    return game.win_length || rules.DEFAULT_WIN_LENGTH;
+}
+
+// Let the computer reply if it is its turn; calls back with a { status, error }
+// rejection, or the new state and the move it made, if any
+function playComputerTurn(game, state, callback) {
+    if (game.opponent !== 'computer' || state.winner || state.isDraw ||
+        state.currentPlayer !== game.computer_player) {
+        return callback(null, state, null);
+    }
+
+    const winLength = winLengthOf(game);
+    const position = ai.chooseMove(state.board, game.computer_player, game.difficulty, winLength);
+    const nextState = {
+        ...playMove(state.board, game.computer_player, position, winLength),
+        ...chargeClock(game, state.clocks, state.turnStartedAt, game.computer_player, Date.now())
+    };
+
+    saveMove(game, game.computer_player, position, nextState, (rejection) => {
+        if (rejection) {
+            return callback(rejection);
+        }
+        callback(null, nextState, { position, player: game.computer_player });
+    });
+}
+
+// API Routes
+
+// Replay the stored response when a request is retried with the same
+// Idempotency-Key header (see lib/idempotency.js). Keys are kept per caller
+// and endpoint, so the same key may be used for moves in different games, and
+// another caller's key is a new request rather than a replay.
+function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+        return next();
+    }
+    if (!idempotency.isValidKey(key)) {
+        return sendError(res, errors.invalidField('header', 'Idempotency-Key', 'Idempotency-Key must be 1 to 255 visible characters'));
+    }
+
+    const caller = idempotency.callerOf({
+        userId: req.user && req.user.id,
+        seatToken: seats.tokenFromRequest(req),
+        ip: ratelimit.normalizeIp(req.ip)
+    });
+    const scope = `${caller} ${req.method} ${req.path}`;
+    const requestHash = idempotency.requestHash(req.body);
+    const now = Date.now();
+    const cutoff = toSqlTimestamp(now - idempotency.retentionMs());
+    const pendingCutoff = toSqlTimestamp(now - idempotency.pendingMs());
+
+    storage.claimIdempotencyKey(scope, key, requestHash, cutoff, pendingCutoff, (err, stored) => {
+        if (err) {
+            console.error('Error checking idempotency key:', err);
+            return sendError(res, { status: 500, error: 'Failed to check Idempotency-Key' });
+        }
+        if (stored) {
+            if (stored.request_hash !== requestHash) {
+                return sendError(res, { status: 422, error: 'Idempotency-Key was already used for a different request', code: 'IDEMPOTENCY_KEY_REUSED' });
+            }
+            if (stored.status === null) {
+                return sendError(res, { status: 409, error: 'A request with this Idempotency-Key is still in progress', code: 'IDEMPOTENCY_KEY_IN_USE' });
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(stored.status).json(JSON.parse(stored.response));
+        }
+
+        // Keep the response before sending it, so a retry can't arrive first.
+        // A server error frees the key for the retry to try again.
+        const send = res.json.bind(res);
+        res.json = (body) => {
+            const sent = (err) => {
+                if (err) {
+                    console.error('Error saving idempotent response:', err);
+                }
+                send(body);
+            };
+            if (res.statusCode >= 500) {
+                storage.releaseIdempotencyKey(scope, key, sent);
+            } else {
+                storage.saveIdempotentResponse(scope, key, res.statusCode, JSON.stringify(body), sent);
+            }
+            return res;
+        };
+        next();
+    });
+}
+
+// A rejection for board dimensions that don't fit together, pinned on the
+// field at fault
+function invalidDimensions(message) {
+    return errors.invalidField('body', message.startsWith('Board size') ? 'boardSize' : 'winLength', message);
+}
+
+// Create a game from POST /api/games options, owned by `owner` if a user is
+// signed in. Calls back with a { status, error } rejection, or with the
+// response body for the creator, seat token included.
+function createGame(options, owner, callback) {
+    const gameId = uuidv4();
+    const boardSize = options.boardSize === undefined ? rules.DEFAULT_BOARD_SIZE : options.boardSize;
+    const winLength = options.winLength === undefined ? rules.DEFAULT_WIN_LENGTH : options.winLength;
+    const currentPlayer = 'X';
+    const opponent = options.opponent || 'human';
+    const difficulty = opponent === 'computer' ? (options.difficulty || 'perfect') : null;
+    const computerPlayer = opponent === 'computer' ? (options.computerPlayer || 'O') : null;
+    const ranked = options.ranked === undefined ? true : options.ranked;
+    const allowTakebacks = options.allowTakebacks === undefined ? true : options.allowTakebacks;
+
+    // The shape of the options is checked by schemas.createGame; what is
+    // left is how they fit together
+    const dimensionsError = rules.validateDimensions(boardSize, winLength);
+    if (dimensionsError) {
+        return callback(invalidDimensions(dimensionsError));
+    }
+
+    const board = rules.createBoard(boardSize);
+
+    const { timeControl, error: timeControlError } = clock.parseTimeControl(options.timeControl);
+    if (timeControlError) {
+        return callback(errors.invalidField('body', 'timeControl', timeControlError));
+    }
+    const clocks = timeControl ? clock.initialClocks(timeControl) : null;
+
+    // Against the computer the creator takes the other side; otherwise they
+    // pick a side, or keep both to play two humans on one screen
+    const seat = opponent === 'computer' ? rules.otherPlayer(computerPlayer) : (options.seat || seats.BOTH);
+    const seatToken = seats.createToken();
+    const seatNames = seat === seats.BOTH ? seats.SEATS : [seat];
+    // Whoever holds both sides could rate a game against themselves
+    const rated = ranked && seat !== seats.BOTH;
+
+    // Names can only be given for the sides the creator holds
+    const names = { X: null, O: null };
+    const requestedNames = options.players || {};
+    for (const side of seats.SEATS) {
+        if (requestedNames[side] === undefined || requestedNames[side] === null) {
+            continue;
+        }
+        if (!seatNames.includes(side)) {
+            return callback(errors.invalidField('body', `players.${side}`, `Cannot name the player for ${side}`));
+        }
+        names[side] = players.normalizeName(requestedNames[side]);
+        if (!names[side]) {
+            return callback(errors.invalidField('body', `players.${side}`, 'Invalid player name'));
+        }
+    }
+    if (opponent === 'computer') {
+        names[computerPlayer] = players.computerName(difficulty);
+    }
+
+    resolvePlayers(names, (err, playerIds) => {
+        if (err) {
+            console.error('Error saving players:', err);
+            return callback({ status: 500, error: 'Failed to create game' });
+        }
+
+        const fields = {
+            id: gameId,
+            board: JSON.stringify(board),
+            current_player: currentPlayer,
+            opponent: opponent,
+            difficulty: difficulty,
+            computer_player: computerPlayer,
+            board_size: boardSize,
+            win_length: winLength,
+            x_player_id: playerIds.X,
+            o_player_id: playerIds.O,
+            ranked: rated,
+            allow_takebacks: allowTakebacks,
+            time_control: timeControl ? JSON.stringify(timeControl) : null,
+            clock_x_ms: clocks && clocks.X,
+            clock_o_ms: clocks && clocks.O,
+            owner_id: owner ? owner.id : null
+        };
+
+        storage.insertGame(fields, [], (err) => {
+            if (err) {
+                console.error('Error creating game:', err);
+                return callback({ status: 500, error: 'Failed to create game' });
+            }
+
+            storage.claimSeats(gameId, seatNames, seats.hashToken(seatToken), (err, claimed) => {
+                if (err || !claimed) {
+                    console.error('Error assigning seat:', err);
+                    return callback({ status: 500, error: 'Failed to create game' });
+                }
+
+                const game = { ...fields, version: 0 };
+                // Clocks start with the first move
+                const state = { board, currentPlayer, winner: null, isDraw: false, clocks, turnStartedAt: null };
+
+                // The computer opens the game when it plays X
+                playComputerTurn(game, state, (rejection, nextState, computerMove) => {
+                    if (rejection) {
+                        return callback(rejection);
+                    }
+                    callback(null, {
+                        id: gameId,
+                        version: game.version,
+                        board: nextState.board,
+                        currentPlayer: nextState.currentPlayer,
+                        winner: null,
+                        isDraw: false,
+                        boardSize: boardSize,
+                        winLength: winLength,
+                        opponent: opponent,
+                        difficulty: difficulty,
+                        computerPlayer: computerPlayer,
+                        ranked: rated,
+                        allowTakebacks: allowTakebacks,
+                        timeControl: timeControl,
+                        ...clockFields(nextState),
+                        players: names,
+                        computerMove: computerMove,
+                        seat: seat,
+                        seatToken: seatToken
+                    });
+                });
+            });
+        });
+    });
+}
+
+// Create new game
+app.post('/api/games', validate(schemas.createGame), idempotent, (req, res) => {
+    createGame(req.body || {}, req.user, (rejection, game) => {
+        if (rejection) {
+            return sendError(res, rejection);
+        }
+        res.status(201).json(game);
+    });
+});
+
+// Game notation: export to and import from PGN-like text (see lib/notation.js)
+
+// Most games one import may hold
+const MAX_IMPORT_GAMES = 100;
+
+function sendNotation(res, filename, rows) {
+    res.attachment(filename);
+    res.type('text/plain; charset=utf-8');
+    res.send(notation.formatGames(rows.map(row => ({ game: formatGame(row), moves: row.move_history }))));
+}
+
+// Replay a parsed game through the move rules. Returns { error } or the game
+// ready to save, with its final state and player names.
+function prepareImport(parsed) {
+    const dimensionsError = rules.validateDimensions(parsed.boardSize, parsed.winLength);
+    if (dimensionsError) {
+        return { error: dimensionsError };
+    }
+
+    const computer = parsed.opponent === 'computer';
+    if (parsed.opponent !== 'human' && !computer) {
+        return { error: 'Invalid opponent' };
+    }
+    if (computer && (!ai.DIFFICULTIES.includes(parsed.difficulty) || !seats.SEATS.includes(parsed.computerPlayer))) {
+        return { error: 'Computer games need a Difficulty and a ComputerPlayer tag' };
+    }
+
+    const names = { X: null, O: null };
+    for (const side of seats.SEATS) {
+        if (parsed.players[side] !== null) {
+            names[side] = players.normalizeName(parsed.players[side]);
+            if (!names[side]) {
+                return { error: `Invalid name for ${side}` };
+            }
+        }
+    }
+    if (computer) {
+        names[parsed.computerPlayer] = players.computerName(parsed.difficulty);
+    }
+
+    let state = { board: rules.createBoard(parsed.boardSize), currentPlayer: 'X', winner: null, isDraw: false };
+    for (const [index, move] of parsed.moves.entries()) {
+        const moveError = checkMove(state, move.player, move.position);
+        if (moveError) {
+            return { error: `Move ${index + 1}: ${moveError.error}` };
+        }
+        state = playMove(state.board, move.player, move.position, parsed.winLength);
+    }
+
+    // A game that ended off the board stops short of a result on it
+    if (parsed.termination) {
+        if (state.winner || state.isDraw) {
+            return { error: 'Termination does not match the moves' };
+        }
+        const winner = { '1-0': 'X', '0-1': 'O' }[parsed.result] || null;
+        state = { ...state, winner, isDraw: winner === null };
+    } else if (notation.resultOf(state.winner, state.isDraw) !== parsed.result) {
+        return { error: 'Result does not match the moves' };
+    }
+
+    return { ...parsed, names, state, endReason: parsed.termination || boardEndReason(state) };
+}
+
+// Save a prepared import as a new game with its moves and result, owned by
+// `owner` if a user is signed in. The importer gets the human seats so an
+// unfinished game can be played on. Imported games are unranked and leave
+// stats and ratings alone.
+function importGame(prepared, owner, callback) {
+    const gameId = uuidv4();
+    const { state, names } = prepared;
+    const computerPlayer = prepared.opponent === 'computer' ? prepared.computerPlayer : null;
+    const seat = computerPlayer ? rules.otherPlayer(computerPlayer) : seats.BOTH;
+    const seatNames = seat === seats.BOTH ? seats.SEATS : [seat];
+    const seatToken = seats.createToken();
+
+    resolvePlayers(names, (err, playerIds) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const fields = {
+            id: gameId,
+            board: JSON.stringify(state.board),
+            current_player: state.currentPlayer,
+            winner: state.winner,
+            is_draw: state.isDraw,
+            end_reason: prepared.endReason,
+            opponent: prepared.opponent,
+            difficulty: computerPlayer ? prepared.difficulty : null,
+            computer_player: computerPlayer,
+            board_size: prepared.boardSize,
+            win_length: prepared.winLength,
+            x_player_id: playerIds.X,
+            o_player_id: playerIds.O,
+            ranked: false,
+            owner_id: owner ? owner.id : null
+        };
+        // Keep the recorded date when the import has one
+        if (prepared.createdAt) {
+            fields.created_at = prepared.createdAt;
+            fields.updated_at = prepared.createdAt;
+        }
+
+        storage.insertGame(fields, prepared.moves, (err) => {
+            if (err) {
+                return callback(err);
+            }
+
+            storage.claimSeats(gameId, seatNames, seats.hashToken(seatToken), (err, claimed) => {
+                if (err || !claimed) {
+                    return callback(err || new Error('Seats already taken'));
+                }
+
+                const game = { ...fields, version: 0 };
+
+                // Let the computer reply if the game stopped on its turn
+                playComputerTurn(game, state, (err, nextState) => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    callback(null, {
+                        id: gameId,
+                        result: notation.resultOf(nextState.winner, nextState.isDraw),
+                        seat: seat,
+                        seatToken: seatToken
+                    });
+                });
+            });
+        });
+    });
+}
+
+// Export many games into one file; takes the same filters as GET /api/games.
+// Registered before GET /api/games/:id so "export" is not taken for an id.
+app.get('/api/games/export', validate(schemas.exportGames), (req, res) => {
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+    const { filters, rejection } = gameListFilters(req.query, req.user);
+    if (rejection) {
+        return sendError(res, rejection);
+    }
+
+    storage.listGames({ filters, sort: 'created_at', order: 'asc', after: null, limit }, (err, result) => {
+        if (err) {
+            console.error('Error exporting games:', err);
+            return sendError(res, { status: 500, error: 'Failed to export games' });
+        }
+        sendNotation(res, 'games.pgn', result.games);
+    });
+});
+
+// Export one game
+app.get('/api/games/:id/export', validate(schemas.exportGame), (req, res) => {
+    storage.listGames({ filters: { id: req.params.id }, sort: 'created_at', order: 'asc', after: null, limit: 1 }, (err, result) => {
+        if (err) {
+            console.error('Error exporting game:', err);
+            return sendError(res, { status: 500, error: 'Failed to export game' });
+        }
+        if (result.games.length === 0) {
+            return sendError(res, { status: 404, error: 'Game not found' });
+        }
+        sendNotation(res, `${req.params.id}.pgn`, result.games);
+    });
+});
+
+// Import games from notation, sent as a text/plain body or as { notation }.
+// Every game is checked before any is saved, so a bad file imports nothing.
+app.post('/api/games/import', express.text({ limit: '1mb' }), validate(schemas.importGames), (req, res) => {
+    const text = typeof req.body === 'string' ? req.body : req.body.notation;
+    if (!text.trim()) {
+        return sendError(res, errors.invalidField('body', 'notation', 'Notation is required'));
+    }
+
+    const parsed = notation.parseGames(text);
+    if (parsed.error) {
+        return sendError(res, { status: 400, error: parsed.error, code: 'INVALID_NOTATION' });
+    }
+    if (parsed.games.length > MAX_IMPORT_GAMES) {
+        return sendError(res, { status: 400, error: `At most ${MAX_IMPORT_GAMES} games can be imported at once`, code: 'TOO_MANY_GAMES' });
+    }
+    // The request itself counted as one game
+    if (!chargeRateLimit(req, res, parsed.games.length - 1)) {
+        return;
+    }
+
+    const prepared = [];
+    for (const [index, game] of parsed.games.entries()) {
+        const checked = prepareImport(game);
+        if (checked.error) {
+            return sendError(res, {
+                status: 400,
+                error: parsed.games.length > 1 ? `Game ${index + 1}: ${checked.error}` : checked.error,
+                code: 'INVALID_NOTATION'
+            });
+        }
+        prepared.push(checked);
+    }
+
+    const imported = [];
+    const next = (index) => {
+        if (index === prepared.length) {
+            return res.status(201).json({ imported: imported.length, games: imported });
+        }
+        importGame(prepared[index], req.user, (err, game) => {
+            if (err) {
+                console.error('Error importing game:', err);
+                return sendError(res, { status: 500, error: 'Failed to import games' });
+            }
+            imported.push(game);
+            next(index + 1);
+        });
+    };
+    next(0);
+});
+
+// Get game by ID
+app.get('/api/games/:id', validate(schemas.getGame), (req, res) => {
+    const gameId = req.params.id;
+
+    storage.getGame(gameId, (err, row) => {
+        if (err) {
+            console.error('Error fetching game:', err);
+            return sendError(res, { status: 500, error: 'Failed to fetch game' });
+        }
+        if (!row) {
+            return sendError(res, { status: 404, error: 'Game not found' });
+        }
+        flagIfOutOfTime(row, Date.now(), (err) => {
+            if (err) {
+                return sendError(res, { status: 500, error: 'Failed to fetch game' });
+            }
+            // Send the version back as If-Match to make a change only
+            // if nobody else has made one since
+            res.set('ETag', `"${row.version}"`);
+            res.json(formatGame(row));
+        });
+    });
+});
+
+// Ordered moves of a game with the board after each one, for replays
+app.get('/api/games/:id/moves', validate(schemas.listMoves), (req, res) => {
+    const gameId = req.params.id;
+
+    storage.getGame(gameId, (err, game) => {
+        if (err) {
+            console.error('Error fetching game:', err);
+            return sendError(res, { status: 500, error: 'Failed to fetch game' });
+        }
+        if (!game) {
+            return sendError(res, { status: 404, error: 'Game not found' });
+        }
+
+        storage.listMoves(gameId, (err, rows) => {
+            if (err) {
+                console.error('Error fetching moves:', err);
+                return sendError(res, { status: 500, error: 'Failed to fetch moves' });
+            }
+
+            const { id, boardSize, winLength, players: names, winner, isDraw } = formatGame(game);
+            let board = rules.createBoard(boardSize);
+            const moves = rows.map((row, index) => {
+                board = board.slice();
+                board[row.position] = row.player;
+                return {
+                    number: index + 1,
+                    player: row.player,
+                    position: row.position,
+                    createdAt: row.created_at,
+                    remainingMs: row.remaining_ms,
+                    board: board
+                };
+            });
+
+            res.json({ id, boardSize, winLength, players: names, winner, isDraw, moves });
+        });
+    });
+});
+
+// Seat a player in a game row; `requested` is 'X', 'O' or null for whichever is
+// open. Calls back with a { status, error } rejection or the join response body.
+function takeSeat(game, requested, playerName, callback) {
+    const gameId = game.id;
+
+    storage.listSeats(gameId, (err, rows) => {
+        if (err) {
+            console.error('Error fetching seats:', err);
+            return callback({ status: 500, error: 'Failed to join game' });
+        }
+
+        const taken = rows.map(row => row.seat);
+        const open = seats.SEATS.filter(s => !taken.includes(s) && s !== game.computer_player);
+        const seat = requested || open[0];
+
+        if (!seat) {
+            return callback({ status: 409, error: 'Game is full', code: 'GAME_FULL' });
+        }
+        if (!open.includes(seat)) {
+            return callback({ status: 409, error: 'Seat is already taken', code: 'SEAT_TAKEN' });
+        }
+
+        const seatToken = seats.createToken();
+        storage.claimSeats(gameId, [seat], seats.hashToken(seatToken), (err, claimed) => {
+            if (err) {
+                console.error('Error assigning seat:', err);
+                return callback({ status: 500, error: 'Failed to join game' });
+            }
+            // Someone else claimed the seat since we looked
+            if (!claimed) {
+                return callback({ status: 409, error: 'Seat is already taken', code: 'SEAT_TAKEN' });
+            }
+
+            const names = { X: null, O: null };
+            names[seat] = playerName;
+            resolvePlayers(names, (err, playerIds) => {
+                if (err) {
+                    console.error('Error saving player:', err);
+                    return callback({ status: 500, error: 'Failed to join game' });
+                }
+
+                const idColumn = seat === 'X' ? 'x_player_id' : 'o_player_id';
+                const changes = playerIds[seat] ? { [idColumn]: playerIds[seat] } : {};
+                storage.updateGame(gameId, changes, {}, (err, version) => {
+                    if (err) {
+                        console.error('Error updating game:', err);
+                        return callback({ status: 500, error: 'Failed to join game' });
+                    }
+
+                    game.version = version;
+                    if (playerName) {
+                        game[`${seat.toLowerCase()}_player_name`] = playerName;
+                    }
+
+                    events.publish(gameId, 'join', {
+                        id: gameId,
+                        version: version,
+                        seat: seat,
+                        playerName: playerName,
+                        viewers: events.subscriberCount(gameId)
+                    });
+                    callback(null, {
+                        id: gameId,
+                        seat: seat,
+                        seatToken: seatToken,
+                        game: formatGame(game)
+                    });
+                });
+            });
+        });
+    });
+}
+
+// Join a game as the second player, or as a read-only viewer
+app.post('/api/games/:id/join', validate(schemas.joinGame), (req, res) => {
+    const gameId = req.params.id;
+    const requested = req.body.seat || null;
+    const requestedName = req.body.playerName;
+    const playerName = requestedName === undefined || requestedName === null ? null : players.normalizeName(requestedName);
+
+    if (playerName === null && requestedName !== undefined && requestedName !== null) {
+        return sendError(res, errors.invalidField('body', 'playerName', 'Invalid player name'));
+    }
+
+    storage.getGame(gameId, (err, game) => {
+        if (err) {
+            console.error('Error fetching game:', err);
+            return sendError(res, { status: 500, error: 'Failed to fetch game' });
+        }
+        if (!game) {
+            return sendError(res, { status: 404, error: 'Game not found' });
+        }
+
+        // Viewers only watch, so they get no token
+        if (requested === seats.VIEWER) {
+            events.publish(gameId, 'join', {
+                id: gameId,
+                seat: seats.VIEWER,
+                viewers: events.subscriberCount(gameId)
+            });
+            return res.json({ id: gameId, seat: seats.VIEWER, game: formatGame(game) });
+        }
+
+        takeSeat(game, requested, playerName, (rejection, joined) => {
+            if (rejection) {
+                return sendError(res, rejection);
+            }
+            res.status(201).json(joined);
+        });
+    });
+});
+
+// Live updates for a game: sends the full state on every (re)connect, then
+// every move, game end and player join as server-sent events
+app.get('/api/games/:id/events', validate(schemas.gameEvents), (req, res) => {
+    const gameId = req.params.id;
+
+    storage.getGame(gameId, (err, row) => {
+        if (err) {
+            console.error('Error fetching game:', err);
+            return sendError(res, { status: 500, error: 'Failed to fetch game' });
+        }
+        if (!row) {
+            return sendError(res, { status: 404, error: 'Game not found' });
+        }
+
+        flagIfOutOfTime(row, Date.now(), (err) => {
+            if (err) {
+                return sendError(res, { status: 500, error: 'Failed to fetch game' });
+            }
+            events.subscribe(gameId, req, res);
+            events.send(res, 'state', formatGame(row));
+            events.publish(gameId, 'join', {
+                id: gameId,
+                viewers: events.subscriberCount(gameId)
+            });
+        });
+    });
+});
+
+// Make a move
+app.post('/api/games/:id/move', validate(schemas.move), idempotent, (req, res) => {
+    const gameId = req.params.id;
+    const { position, player } = req.body;
+
+    storage.getGame(gameId, (err, game) => {
+        if (err) {
+            console.error('Error fetching game:', err);
+            return sendError(res, { status: 500, error: 'Failed to fetch game' });
+        }
+        if (!game) {
+            return sendError(res, { status: 404, error: 'Game not found' });
+        }
+
+        if (isAbandoned(game)) {
+            return sendError(res, { status: 400, error: 'Game was abandoned', code: 'GAME_ABANDONED' });
+        }
+
+        const conflict = checkVersion(req, game);
+        if (conflict) {
+            return sendError(res, conflict);
+        }
+
+        const board = JSON.parse(game.board);
+        const moveError = checkMove({
+            board,
+            currentPlayer: game.current_player,
+            winner: game.winner,
+            isDraw: game.is_draw
+        }, player, position);
+
+        if (moveError) {
+            return sendError(res, moveError);
+        }
+
+        if (game.opponent === 'computer' && player === game.computer_player) {
+            return sendError(res, { status: 400, error: 'Not your turn', code: 'NOT_YOUR_TURN' });
+        }
+
+        checkSeat(gameId, player, seats.tokenFromRequest(req), (rejection) => {
+            if (rejection) {
+                return sendError(res, rejection);
+            }
+
+            const now = Date.now();
+            flagIfOutOfTime(game, now, (err, flagged) => {
+                if (err) {
+                    return sendError(res, { status: 500, error: 'Failed to make move' });
+                }
+                if (flagged) {
+                    return sendError(res, { status: 400, error: 'Out of time', code: 'OUT_OF_TIME' });
+                }
+
+                const state = {
+                    ...playMove(board, player, position, winLengthOf(game)),
+                    ...chargeClock(game, { X: game.clock_x_ms, O: game.clock_o_ms }, game.turn_started_at, player, now)
+                };
+
+                saveMove(game, player, position, state, (rejection) => {
+                    if (rejection) {
+                        return sendError(res, rejection);
+                    }
+
+                    playComputerTurn(game, state, (rejection, nextState, computerMove) => {
+                        if (rejection) {
+                            return sendError(res, rejection);
+                        }
+                        res.json({
+                            id: gameId,
+                            version: game.version,
+                            board: nextState.board,
+                            currentPlayer: nextState.currentPlayer,
+                            winner: nextState.winner,
+                            isDraw: nextState.isDraw,
+                            boardSize: game.board_size || rules.DEFAULT_BOARD_SIZE,
+                            winLength: winLengthOf(game),
+                            endReason: boardEndReason(nextState),
+                            takebackRequestedBy: null,
+                            drawOfferedBy: null,
+                            ...clockFields(nextState),
+                            move: { position, player },
+                            computerMove: computerMove
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+// Most first moves the computer's search weighs for a hint on a board too big
+// to solve; searching them all takes about a second on a busy 15x15 board
+const HINT_CANDIDATES = 8;
+
+// Suggest a move for the side to move and count the hint against them. Small
+// positions get the solver's perfect move; bigger ones the computer's choice.
+app.post('/api/games/:id/hint', validate(schemas.hint), (req, res) => {
+    const gameId = req.params.id;
+    const player = req.body.player;
+
+    storage.getGame(gameId, (err, game) => {
+        if (err) {
+            console.error('Error fetching game:', err);
+            return sendError(res, { status: 500, error: 'Failed to fetch game' });
+        }
+        if (!game) {
+            return sendError(res, { status: 404, error: 'Game not found' });
+        }
+        if (game.winner || game.is_draw) {
+            return sendError(res, { status: 400, error: 'Game is already finished', code: 'GAME_FINISHED' });
+        }
+        if (isAbandoned(game)) {
+            return sendError(res, { status: 400, error: 'Game was abandoned', code: 'GAME_ABANDONED' });
+        }
+        if (player !== game.current_player) {
+            return sendError(res, { status: 400, error: 'Not your turn', code: 'NOT_YOUR_TURN' });
+        }
+
+        checkSeat(gameId, player, seats.tokenFromRequest(req), (rejection) => {
+            rejection = rejection || checkVersion(req, game);
+            if (rejection) {
+                return sendError(res, rejection);
+            }
+
+            const board = JSON.parse(game.board);
+            const winLength = winLengthOf(game);
+            let position;
+            let outcome = null;
+            if (solver.canSolve(board)) {
+                const analysis = solver.analyze(board, player, winLength);
+                position = analysis.recommendedMove;
+                outcome = analysis.outcome;
+            } else {
+                position = ai.bestMove(board, player, winLength, HINT_CANDIDATES);
+            }
+
+            const hintColumn = player === 'X' ? 'hints_x' : 'hints_o';
+            updateGame(game, { [hintColumn]: (game[hintColumn] || 0) + 1 }, (err, updated) => {
+                if (err) {
+                    console.error('Error recording hint:', err);
+                    return sendError(res, { status: 500, error: 'Failed to record hint' });
+                }
+                if (!updated) {
+                    return sendError(res, versionConflict());
+                }
+
+                const hints = { X: game.hints_x || 0, O: game.hints_o || 0 };
+                hints[player]++;
+                // Let the other side know hints are being used
+                events.publish(gameId, 'hint', { id: gameId, version: game.version, player, hints });
+                res.json({ id: gameId, version: game.version, player, position, outcome, hints });
+            });
+        });
+    });
+});
+
+// Whether one token holds every seat in a game, as on a shared screen. Games
+// from before seats existed have none, and anyone may play either side.
+function holdsBothSeats(gameId, token, callback) {
+    storage.listSeats(gameId, (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, rows.length === 0 ||
+            (rows.length === seats.SEATS.length && Boolean(token) && rows.every(row => seats.tokenMatches(token, row.token_hash))));
+    });
+}
+
+// Undo `player`'s last move and everything played after it, rebuilding the
+// board from the moves that are left. The game row is only updated if it is
+// still at the version `game` was read at, and the moves are removed along
+// with it. Calls back with a { status, error } rejection or the new state.
+function rollBack(game, player, callback) {
+    const gameId = game.id;
+    const now = Date.now();
+
+    storage.listMoves(gameId, (err, moves) => {
+        if (err) {
+            console.error('Error taking back move:', err);
+            return callback({ status: 500, error: 'Failed to take back move' });
+        }
+        const last = moves.map(move => move.player).lastIndexOf(player);
+        if (last === -1) {
+            return callback({ status: 400, error: 'Nothing to take back', code: 'NOTHING_TO_TAKE_BACK' });
+        }
+
+        const state = {
+            board: rules.replayMoves(game.board_size || rules.DEFAULT_BOARD_SIZE, moves.slice(0, last)),
+            currentPlayer: player,
+            winner: null,
+            isDraw: false
+        };
+        // A timed game's clock restarts for the player taking back
+        const changes = {
+            board: JSON.stringify(state.board),
+            current_player: state.currentPlayer,
+            takeback_requested_by: null,
+            turn_started_at: game.turn_started_at ? now : null
+        };
+        storage.takeBack(gameId, game.version, changes, moves[last].id, (err, version) => {
+            if (err) {
+                console.error('Error taking back move:', err);
+                return callback({ status: 500, error: 'Failed to take back move' });
+            }
+            if (!version) {
+                return callback(versionConflict());
+            }
+            game.version = version;
+
+            if (game.turn_started_at) {
+                scheduleFlag(gameId, {
+                    clocks: { X: game.clock_x_ms, O: game.clock_o_ms },
+                    turnStartedAt: now,
+                    currentPlayer: player
+                });
+            }
+            events.publish(gameId, 'takeback', {
+                id: gameId,
+                version: game.version,
+                status: 'accepted',
+                requestedBy: player,
+                board: state.board,
+                currentPlayer: state.currentPlayer
+            });
+            callback(null, state);
+        });
+    });
+}
+
+// Load an unfinished game and check the caller holds `player`'s seat; calls
+// back with a { status, error } rejection or the games row. A timed game whose
+// side to move has run out of time is ended first. The rejection is a 409 if
+// the client expected the game at another version.
+function loadSeatedGame(req, player, callback) {
+    const gameId = req.params.id;
+
+    storage.getGame(gameId, (err, game) => {
+        if (err) {
+            console.error('Error fetching game:', err);
+            return callback({ status: 500, error: 'Failed to fetch game' });
+        }
+        if (!game) {
+            return callback({ status: 404, error: 'Game not found' });
+        }
+
+        flagIfOutOfTime(game, Date.now(), (err) => {
+            if (err) {
+                return callback({ status: 500, error: 'Failed to fetch game' });
+            }
+            if (game.winner || game.is_draw) {
+                return callback({ status: 400, error: 'Game is already finished', code: 'GAME_FINISHED' });
+            }
+            if (isAbandoned(game)) {
+                return callback({ status: 400, error: 'Game was abandoned', code: 'GAME_ABANDONED' });
+            }
+
+            checkSeat(gameId, player, seats.tokenFromRequest(req), (rejection) => {
+                callback(rejection || checkVersion(req, game), game);
+            });
+        });
+    });
+}
+
+// loadSeatedGame for games that allow takebacks
+function loadTakebackGame(req, player, callback) {
+    loadSeatedGame(req, player, (rejection, game) => {
+        if (!rejection && !game.allow_takebacks) {
+            return callback({ status: 403, error: 'Takebacks are not allowed in this game', code: 'TAKEBACKS_DISABLED' });
+        }
+        callback(rejection, game);
+    });
+}
+
+// Shape the response to a finished takeback
+function takebackResult(game, state) {
+    return {
+        id: game.id,
+        version: game.version,
+        status: 'accepted',
+        board: state.board,
+        currentPlayer: state.currentPlayer,
+        winner: null,
+        isDraw: false,
+        boardSize: game.board_size || rules.DEFAULT_BOARD_SIZE,
+        winLength: winLengthOf(game)
+    };
+}
+
+// Ask to take back your last move. Against the computer, or when one person
+// holds both seats, it happens at once; otherwise the opponent has to accept.
+app.post('/api/games/:id/takeback', validate(schemas.takeback), (req, res) => {
+    const player = req.body && req.body.player;
+
+    loadTakebackGame(req, player, (rejection, game) => {
+        if (rejection) {
+            return sendError(res, rejection);
+        }
+
+        holdsBothSeats(game.id, seats.tokenFromRequest(req), (err, sharedScreen) => {
+            if (err) {
+                console.error('Error fetching seats:', err);
+                return sendError(res, { status: 500, error: 'Failed to request takeback' });
+            }
+
+            if (game.opponent === 'computer' || sharedScreen) {
+                return rollBack(game, player, (rejection, state) => {
+                    if (rejection) {
+                        return sendError(res, rejection);
+                    }
+                    res.json(takebackResult(game, state));
+                });
+            }
+
+            if (game.takeback_requested_by) {
+                return sendError(res, { status: 409, error: 'A takeback is already waiting for an answer', code: 'TAKEBACK_PENDING' });
+            }
+
+            storage.listMoves(game.id, (err, moves) => {
+                if (err) {
+                    console.error('Error fetching moves:', err);
+                    return sendError(res, { status: 500, error: 'Failed to request takeback' });
+                }
+                if (!moves.some(move => move.player === player)) {
+                    return sendError(res, { status: 400, error: 'Nothing to take back', code: 'NOTHING_TO_TAKE_BACK' });
+                }
+
+                updateGame(game, { takeback_requested_by: player }, (err, updated) => {
+                    if (err) {
+                        console.error('Error requesting takeback:', err);
+                        return sendError(res, { status: 500, error: 'Failed to request takeback' });
+                    }
+                    if (!updated) {
+                        return sendError(res, versionConflict());
+                    }
+                    events.publish(game.id, 'takeback', {
+                        id: game.id,
+                        version: game.version,
+                        status: 'requested',
+                        requestedBy: player
+                    });
+                    res.status(202).json({ id: game.id, version: game.version, status: 'requested', requestedBy: player });
+                });
+            });
+        });
+    });
+});
+
+// Answer the opponent's takeback request; `player` is the side answering
+app.post('/api/games/:id/takeback/:answer', validate(schemas.answerTakeback), (req, res) => {
+    const answer = req.params.answer;
+    const player = req.body.player;
+
+    loadTakebackGame(req, player, (rejection, game) => {
+        if (rejection) {
+            return sendError(res, rejection);
+        }
+
+        const requestedBy = game.takeback_requested_by;
+        if (!requestedBy || requestedBy === player) {
+            return sendError(res, { status: 409, error: 'No takeback request to answer', code: 'NO_TAKEBACK_REQUEST' });
+        }
+
+        if (answer === 'accept') {
+            return rollBack(game, requestedBy, (rejection, state) => {
+                if (rejection) {
+                    return sendError(res, rejection);
+                }
+                res.json(takebackResult(game, state));
+            });
+        }
+
+        updateGame(game, { takeback_requested_by: null }, (err, updated) => {
+            if (err) {
+                console.error('Error declining takeback:', err);
+                return sendError(res, { status: 500, error: 'Failed to decline takeback' });
+            }
+            if (!updated) {
+                return sendError(res, versionConflict());
+            }
+            events.publish(game.id, 'takeback', {
+                id: game.id,
+                version: game.version,
+                status: 'declined',
+                requestedBy: requestedBy
+            });
+            res.json({ id: game.id, version: game.version, status: 'declined', requestedBy: requestedBy });
+        });
+    });
+});
+
+// Resign the game for `player`; the other side wins
+app.post('/api/games/:id/resign', validate(schemas.resign), (req, res) => {
+    const player = req.body && req.body.player;
+
+    loadSeatedGame(req, player, (rejection, game) => {
+        if (rejection) {
+            return sendError(res, rejection);
+        }
+
+        endGame(game, rules.otherPlayer(player), 'resignation', (err, ended) => {
+            if (err) {
+                return sendError(res, { status: 500, error: 'Failed to resign' });
+            }
+            if (!ended) {
+                return sendError(res, { status: 400, error: 'Game is already finished', code: 'GAME_FINISHED' });
+            }
+            res.json(formatGame(game));
+        });
+    });
+});
+
+// The computer takes a draw once perfect play can no longer win it the game;
+// positions too big to solve are played on
+function computerAcceptsDraw(game) {
+    const board = JSON.parse(game.board);
+    if (!solver.canSolve(board)) {
+        return false;
+    }
+    const outcome = solver.solve(board, game.current_player, winLengthOf(game)).outcome;
+    return outcome !== (game.current_player === game.computer_player ? 'win' : 'loss');
+}
+
+// End the game as an agreed draw and answer with the finished game
+function agreeDraw(res, game) {
+    endGame(game, null, 'agreed_draw', (err, ended) => {
+        if (err) {
+            return sendError(res, { status: 500, error: 'Failed to agree draw' });
+        }
+        if (!ended) {
+            return sendError(res, { status: 400, error: 'Game is already finished', code: 'GAME_FINISHED' });
+        }
+        res.json({ ...formatGame(game), status: 'accepted' });
+    });
+}
+
+// Offer a draw. The computer answers at once, and on a shared screen the offer
+// is taken as agreed; otherwise the opponent has to accept. Offering while the
+// opponent's offer is waiting accepts it.
+app.post('/api/games/:id/draw', validate(schemas.offerDraw), (req, res) => {
+    const player = req.body && req.body.player;
+
+    loadSeatedGame(req, player, (rejection, game) => {
+        if (rejection) {
+            return sendError(res, rejection);
+        }
+
+        holdsBothSeats(game.id, seats.tokenFromRequest(req), (err, sharedScreen) => {
+            if (err) {
+                console.error('Error fetching seats:', err);
+                return sendError(res, { status: 500, error: 'Failed to offer draw' });
+            }
+
+            if (game.opponent === 'computer') {
+                if (computerAcceptsDraw(game)) {
+                    return agreeDraw(res, game);
+                }
+                return res.json({ id: game.id, status: 'declined', offeredBy: player });
+            }
+            if (sharedScreen || game.draw_offered_by === rules.otherPlayer(player)) {
+                return agreeDraw(res, game);
+            }
+            if (game.draw_offered_by) {
+                return sendError(res, { status: 409, error: 'A draw offer is already waiting for an answer', code: 'DRAW_OFFER_PENDING' });
+            }
+
+            updateGame(game, { draw_offered_by: player }, (err, updated) => {
+                if (err) {
+                    console.error('Error offering draw:', err);
+                    return sendError(res, { status: 500, error: 'Failed to offer draw' });
+                }
+                if (!updated) {
+                    return sendError(res, versionConflict());
+                }
+                events.publish(game.id, 'draw', {
+                    id: game.id,
+                    version: game.version,
+                    status: 'offered',
+                    offeredBy: player
+                });
+                res.status(202).json({ id: game.id, version: game.version, status: 'offered', offeredBy: player });
+            });
+        });
+    });
+});
+
+// Answer the opponent's draw offer; `player` is the side answering
+app.post('/api/games/:id/draw/:answer', validate(schemas.answerDraw), (req, res) => {
+    const answer = req.params.answer;
+    const player = req.body.player;
+
+    loadSeatedGame(req, player, (rejection, game) => {
+        if (rejection) {
+            return sendError(res, rejection);
+        }
+
+        const offeredBy = game.draw_offered_by;
+        if (!offeredBy || offeredBy === player) {
+            return sendError(res, { status: 409, error: 'No draw offer to answer', code: 'NO_DRAW_OFFER' });
+        }
+
+        if (answer === 'accept') {
+            return agreeDraw(res, game);
+        }
+
+        updateGame(game, { draw_offered_by: null }, (err, updated) => {
+            if (err) {
+                console.error('Error declining draw:', err);
+                return sendError(res, { status: 500, error: 'Failed to decline draw' });
+            }
+            if (!updated) {
+                return sendError(res, versionConflict());
+            }
+            events.publish(game.id, 'draw', {
+                id: game.id,
+                version: game.version,
+                status: 'declined',
+                offeredBy: offeredBy
+            });
+            res.json({ id: game.id, version: game.version, status: 'declined', offeredBy: offeredBy });
+        });
+    });
+});
+
+// Columns the game list can be sorted by, keyed by the `sort` query value
+const GAME_SORTS = {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    moves: 'total_moves'
+};
+
+// Timestamps are stored as SQLite's UTC "YYYY-MM-DD HH:MM:SS"
+function toSqlTimestamp(value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        return null;
+    }
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Turn the game list query string, already checked against its schema, into
+// storage filters for `user`, who may be a guest. Returns { rejection } for a
+// filter that can't be used, otherwise { filters }.
+function gameListFilters(query, user) {
+    const filters = {};
+
+    if (query.status !== undefined) {
+        filters.statuses = query.status.split(',');
+    } else {
+        // Abandoned games only show up when asked for by status
+        filters.statuses = schemas.GAME_STATUSES.filter(status => status !== 'abandoned');
     }
-}));
 
-// Handle static file errors
-app.use('/public', (err, req, res, next) => {
-    console.error('Static file error:', err);
-    res.status(404).json({ error: 'Static file not found' });
+    if (query.player !== undefined) {
+        filters.player = query.player;
+    }
+
+    // The winner is a side, or the name of whoever won
+    if (query.winner !== undefined) {
+        if (seats.SEATS.includes(query.winner)) {
+            filters.winnerSide = query.winner;
+        } else {
+            filters.winnerName = query.winner;
+        }
+    }
+
+    for (const name of ['from', 'to']) {
+        if (query[name] === undefined) {
+            continue;
+        }
+        const timestamp = toSqlTimestamp(query[name]);
+        if (!timestamp) {
+            return { rejection: errors.invalidField('query', name, `Invalid ${name} date`) };
+        }
+        filters[name] = timestamp;
+    }
+
+    if (query.minMoves !== undefined) {
+        filters.minMoves = Number(query.minMoves);
+    }
+
+    // Only the signed-in user's own games
+    if (query.mine !== undefined) {
+        if (!user) {
+            return { rejection: { status: 401, error: 'Sign in to list your own games', code: 'SIGN_IN_REQUIRED' } };
+        }
+        filters.ownerId = user.id;
+    }
+
+    return { filters };
+}
+
+// List games a page at a time, newest first unless `sort`/`order` say otherwise.
+// Filters: status, winner, player, from, to, minMoves and mine (the signed-in
+// user's games); abandoned games are left out unless `status` asks for them. Pass the `nextCursor` of one page as
+// `cursor` to get the next.
+app.get('/api/games', validate(schemas.listGames), (req, res) => {
+    const sort = req.query.sort || 'createdAt';
+    const order = req.query.order || 'desc';
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+    const { filters, rejection } = gameListFilters(req.query, req.user);
+    if (rejection) {
+        return sendError(res, rejection);
+    }
+
+    const column = GAME_SORTS[sort];
+    let after = null;
+    if (req.query.cursor !== undefined) {
+        const cursor = pagination.decodeCursor(req.query.cursor);
+        if (!cursor || cursor.sort !== sort || cursor.order !== order) {
+            return sendError(res, errors.invalidField('query', 'cursor', 'Invalid cursor'));
+        }
+        after = { value: cursor.value, id: cursor.id };
+    }
+
+    // One extra row tells us whether there is another page
+    storage.listGames({ filters, sort: column, order, after, limit: limit + 1 }, (err, result) => {
+        if (err) {
+            console.error('Error fetching games:', err);
+            return sendError(res, { status: 500, error: 'Failed to fetch games' });
+        }
+
+        const page = result.games.slice(0, limit);
+        const last = page[page.length - 1];
+        res.json({
+            total: result.total,
+            limit: limit,
+            nextCursor: result.games.length > limit
+                ? pagination.encodeCursor({ sort, order, value: last[column], id: last.id })
+                : null,
+            games: page.map(row => ({
+                ...formatGame(row),
+                totalMoves: row.total_moves,
+                moveHistory: row.move_history
+            }))
+        });
+    });
 });
 
-// Database setup
-const dbPath = process.env.DB_PATH || './data/tictactoe.db';
-const db = new sqlite3.Database(dbPath, (err) => {
-    if (err) {
-        console.error('Error opening database:', err.message);
-    } else {
-        console.log('Connected to SQLite database');
-        initDatabase();
-    }
-});
-
-// Initialize database tables
-function initDatabase() {
-    db.serialize(() => {
-        // Games table
-        db.run(`CREATE TABLE IF NOT EXISTS games (
-            id TEXT PRIMARY KEY,
-            board TEXT NOT NULL,
-            current_player TEXT NOT NULL,
-            winner TEXT,
-            is_draw BOOLEAN DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`);
-
-        // Game moves table
-        db.run(`CREATE TABLE IF NOT EXISTS moves (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            game_id TEXT NOT NULL,
-            player TEXT NOT NULL,
-            position INTEGER NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (game_id) REFERENCES games (id)
-        )`);
-
-        // Player stats table
-        db.run(`CREATE TABLE IF NOT EXISTS player_stats (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            player_name TEXT UNIQUE NOT NULL,
-            wins INTEGER DEFAULT 0,
-            losses INTEGER DEFAULT 0,
-            draws INTEGER DEFAULT 0,
-            total_games INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`);
-    });
-}
-
-// Game logic
-const winPatterns = [
-    [0, 1, 2], [3, 4, 5], [6, 7, 8], // rows
-    [0, 3, 6], [1, 4, 7], [2, 5, 8], // columns
-    [0, 4, 8], [2, 4, 6] // diagonals
-];
-
-function checkWinner(board) {
-    for (let pattern of winPatterns) {
-        const [a, b, c] = pattern;
-        if (board[a] && board[a] === board[b] && board[a] === board[c]) {
-            return board[a];
+// Solve any position: the outcome of each legal move under perfect play, the
+// move to play and whether the position could come up in a real game at all.
+// The side to move defaults to whoever's turn the mark counts say it is.
+app.post('/api/analyze', validate(schemas.analyze), (req, res) => {
+    const { board, player, winLength = rules.DEFAULT_WIN_LENGTH } = req.body;
+
+    const boardSize = rules.boardSizeOf(board);
+    if (boardSize * boardSize !== board.length) {
+        return sendError(res, errors.invalidField('body', 'board', 'Board must be square'));
+    }
+    const dimensionsError = rules.validateDimensions(boardSize, winLength);
+    if (dimensionsError) {
+        return sendError(res, errors.invalidField('body', dimensionsError.startsWith('Board size') ? 'board' : 'winLength', dimensionsError));
+    }
+
+    const xCount = board.filter(cell => cell === 'X').length;
+    const oCount = board.filter(cell => cell === 'O').length;
+    const toMove = player || (xCount > oCount ? 'O' : 'X');
+
+    const analysis = solver.analyze(board, toMove, winLength);
+    if (analysis.error) {
+        return sendError(res, { status: 422, error: analysis.error, code: 'POSITION_TOO_BIG' });
+    }
+    res.json({ player: toMove, boardSize, winLength, ...analysis });
+});
+
+// Get player statistics, for everyone or for one player
+app.get('/api/stats', validate(schemas.stats), (req, res) => {
+    const playerName = req.query.player;
+
+    storage.listStats(playerName || null, (err, rows) => {
+        if (err) {
+            console.error('Error fetching stats:', err);
+            return sendError(res, { status: 500, error: 'Failed to fetch stats' });
         }
+        res.json(rows);
+    });
+});
+
+// Column names for each result, in total and by side
+const RESULT_COLUMNS = { win: 'wins', loss: 'losses', draw: 'draws' };
+
+// Columns counting results that were not decided on the board, by end reason
+const REASON_COLUMNS = {
+    win: { resignation: 'wins_by_resignation', timeout: 'wins_on_time' },
+    loss: { resignation: 'losses_by_resignation', timeout: 'losses_on_time' },
+    draw: { agreed_draw: 'agreed_draws' }
+};
+
+// Add one finished game to a player's record
+function recordResult(playerId, side, result, reason, callback) {
+    const total = RESULT_COLUMNS[result];
+    const columns = [total, `${total}_as_${side.toLowerCase()}`];
+    if (REASON_COLUMNS[result][reason]) {
+        columns.push(REASON_COLUMNS[result][reason]);
     }
-    return null;
+
+    storage.recordResult(playerId, columns, (err) => {
+        if (err) {
+            console.error('Error updating player stats:', err);
+        }
+        callback();
+    });
 }
 
-function checkForDraw(board) {
-    return board.every(cell => cell !== '');
+// Update player statistics for the named players on each side
+function updatePlayerStats(game, winner, isDraw, reason, callback) {
+    const playerIds = { X: game.x_player_id, O: game.o_player_id };
+    const sides = seats.SEATS.filter(side => playerIds[side]);
+    let pending = sides.length;
+
+    if (pending === 0) {
+        return callback();
+    }
+    for (const side of sides) {
+        const result = isDraw ? 'draw' : (winner === side ? 'win' : 'loss');
+        recordResult(playerIds[side], side, result, reason, () => {
+            pending--;
+            if (pending === 0) {
+                callback();
+            }
+        });
+    }
 }
 
-// API Routes
+// Stats and rating failures are logged rather than failing the move that ended the game
+function recordFinishedGame(game, winner, isDraw, reason, callback) {
+    updatePlayerStats(game, winner, isDraw, reason, () => {
+        updateRatings(game, winner, isDraw, callback);
+    });
+}
 
-// Create new game
-app.post('/api/games', (req, res) => {
-    const gameId = uuidv4();
-    const board = Array(9).fill('');
-    const currentPlayer = 'X';
+// Move a player's rating and log the change against the game
+function applyRatingChange(player, change, gameId, callback) {
+    storage.recordRatingChange(player.id, gameId, change, (err) => {
+        if (err) {
+            console.error('Error updating rating:', err);
+        }
+        callback();
+    });
+}
 
-    db.run(
-        'INSERT INTO games (id, board, current_player) VALUES (?, ?, ?)',
-        [gameId, JSON.stringify(board), currentPlayer],
-        function(err) {
+// Calls back with whether X and O were played by different people: the
+// computer, or two different seat tokens. One token holding both sides is a
+// shared screen, where one person could play both names.
+function playedApart(game, callback) {
+    if (game.opponent === 'computer') {
+        return callback(true);
+    }
+    storage.listSeats(game.id, (err, rows) => {
+        if (err) {
+            console.error('Error fetching seats:', err);
+            return callback(false);
+        }
+        const x = rows.find(row => row.seat === 'X');
+        const o = rows.find(row => row.seat === 'O');
+        callback(Boolean(x && o && x.token_hash !== o.token_hash));
+    });
+}
+
+// Rate a finished ranked game between two different named players on
+// different seats. Taking a hint makes the game unrated.
+function updateRatings(game, winner, isDraw, callback) {
+    if (!game.ranked || !game.x_player_id || !game.o_player_id || game.x_player_id === game.o_player_id ||
+        game.hints_x || game.hints_o) {
+        return callback();
+    }
+
+    playedApart(game, (apart) => {
+        if (!apart) {
+            return callback();
+        }
+        storage.getPlayers([game.x_player_id, game.o_player_id], (err, rows) => {
             if (err) {
-                console.error('Error creating game:', err);
-                return res.status(500).json({ error: 'Failed to create game' });
+                console.error('Error fetching ratings:', err);
+                return callback();
             }
-            res.status(201).json({
-                id: gameId,
-                board: board,
-                currentPlayer: currentPlayer,
-                winner: null,
-                isDraw: false
+            const x = rows.find(row => row.id === game.x_player_id);
+            const o = rows.find(row => row.id === game.o_player_id);
+            if (!x || !o) {
+                return callback();
+            }
+
+            const score = isDraw ? 0.5 : (winner === 'X' ? 1 : 0);
+            const changes = rating.ratingChanges(
+                { rating: x.rating, ratedGames: x.rated_games },
+                { rating: o.rating, ratedGames: o.rated_games },
+                score
+            );
+            applyRatingChange(x, changes.player, game.id, () => {
+                applyRatingChange(o, changes.opponent, game.id, callback);
             });
-        }
-    );
-});
+        });
+    });
+}
 
-// Get game by ID
-app.get('/api/games/:id', (req, res) => {
-    const gameId = req.params.id;
+// Players ordered by rating, a page at a time
+app.get('/api/leaderboard', validate(schemas.leaderboard), (req, res) => {
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+    storage.listRatedPlayers(limit, offset, (err, result) => {
+        if (err) {
+            console.error('Error fetching leaderboard:', err);
+            return sendError(res, { status: 500, error: 'Failed to fetch leaderboard' });
+        }
 
-    db.get(
-        'SELECT * FROM games WHERE id = ?',
-        [gameId],
-        (err, row) => {
+        storage.listRatingChanges(result.players.map(row => row.id), (err, history) => {
             if (err) {
-                console.error('Error fetching game:', err);
-                return res.status(500).json({ error: 'Failed to fetch game' });
-            }
-            if (!row) {
-                return res.status(404).json({ error: 'Game not found' });
+                console.error('Error fetching rating history:', err);
+                return sendError(res, { status: 500, error: 'Failed to fetch leaderboard' });
             }
+
             res.json({
-                id: row.id,
-                board: JSON.parse(row.board),
-                currentPlayer: row.current_player,
-                winner: row.winner,
-                isDraw: Boolean(row.is_draw),
-                createdAt: row.created_at,
-                updatedAt: row.updated_at
+                total: result.total,
+                limit: limit,
+                offset: offset,
+                players: result.players.map((row, index) => {
+                    const recent = history
+                        .filter(entry => entry.player_id === row.id)
+                        .slice(0, rating.TREND_GAMES)
+                        .map(entry => Math.round(entry.change));
+                    return {
+                        rank: offset + index + 1,
+                        name: row.name,
+                        rating: Math.round(row.rating),
+                        ratedGames: row.rated_games,
+                        provisional: rating.isProvisional(row.rated_games),
+                        trend: recent.reduce((sum, change) => sum + change, 0),
+                        recentChanges: recent
+                    };
+                })
             });
-        }
-    );
+        });
+    });
 });
 
-// Make a move
-app.post('/api/games/:id/move', (req, res) => {
-    const gameId = req.params.id;
-    const { position, player } = req.body;
+// Computer level a player gets when nobody turns up in the queue
+const FALLBACK_DIFFICULTY = 'medium';
+
+// What a ticket holder sees when polling the queue
+function formatTicket(ticket) {
+    return {
+        ticketId: ticket.id,
+        // A ticket being paired is still waiting as far as the player can tell
+        status: ticket.status === 'pairing' ? 'waiting' : ticket.status,
+        playerName: ticket.playerName,
+        rating: Math.round(ticket.rating),
+        boardSize: ticket.boardSize,
+        winLength: ticket.winLength,
+        fallback: ticket.fallback,
+        waitedMs: Date.now() - ticket.joinedAt,
+        match: ticket.match
+    };
+}
+
+// Create a game for two queued players, with X and O assigned at random. X
+// stands in for the creator, so the game belongs to X's account, or to O's
+// if X is a guest.
+function pairTickets(first, second, callback) {
+    const [xTicket, oTicket] = Math.random() < 0.5 ? [first, second] : [second, first];
+    const options = {
+        seat: 'X',
+        players: { X: xTicket.playerName },
+        boardSize: xTicket.boardSize,
+        winLength: xTicket.winLength
+    };
+
+    const fail = (rejection) => {
+        matchmaking.requeue(first);
+        matchmaking.requeue(second);
+        callback(rejection);
+    };
+
+    createGame(options, xTicket.owner || oTicket.owner, (rejection, created) => {
+        if (rejection) {
+            return fail(rejection);
+        }
+        storage.getGame(created.id, (err, game) => {
+            if (err || !game) {
+                console.error('Error fetching matched game:', err);
+                return fail({ status: 500, error: 'Failed to create match' });
+            }
+            takeSeat(game, 'O', oTicket.playerName, (rejection, joined) => {
+                if (rejection) {
+                    return fail(rejection);
+                }
+                matchmaking.markMatched(xTicket, {
+                    gameId: created.id,
+                    seat: 'X',
+                    seatToken: created.seatToken,
+                    opponent: 'human',
+                    opponentName: oTicket.playerName
+                });
+                matchmaking.markMatched(oTicket, {
+                    gameId: created.id,
+                    seat: 'O',
+                    seatToken: joined.seatToken,
+                    opponent: 'human',
+                    opponentName: xTicket.playerName
+                });
+                callback(null);
+            });
+        });
+    });
+}
+
+// Nobody matched in time: start a game against the computer instead
+function fallBackToComputer(ticket, callback) {
+    const computerPlayer = Math.random() < 0.5 ? 'X' : 'O';
+    const humanSide = rules.otherPlayer(computerPlayer);
+
+    matchmaking.markPairing(ticket);
+    createGame({
+        opponent: 'computer',
+        difficulty: FALLBACK_DIFFICULTY,
+        computerPlayer: computerPlayer,
+        players: { [humanSide]: ticket.playerName },
+        boardSize: ticket.boardSize,
+        winLength: ticket.winLength
+    }, ticket.owner, (rejection, created) => {
+        if (rejection) {
+            matchmaking.requeue(ticket);
+            return callback(rejection);
+        }
+        matchmaking.markMatched(ticket, {
+            gameId: created.id,
+            seat: humanSide,
+            seatToken: created.seatToken,
+            opponent: 'computer',
+            opponentName: created.players[computerPlayer]
+        });
+        callback(null);
+    });
+}
+
+// A ticket's seat token comes back when polling it, so only the player who
+// queued may poll or cancel: they hold the ticket token handed out on joining.
+// Returns a { status, error } rejection, or null if the request may go ahead.
+function checkTicketToken(req, ticket) {
+    const token = req.get('X-Ticket-Token');
+    if (!token) {
+        return { status: 401, error: 'Ticket token required', code: 'TICKET_TOKEN_REQUIRED' };
+    }
+    if (!seats.tokenMatches(token, ticket.tokenHash)) {
+        return { status: 403, error: 'Ticket token does not match this ticket', code: 'TICKET_TOKEN_MISMATCH' };
+    }
+    return null;
+}
+
+// Join the matchmaking queue; pairs straight away if someone suitable is waiting
+app.post('/api/matchmaking', validate(schemas.joinMatchmaking), (req, res) => {
+    const options = req.body;
+    const playerName = players.normalizeName(options.playerName);
+    const boardSize = options.boardSize === undefined ? rules.DEFAULT_BOARD_SIZE : options.boardSize;
+    const winLength = options.winLength === undefined ? rules.DEFAULT_WIN_LENGTH : options.winLength;
+    const fallback = options.fallback === undefined ? 'computer' : options.fallback;
 
-    if (position === undefined || player === undefined) {
-        return res.status(400).json({ error: 'Position and player are required' });
+    if (!playerName) {
+        return sendError(res, errors.invalidField('body', 'playerName', 'Invalid player name'));
+    }
+    const dimensionsError = rules.validateDimensions(boardSize, winLength);
+    if (dimensionsError) {
+        return sendError(res, invalidDimensions(dimensionsError));
     }
 
-    if (position < 0 || position > 8) {
-        return res.status(400).json({ error: 'Invalid position' });
+    // Joining again with the ticket token is a retry and gets the same ticket;
+    // anyone else has to wait for that name to leave the queue
+    const existing = matchmaking.findWaiting(playerName);
+    if (existing) {
+        if (checkTicketToken(req, existing)) {
+            return sendError(res, { status: 409, error: 'A player with this name is already in the queue', code: 'ALREADY_QUEUED' });
+        }
+        matchmaking.touch(existing);
+        return res.json(formatTicket(existing));
     }
 
-    db.get(
-        'SELECT * FROM games WHERE id = ?',
-        [gameId],
-        (err, game) => {
+    storage.findOrCreatePlayer(playerName, (err, playerId) => {
+        if (err) {
+            console.error('Error saving player:', err);
+            return sendError(res, { status: 500, error: 'Failed to join matchmaking' });
+        }
+        storage.getPlayers([playerId], (err, rows) => {
             if (err) {
-                console.error('Error fetching game:', err);
-                return res.status(500).json({ error: 'Failed to fetch game' });
-            }
-            if (!game) {
-                return res.status(404).json({ error: 'Game not found' });
+                console.error('Error fetching rating:', err);
+                return sendError(res, { status: 500, error: 'Failed to join matchmaking' });
             }
 
-            const board = JSON.parse(game.board);
-            const currentPlayer = game.current_player;
+            const ticketToken = seats.createToken();
+            const ticket = matchmaking.enqueue(playerName, rows[0].rating, {
+                boardSize,
+                winLength,
+                fallback,
+                tokenHash: seats.hashToken(ticketToken),
+                owner: req.user
+            });
 
-            if (player !== currentPlayer) {
-                return res.status(400).json({ error: 'Not your turn' });
+            const opponent = matchmaking.findOpponent(ticket);
+            if (!opponent) {
+                return res.status(202).json({ ...formatTicket(ticket), ticketToken });
             }
 
-            if (board[position] !== '') {
-                return res.status(400).json({ error: 'Position already taken' });
-            }
+            pairTickets(opponent, ticket, (rejection) => {
+                if (rejection) {
+                    return sendError(res, rejection);
+                }
+                res.status(201).json({ ...formatTicket(ticket), ticketToken });
+            });
+        });
+    });
+});
 
-            if (game.winner || game.is_draw) {
-                return res.status(400).json({ error: 'Game is already finished' });
+// Poll a ticket; this is also where queue timeouts are handled
+app.get('/api/matchmaking/:ticketId', validate(schemas.ticket), (req, res) => {
+    const ticket = matchmaking.get(req.params.ticketId);
+    if (!ticket) {
+        return sendError(res, { status: 404, error: 'Ticket not found' });
+    }
+    const rejection = checkTicketToken(req, ticket);
+    if (rejection) {
+        return sendError(res, rejection);
+    }
+    matchmaking.touch(ticket);
+
+    if (!matchmaking.hasTimedOut(ticket)) {
+        // Someone who joined since may suit this player now that their window has grown
+        const opponent = ticket.status === 'waiting' ? matchmaking.findOpponent(ticket) : null;
+        if (!opponent) {
+            return res.json(formatTicket(ticket));
+        }
+        return pairTickets(opponent, ticket, (rejection) => {
+            if (rejection) {
+                return sendError(res, rejection);
             }
+            res.json(formatTicket(ticket));
+        });
+    }
+
+    if (ticket.fallback === 'none') {
+        matchmaking.markTimedOut(ticket);
+        return res.json(formatTicket(ticket));
+    }
+
+    fallBackToComputer(ticket, (rejection) => {
+        if (rejection) {
+            return sendError(res, rejection);
+        }
+        res.json(formatTicket(ticket));
+    });
+});
 
-            // Make the move
-            board[position] = player;
-            const nextPlayer = player === 'X' ? 'O' : 'X';
+// Leave the queue
+app.delete('/api/matchmaking/:ticketId', validate(schemas.ticket), (req, res) => {
+    const ticket = matchmaking.get(req.params.ticketId);
+    if (!ticket) {
+        return sendError(res, { status: 404, error: 'Ticket not found' });
+    }
+    const rejection = checkTicketToken(req, ticket);
+    if (rejection) {
+        return sendError(res, rejection);
+    }
+    if (!matchmaking.cancel(ticket.id)) {
+        return sendError(res, { status: 409, error: 'Ticket is no longer waiting', code: 'TICKET_NOT_WAITING' });
+    }
+    res.status(204).end();
+});
 
-            // Check for winner
-            const winner = checkWinner(board);
-            const isDraw = !winner && checkForDraw(board);
+// Accounts. Signing up or in starts a session; its token goes in the
+// Authorization header as "Bearer <token>". Playing as a guest needs none.
 
-            // Save move to database
-            db.run(
-                'INSERT INTO moves (game_id, player, position) VALUES (?, ?, ?)',
-                [gameId, player, position],
-                function(err) {
-                    if (err) {
-                        console.error('Error saving move:', err);
-                        return res.status(500).json({ error: 'Failed to save move' });
-                    }
+function formatUser(user) {
+    return { id: user.id, username: user.username };
+}
 
-                    // Update game state
-                    db.run(
-                        'UPDATE games SET board = ?, current_player = ?, winner = ?, is_draw = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                        [JSON.stringify(board), nextPlayer, winner, isDraw, gameId],
-                        function(err) {
-                            if (err) {
-                                console.error('Error updating game:', err);
-                                return res.status(500).json({ error: 'Failed to update game' });
-                            }
-
-                            // Update player stats if game is finished
-                            if (winner || isDraw) {
-                                updatePlayerStats(winner, isDraw);
-                            }
-
-                            res.json({
-                                id: gameId,
-                                board: board,
-                                currentPlayer: nextPlayer,
-                                winner: winner,
-                                isDraw: isDraw,
-                                move: { position, player }
-                            });
-                        }
-                    );
-                }
-            );
+// Start a session for a user and send it with `status`
+function startSession(res, status, user) {
+    const token = accounts.createSessionToken();
+    const expiresAt = Date.now() + accounts.sessionTtlMs();
+    storage.createSession(accounts.hashSessionToken(token), user.id, toSqlTimestamp(expiresAt), (err) => {
+        if (err) {
+            console.error('Error creating session:', err);
+            return sendError(res, { status: 500, error: 'Failed to sign in' });
+        }
+        res.status(status).json({ user: formatUser(user), token, expiresAt: new Date(expiresAt).toISOString() });
+    });
+}
+
+// Checked against when there is no such user, so a wrong username takes as
+// long to refuse as a wrong password
+let missingUserHash = null;
+accounts.hashPassword(accounts.createSessionToken(), (err, hash) => {
+    missingUserHash = hash;
+});
+
+app.post('/api/auth/register', validate(schemas.register), (req, res) => {
+    const { username, password } = req.body;
+
+    accounts.hashPassword(password, (err, passwordHash) => {
+        if (err) {
+            console.error('Error hashing password:', err);
+            return sendError(res, { status: 500, error: 'Failed to register' });
         }
-    );
-});
-
-// Get all games with detailed information
-app.get('/api/games', (req, res) => {
-    db.all(
-        `SELECT g.*, 
-                COUNT(m.id) as total_moves,
-                GROUP_CONCAT(m.player || ':' || m.position) as move_history
-         FROM games g 
-         LEFT JOIN moves m ON g.id = m.game_id 
-         GROUP BY g.id 
-         ORDER BY g.created_at DESC 
-         LIMIT 50`,
-        (err, rows) => {
+        storage.createUser(username, passwordHash, (err, id) => {
             if (err) {
-                console.error('Error fetching games:', err);
-                return res.status(500).json({ error: 'Failed to fetch games' });
-            }
-            res.json(rows.map(row => ({
-                id: row.id,
-                board: JSON.parse(row.board),
-                currentPlayer: row.current_player,
-                winner: row.winner,
-                isDraw: Boolean(row.is_draw),
-                totalMoves: row.total_moves || 0,
-                moveHistory: row.move_history ? row.move_history.split(',').map(move => {
-                    const [player, position] = move.split(':');
-                    return { player, position: parseInt(position) };
-                }) : [],
-                createdAt: row.created_at,
-                updatedAt: row.updated_at
-            })));
-        }
-    );
-});
-
-// Get player statistics
-app.get('/api/stats', (req, res) => {
-    db.all(
-        'SELECT * FROM player_stats ORDER BY wins DESC',
-        (err, rows) => {
+                console.error('Error creating user:', err);
+                return sendError(res, { status: 500, error: 'Failed to register' });
+            }
+            if (id === null) {
+                return sendError(res, { status: 409, error: 'Username is already taken', code: 'USERNAME_TAKEN' });
+            }
+            startSession(res, 201, { id, username });
+        });
+    });
+});
+
+app.post('/api/auth/login', validate(schemas.login), (req, res) => {
+    const { username, password } = req.body;
+
+    storage.findUser(username, (err, user) => {
+        if (err) {
+            console.error('Error fetching user:', err);
+            return sendError(res, { status: 500, error: 'Failed to sign in' });
+        }
+        accounts.verifyPassword(password, user ? user.password_hash : missingUserHash, (err, matches) => {
             if (err) {
-                console.error('Error fetching stats:', err);
-                return res.status(500).json({ error: 'Failed to fetch stats' });
+                console.error('Error checking password:', err);
+                return sendError(res, { status: 500, error: 'Failed to sign in' });
             }
-            res.json(rows);
+            if (!user || !matches) {
+                return sendError(res, { status: 401, error: 'Invalid username or password', code: 'INVALID_CREDENTIALS' });
+            }
+            startSession(res, 200, user);
+        });
+    });
+});
+
+// End the session the request was made with
+app.post('/api/auth/logout', requireUser, validate(schemas.logout), (req, res) => {
+    storage.deleteSession(accounts.hashSessionToken(accounts.tokenFromRequest(req)), (err) => {
+        if (err) {
+            console.error('Error ending session:', err);
+            return sendError(res, { status: 500, error: 'Failed to sign out' });
         }
-    );
+        res.status(204).end();
+    });
 });
 
-// Update player statistics
-function updatePlayerStats(winner, isDraw) {
-    if (isDraw) {
-        db.run(
-            'INSERT OR REPLACE INTO player_stats (player_name, draws, total_games, updated_at) VALUES (?, COALESCE((SELECT draws FROM player_stats WHERE player_name = ?), 0) + 1, COALESCE((SELECT total_games FROM player_stats WHERE player_name = ?), 0) + 1, CURRENT_TIMESTAMP)',
-            ['Draw', 'Draw', 'Draw']
-        );
-    } else if (winner) {
-        const loser = winner === 'X' ? 'O' : 'X';
-        
-        // Update winner stats
-        db.run(
-            'INSERT OR REPLACE INTO player_stats (player_name, wins, total_games, updated_at) VALUES (?, COALESCE((SELECT wins FROM player_stats WHERE player_name = ?), 0) + 1, COALESCE((SELECT total_games FROM player_stats WHERE player_name = ?), 0) + 1, CURRENT_TIMESTAMP)',
-            [winner, winner, winner]
-        );
+app.get('/api/auth/me', requireUser, validate(schemas.me), (req, res) => {
+    res.json({ user: formatUser(req.user) });
+});
+
+// Cleanup job settings, read from the environment on every run
+function cleanupSettings() {
+    return {
+        intervalMs: parseInt(process.env.CLEANUP_INTERVAL_MS) || 60 * 60 * 1000,
+        abandonAfterMs: parseInt(process.env.ABANDON_AFTER_MS) || 24 * 60 * 60 * 1000,
+        purgeAfterMs: parseInt(process.env.PURGE_AFTER_MS) || 7 * 24 * 60 * 60 * 1000
+    };
+}
+
+let cleanupRunning = false;
+let lastCleanup = null;
+let cleanupTimer = null;
+
+// Idle timed games are lost on time if the clock ran out
+function flagIdleGames(cutoff, now, callback) {
+    storage.listIdleGames(cutoff, (err, idle) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const games = idle.filter(game => game.turn_started_at !== null);
+        let timedOut = 0;
+        const next = (index) => {
+            if (index === games.length) {
+                return callback(null, timedOut);
+            }
+            flagIfOutOfTime(games[index], now, (err, flagged) => {
+                if (err) {
+                    return callback(err);
+                }
+                if (flagged) {
+                    timedOut++;
+                }
+                next(index + 1);
+            });
+        };
+        next(0);
+    });
+}
+
+// One pass of the cleanup job: end idle timed games on time, mark the other
+// idle games abandoned, delete abandoned games that never had a move, and
+// forget idempotency keys past their retention and expired sessions.
+// Calls back with a report of what it did, also kept for the admin endpoint.
+function runCleanup(callback) {
+    if (cleanupRunning) {
+        return callback({ status: 409, error: 'Cleanup is already running', code: 'CLEANUP_RUNNING' });
+    }
+    cleanupRunning = true;
+
+    const settings = cleanupSettings();
+    const now = Date.now();
+    const abandonCutoff = toSqlTimestamp(now - settings.abandonAfterMs);
+    const purgeCutoff = toSqlTimestamp(now - settings.purgeAfterMs);
+    const keyCutoff = toSqlTimestamp(now - idempotency.retentionMs());
+    const sessionCutoff = toSqlTimestamp(now);
+    const report = { startedAt: new Date(now).toISOString() };
+
+    const finish = (err) => {
+        cleanupRunning = false;
+        if (err) {
+            console.error('Error cleaning up games:', err);
+            return callback({ status: 500, error: 'Failed to clean up games' });
+        }
+        report.finishedAt = new Date().toISOString();
+        lastCleanup = report;
+        callback(null, report);
+    };
+
+    flagIdleGames(abandonCutoff, now, (err, timedOut) => {
+        if (err) {
+            return finish(err);
+        }
+        report.timedOut = timedOut;
+
+        storage.abandonIdleGames(abandonCutoff, (err, abandoned) => {
+            if (err) {
+                return finish(err);
+            }
+            report.abandoned = abandoned;
+
+            storage.purgeAbandonedGames(purgeCutoff, (err, purged) => {
+                if (err) {
+                    return finish(err);
+                }
+                report.purged = purged;
+
+                storage.purgeIdempotencyKeys(keyCutoff, (err, expiredKeys) => {
+                    if (err) {
+                        return finish(err);
+                    }
+                    report.expiredKeys = expiredKeys;
+
+                    storage.purgeSessions(sessionCutoff, (err, expiredSessions) => {
+                        if (err) {
+                            return finish(err);
+                        }
+                        report.expiredSessions = expiredSessions;
+                        finish(null);
+                    });
+                });
+            });
+        });
+    });
+}
+
+function startCleanup() {
+    cleanupTimer = setInterval(() => runCleanup(() => {}), cleanupSettings().intervalMs);
+    cleanupTimer.unref();
+}
+
+// Admin endpoints are off unless ADMIN_TOKEN is set, and then need it in the
+// X-Admin-Token header
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+        return sendError(res, { status: 403, error: 'Admin endpoints are disabled', code: 'ADMIN_DISABLED' });
+    }
 
-        // Update loser stats
-        db.run(
-            'INSERT OR REPLACE INTO player_stats (player_name, losses, total_games, updated_at) VALUES (?, COALESCE((SELECT losses FROM player_stats WHERE player_name = ?), 0) + 1, COALESCE((SELECT total_games FROM player_stats WHERE player_name = ?), 0) + 1, CURRENT_TIMESTAMP)',
-            [loser, loser, loser]
-        );
+    const token = req.get('X-Admin-Token');
+    if (!token) {
+        return sendError(res, { status: 401, error: 'Admin token required', code: 'ADMIN_TOKEN_REQUIRED' });
+    }
+    if (!seats.tokenMatches(token, seats.hashToken(adminToken))) {
+        return sendError(res, { status: 403, error: 'Invalid admin token', code: 'INVALID_ADMIN_TOKEN' });
     }
+    next();
 }
 
+// What the cleanup job is set to do and what its last run did
+app.get('/api/admin/cleanup', requireAdmin, validate(schemas.cleanupStatus), (req, res) => {
+    res.json({ settings: cleanupSettings(), running: cleanupRunning, lastRun: lastCleanup });
+});
+
+// Run the cleanup job now
+app.post('/api/admin/cleanup', requireAdmin, validate(schemas.runCleanup), (req, res) => {
+    runCleanup((rejection, report) => {
+        if (rejection) {
+            return sendError(res, rejection);
+        }
+        res.json(report);
+    });
+});
+
+// The API description, built from the same schemas requests are checked with
+const apiSpec = openapi.buildSpec();
+
+app.get('/api/openapi.json', (req, res) => {
+    res.json(apiSpec);
+});
+
+// The API description as a page to read
+app.get('/api/docs', (req, res) => {
+    res.type('html').send(docs.renderDocs(apiSpec));
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ 
@@ -347,7 +2632,7 @@ app.get('/', (req, res) => {
                 <h1>TicTacToe Game</h1>
                 <p class="error">Application files not found at: ${indexPath}</p>
                 <p class="info">Health check: <a href="/health">/health</a></p>
-                <p>API endpoints are available at /api/*</p>
+                <p>API endpoints are available at /api/*; see <a href="/api/docs">/api/docs</a></p>
             </body>
             </html>
         `);
@@ -372,7 +2657,7 @@ app.get('/', (req, res) => {
                     <h1>TicTacToe Game</h1>
                     <p class="error">Failed to serve application: ${err.message}</p>
                     <p class="info">Health check: <a href="/health">/health</a></p>
-                    <p>API endpoints are available at /api/*</p>
+                    <p>API endpoints are available at /api/*; see <a href="/api/docs">/api/docs</a></p>
                 </body>
                 </html>
             `);
@@ -380,15 +2665,22 @@ app.get('/', (req, res) => {
     });
 });
 
-// Error handling middleware
+// Error handling middleware. Bodies that can't be read are the client's
+// mistake; anything else is ours.
 app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, { status: 400, error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+    }
+    if (err.type === 'entity.too.large') {
+        return sendError(res, { status: 413, error: 'Request body is too large' });
+    }
     console.error(err.stack);
-    res.status(500).json({ error: 'Something went wrong!' });
+    sendError(res, { status: 500, error: 'Something went wrong!' });
 });
 
 // 404 handler
 app.use((req, res) => {
-    res.status(404).json({ error: 'Not found' });
+    sendError(res, { status: 404, error: 'Not found' });
 });
 
 // Graceful shutdown handling
@@ -397,10 +2689,14 @@ let server;
 function gracefulShutdown(signal) {
     console.log(`\nReceived ${signal}. Shutting down gracefully...`);
     
+    // Open event streams would otherwise keep the server from closing
+    events.closeAll();
+    clearInterval(cleanupTimer);
+
     if (server) {
         server.close(() => {
             console.log('HTTP server closed.');
-            db.close((err) => {
+            storage.close((err) => {
                 if (err) {
                     console.error('Error closing database:', err.message);
                     process.exit(1);
@@ -418,7 +2714,7 @@ function gracefulShutdown(signal) {
             process.exit(1);
         }, 10000);
     } else {
-        db.close((err) => {
+        storage.close((err) => {
             if (err) {
                 console.error('Error closing database:', err.message);
                 process.exit(1);
@@ -440,6 +2736,7 @@ if (require.main === module) {
         console.log(`TicTacToe server running on port ${PORT}`);
         console.log(`Health check: http://localhost:${PORT}/health`);
     });
+    startCleanup();
 }
 
 module.exports = app;
@@ -22,6 +22,7 @@ async function testApp() {
         const gameId = createResponse.body.id;
         const moveResponse = await request(app)
             .post(`/api/games/${gameId}/move`)
+            .set('X-Seat-Token', createResponse.body.seatToken)
             .send({ position: 0, player: 'X' });
         console.log(`   Status: ${moveResponse.status}`);
         console.log(`   Board: ${JSON.stringify(moveResponse.body.board)}\n`);
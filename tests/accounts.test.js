@@ -0,0 +1,37 @@
+const accounts = require('../lib/accounts');
+
+describe('Accounts', () => {
+  const call = (fn, ...args) => new Promise((resolve, reject) => {
+    fn(...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+
+  it('should hash passwords with a fresh salt and verify them', async () => {
+    const first = await call(accounts.hashPassword, 'correct horse');
+    const second = await call(accounts.hashPassword, 'correct horse');
+
+    expect(first).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    expect(second).not.toBe(first);
+    expect(await call(accounts.verifyPassword, 'correct horse', first)).toBe(true);
+    expect(await call(accounts.verifyPassword, 'wrong horse', first)).toBe(false);
+    expect(await call(accounts.verifyPassword, 'correct horse', 'plain text')).toBe(false);
+  });
+
+  it('should validate usernames and passwords', () => {
+    expect(accounts.validateUsername('alice_1.b-c')).toBeNull();
+    expect(accounts.validateUsername('al')).toMatch(/Username/);
+    expect(accounts.validateUsername('has space')).toMatch(/Username/);
+    expect(accounts.validateUsername(42)).toMatch(/Username/);
+    expect(accounts.validatePassword('12345678')).toBeNull();
+    expect(accounts.validatePassword('1234567')).toMatch(/Password/);
+    expect(accounts.validatePassword('x'.repeat(129))).toMatch(/Password/);
+  });
+
+  it('should read bearer tokens from the Authorization header', () => {
+    const requestWith = (header) => ({ get: () => header });
+
+    expect(accounts.tokenFromRequest(requestWith('Bearer abc123'))).toBe('abc123');
+    expect(accounts.tokenFromRequest(requestWith('bearer abc123'))).toBe('abc123');
+    expect(accounts.tokenFromRequest(requestWith('Basic abc123'))).toBeNull();
+    expect(accounts.tokenFromRequest(requestWith(undefined))).toBeNull();
+  });
+});
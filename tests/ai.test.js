@@ -0,0 +1,55 @@
+const { chooseMove, bestMove } = require('../lib/ai');
+const { checkWinner, checkForDraw, availablePositions } = require('../lib/game');
+
+describe('Computer opponent', () => {
+  it('should take an immediate win', () => {
+    const board = [
+      'O', 'O', '',
+      'X', 'X', '',
+      '', '', ''
+    ];
+    expect(bestMove(board, 'X')).toBe(5);
+  });
+
+  it('should block an immediate loss', () => {
+    const board = [
+      'X', 'X', '',
+      '', 'O', '',
+      '', '', ''
+    ];
+    expect(bestMove(board, 'O')).toBe(2);
+  });
+
+  it('should never lose to itself', () => {
+    const board = Array(9).fill('');
+    let player = 'X';
+    while (!checkWinner(board) && !checkForDraw(board)) {
+      board[bestMove(board, player)] = player;
+      player = player === 'X' ? 'O' : 'X';
+    }
+    expect(checkWinner(board)).toBe(null);
+  });
+
+  it('should always pick a free cell at every difficulty', () => {
+    const board = [
+      'X', 'O', 'X',
+      '', 'O', '',
+      '', 'X', ''
+    ];
+    for (const difficulty of ['easy', 'medium', 'perfect']) {
+      expect(availablePositions(board)).toContain(chooseMove(board, 'O', difficulty));
+    }
+  });
+
+  it('should block a four on a large board', () => {
+    const board = Array(81).fill('');
+    // X has four in a row on the middle row with one end already blocked
+    [39, 40, 41, 42].forEach(position => { board[position] = 'X'; });
+    board[38] = 'O';
+    board[30] = 'O';
+    board[31] = 'O';
+    expect(bestMove(board, 'O', 5)).toBe(43);
+    // Still found when only a few first moves are searched
+    expect(bestMove(board, 'O', 5, 3)).toBe(43);
+  });
+});
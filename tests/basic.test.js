@@ -4,7 +4,8 @@ describe('Basic Server Tests', () => {
   let app;
   
   beforeAll(() => {
-    // Import the app without starting the server
+    // Import the app without starting the server, on a throwaway database
+    process.env.DB_PATH = ':memory:';
     app = require('../server');
   });
 
@@ -14,6 +15,11 @@ describe('Basic Server Tests', () => {
     expect(response.body).toHaveProperty('status', 'healthy');
   });
 
+  it('should answer API requests once the database is migrated', async () => {
+    const response = await request(app).get('/api/stats');
+    expect(response.status).toBe(200);
+  });
+
   it('should serve the main page', async () => {
     const response = await request(app).get('/');
     expect(response.status).toBe(200);
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Runs the browser client against a stand-in DOM that records the HTML it is
+// given, so rendering can be checked without a browser
+function loadClient() {
+  const elements = {};
+  const element = () => ({
+    innerHTML: '',
+    value: '',
+    dataset: {},
+    style: { setProperty() {} },
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    addEventListener() {},
+    appendChild() {},
+    querySelector: () => element(),
+    querySelectorAll: () => []
+  });
+  const document = {
+    querySelector: (selector) => (elements[selector] = elements[selector] || element()),
+    querySelectorAll: () => [],
+    createElement: () => element(),
+    addEventListener() {}
+  };
+  const context = vm.createContext({
+    document,
+    window: { location: { origin: 'http://localhost:3000' }, addEventListener() {} },
+    localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+    console,
+    setInterval: () => 0,
+    clearInterval() {},
+    setTimeout: () => 0,
+    clearTimeout() {},
+    URLSearchParams
+  });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'public', 'script.js'), 'utf8'), context);
+  return { run: (code) => vm.runInContext(code, context), elements };
+}
+
+// Markup that would run script if it reached the page as HTML
+const HOSTILE_NAMES = [
+  '<script>alert(1)</script>',
+  '<img src=x onerror="alert(1)">',
+  '"><svg onload=alert(1)>',
+  "' autofocus onfocus='alert(1)"
+];
+
+// The tags in some HTML, with quoted attribute values blanked out. Escaped data
+// has no raw < or ", so whatever is left of a tag is markup.
+const rawTags = (html) => (html.match(/<[^>]*>/g) || []).map(tag => tag.replace(/"[^"]*"/g, '""'));
+
+describe('Client rendering', () => {
+  let client;
+
+  beforeEach(() => {
+    client = loadClient();
+  });
+
+  it('should escape hostile names in stats and history', () => {
+    const stats = HOSTILE_NAMES.map((name, index) => ({
+      player_name: name, wins: index, losses: 0, draws: 0, total_games: index,
+      wins_as_x: 0, losses_as_x: 0, draws_as_x: 0, wins_as_o: 0, losses_as_o: 0, draws_as_o: 0,
+      wins_by_resignation: 0, losses_by_resignation: 0, wins_on_time: 0, losses_on_time: 0, agreed_draws: 0
+    }));
+    const games = HOSTILE_NAMES.map((name, index) => ({
+      id: `<b>game-${index}</b>`,
+      players: { X: name, O: HOSTILE_NAMES[(index + 1) % HOSTILE_NAMES.length] },
+      winner: 'X',
+      isDraw: false,
+      endReason: 'line',
+      boardSize: '3"><script>alert(1)</script>',
+      winLength: '<i>3</i>',
+      moveHistory: [{ position: 0, player: '<u>X</u>' }],
+      hints: { X: '<em>1</em>', O: 0 },
+      createdAt: '2026-01-01T00:00:00Z'
+    }));
+
+    client.run(`gameHistory = ${JSON.stringify({ games, total: games.length, nextCursor: null })}`);
+    client.run(`displayStats(${JSON.stringify(stats)})`);
+    const html = client.elements['#stats-content'].innerHTML;
+
+    HOSTILE_NAMES.forEach(name => {
+      expect(html).not.toContain(name);
+    });
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    // No tag came from the data: only the client's own markup is left
+    rawTags(html).forEach(tag => {
+      expect(tag).not.toMatch(/<\/?(script|img|svg|b|i|u|em)\b|\son\w+=|autofocus/i);
+    });
+    expect(html).not.toContain('style=');
+    expect(html).toContain('data-board-size="3"');
+  });
+
+  it('should escape hostile names in the replay viewer and my games', () => {
+    client.run(`replay = ${JSON.stringify({
+      game: {
+        boardSize: 3,
+        players: { X: HOSTILE_NAMES[0], O: HOSTILE_NAMES[1] },
+        moves: [{ number: 1, position: 4, player: 'X', board: ['', '', '', '', 'X', '', '', '', ''] }]
+      },
+      step: 1,
+      timer: null
+    })}; renderReplay()`);
+    client.run(`displayMyGames(${JSON.stringify({
+      total: 1,
+      games: [{ id: '"><img src=x onerror=alert(1)>', players: { X: HOSTILE_NAMES[2], O: HOSTILE_NAMES[3] }, winner: 'O', createdAt: '2026-01-01T00:00:00Z' }]
+    })})`);
+
+    const html = client.elements['#replay-viewer'].innerHTML + client.elements['#my-games-content'].innerHTML;
+    rawTags(html).forEach(tag => {
+      expect(tag).not.toMatch(/<\/?(script|img|svg)\b|\son\w+=|autofocus/i);
+    });
+    expect(html).toContain('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+  });
+});
@@ -0,0 +1,32 @@
+const { parseTimeControl, initialClocks, remaining, afterMove } = require('../lib/clock');
+
+describe('Time controls', () => {
+  it('should accept a clock with an increment or a time per move', () => {
+    expect(parseTimeControl(undefined)).toEqual({ timeControl: null });
+    expect(parseTimeControl({ initialSeconds: 300 })).toEqual({ timeControl: { initialSeconds: 300, incrementSeconds: 0 } });
+    expect(parseTimeControl({ initialSeconds: 60, incrementSeconds: 2 }).timeControl).toEqual({ initialSeconds: 60, incrementSeconds: 2 });
+    expect(parseTimeControl({ secondsPerMove: 15 })).toEqual({ timeControl: { secondsPerMove: 15 } });
+  });
+
+  it('should reject time controls it cannot run', () => {
+    expect(parseTimeControl('blitz').error).toBeDefined();
+    expect(parseTimeControl({}).error).toMatch(/initialSeconds/);
+    expect(parseTimeControl({ initialSeconds: 0 }).error).toMatch(/initialSeconds/);
+    expect(parseTimeControl({ initialSeconds: 60, incrementSeconds: -1 }).error).toMatch(/incrementSeconds/);
+    expect(parseTimeControl({ secondsPerMove: 10, initialSeconds: 60 }).error).toMatch(/either/);
+  });
+
+  it('should charge the mover and add the increment', () => {
+    const timeControl = { initialSeconds: 60, incrementSeconds: 2 };
+    const clocks = initialClocks(timeControl);
+
+    expect(clocks).toEqual({ X: 60000, O: 60000 });
+    expect(afterMove(timeControl, clocks, 'X', 5000)).toEqual({ X: 57000, O: 60000 });
+    expect(remaining(clocks, 'O', 70000)).toBe(0);
+  });
+
+  it('should reset the clock every move with a time per move', () => {
+    const timeControl = { secondsPerMove: 10 };
+    expect(afterMove(timeControl, { X: 10000, O: 3000 }, 'O', 2500)).toEqual({ X: 10000, O: 10000 });
+  });
+});
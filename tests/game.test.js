@@ -0,0 +1,62 @@
+const { createBoard, checkWinner, checkForDraw, replayMoves, validateDimensions } = require('../lib/game');
+
+describe('Game rules', () => {
+  it('should find a row, column and diagonal win on a 3x3 board', () => {
+    expect(checkWinner(['X', 'X', 'X', '', 'O', '', 'O', '', ''])).toBe('X');
+    expect(checkWinner(['O', 'X', '', 'O', 'X', '', 'O', '', ''])).toBe('O');
+    expect(checkWinner(['', '', 'X', '', 'X', '', 'X', 'O', 'O'])).toBe('X');
+    expect(checkWinner(['X', 'O', 'X', 'X', 'O', 'O', 'O', 'X', 'X'])).toBe(null);
+  });
+
+  it('should require the full win length on larger boards', () => {
+    const board = createBoard(5);
+    board[0] = board[1] = board[2] = 'X';
+    expect(checkWinner(board, 4)).toBe(null);
+    expect(checkWinner(board, 3)).toBe('X');
+
+    board[3] = 'X';
+    expect(checkWinner(board, 4)).toBe('X');
+  });
+
+  it('should not wrap lines around the edge of the board', () => {
+    const board = createBoard(4);
+    // Cells 2, 3 and 4 are consecutive in the array but span two rows
+    board[2] = board[3] = board[4] = 'O';
+    expect(checkWinner(board, 3)).toBe(null);
+  });
+
+  it('should find anti-diagonal wins away from the corners', () => {
+    const board = createBoard(6);
+    // (1, 4), (2, 3), (3, 2), (4, 1)
+    [10, 15, 20, 25].forEach(position => { board[position] = 'O'; });
+    expect(checkWinner(board, 4)).toBe('O');
+  });
+
+  it('should only report a draw on a full board', () => {
+    expect(checkForDraw(createBoard(4))).toBe(false);
+    expect(checkForDraw(Array(16).fill('X'))).toBe(true);
+  });
+
+  it('should rebuild a board from its moves', () => {
+    const board = replayMoves(4, [
+      { player: 'X', position: 0 },
+      { player: 'O', position: 5 },
+      { player: 'X', position: 15 }
+    ]);
+    expect(board).toHaveLength(16);
+    expect(board[0]).toBe('X');
+    expect(board[5]).toBe('O');
+    expect(board[15]).toBe('X');
+    expect(board.filter(cell => cell === '')).toHaveLength(13);
+  });
+
+  it('should validate board dimensions', () => {
+    expect(validateDimensions(3, 3)).toBe(null);
+    expect(validateDimensions(15, 5)).toBe(null);
+    expect(validateDimensions(2, 3)).toMatch(/Board size/);
+    expect(validateDimensions(16, 5)).toMatch(/Board size/);
+    expect(validateDimensions(10, 6)).toMatch(/Win length/);
+    expect(validateDimensions(3, 4)).toMatch(/exceed/);
+    expect(validateDimensions(3.5, 3)).toMatch(/Board size/);
+  });
+});
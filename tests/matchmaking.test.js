@@ -0,0 +1,91 @@
+const matchmaking = require('../lib/matchmaking');
+
+describe('Matchmaking queue', () => {
+  const variant = { boardSize: 3, winLength: 3, fallback: 'computer' };
+  let now;
+
+  beforeEach(() => {
+    matchmaking.clear();
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should pair players with similar ratings', () => {
+    const first = matchmaking.enqueue('ann', 1500, variant);
+    const second = matchmaking.enqueue('ben', 1560, variant);
+
+    expect(matchmaking.findOpponent(second)).toBe(first);
+    expect(first.status).toBe('pairing');
+    expect(second.status).toBe('pairing');
+  });
+
+  it('should keep far-apart ratings waiting until the window has grown', () => {
+    matchmaking.enqueue('ann', 1500, variant);
+    const second = matchmaking.enqueue('ben', 1750, variant);
+    expect(matchmaking.findOpponent(second)).toBe(null);
+
+    // 100 + 50 per 5 seconds waited reaches 250 after 15 seconds
+    now += 15000;
+    expect(matchmaking.findOpponent(second)).not.toBe(null);
+  });
+
+  it('should only pair players asking for the same board', () => {
+    matchmaking.enqueue('ann', 1500, variant);
+    const second = matchmaking.enqueue('ben', 1500, { ...variant, boardSize: 5, winLength: 4 });
+    expect(matchmaking.findOpponent(second)).toBe(null);
+  });
+
+  it('should prefer whoever has waited longest', () => {
+    const first = matchmaking.enqueue('ann', 1500, variant);
+    now += 1000;
+    matchmaking.enqueue('ben', 1500, variant);
+    now += 1000;
+    const third = matchmaking.enqueue('cat', 1500, variant);
+    expect(matchmaking.findOpponent(third)).toBe(first);
+  });
+
+  it('should time out waiting tickets', () => {
+    const ticket = matchmaking.enqueue('ann', 1500, variant);
+    expect(matchmaking.hasTimedOut(ticket)).toBe(false);
+    now += 30000;
+    expect(matchmaking.hasTimedOut(ticket)).toBe(true);
+  });
+
+  it('should not pair anyone with a ticket that has timed out', () => {
+    const first = matchmaking.enqueue('ann', 1500, variant);
+    now += 30000;
+    matchmaking.touch(first);
+    const second = matchmaking.enqueue('ben', 1500, variant);
+
+    expect(matchmaking.findOpponent(second)).toBe(null);
+    expect(first.status).toBe('waiting');
+  });
+
+  it('should drop tickets nobody polls any more instead of pairing them', () => {
+    const gone = matchmaking.enqueue('ann', 1500, variant);
+    const polled = matchmaking.enqueue('ben', 1500, variant);
+    now += 15000;
+    matchmaking.touch(polled);
+    now += 10000;
+    const third = matchmaking.enqueue('cat', 1500, variant);
+
+    expect(matchmaking.findOpponent(third)).toBe(polled);
+    expect(matchmaking.get(gone.id)).toBe(null);
+    expect(matchmaking.findWaiting('ann')).toBe(null);
+  });
+
+  it('should only cancel tickets that are still waiting', () => {
+    const first = matchmaking.enqueue('ann', 1500, variant);
+    const second = matchmaking.enqueue('ben', 1500, variant);
+    matchmaking.findOpponent(second);
+
+    expect(matchmaking.cancel(first.id)).toBe(false);
+    const third = matchmaking.enqueue('cat', 1500, variant);
+    expect(matchmaking.cancel(third.id)).toBe(true);
+    expect(matchmaking.get(third.id)).toBe(null);
+  });
+});
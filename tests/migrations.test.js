@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const migrations = require('../lib/migrations');
+
+describe('Database migrations', () => {
+  const known = migrations.loadMigrations();
+  const latest = known[known.length - 1].version;
+
+  const open = (file = ':memory:') => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, (err) => (err ? reject(err) : resolve(db)));
+  });
+  const call = (fn, ...args) => new Promise((resolve, reject) => {
+    fn(...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+  const all = (db, sql) => call(db.all.bind(db), sql);
+  const columnsOf = async (db, table) => (await all(db, `PRAGMA table_info(${table})`)).map(column => column.name);
+
+  it('should number migrations from the baseline up without gaps', () => {
+    expect(known.map(migration => migration.version)).toEqual(known.map((migration, index) => index + 1));
+    expect(known[0].name).toBe('baseline');
+  });
+
+  it('should build a new database and then have nothing left to do', async () => {
+    const db = await open();
+
+    const first = await call(migrations.migrate, db, known);
+    expect(first.current).toBe(latest);
+    expect(first.applied).toHaveLength(known.length);
+    expect(await columnsOf(db, 'games')).toEqual(expect.arrayContaining(['board_size', 'draw_offered_by']));
+
+    const second = await call(migrations.migrate, db, known);
+    expect(second).toEqual({ current: latest, applied: [] });
+    db.close();
+  });
+
+  it('should adopt a database from before migrations', async () => {
+    const db = await open();
+    // The original tables, plus a column added by a later startup
+    for (const migration of known.slice(0, 1)) {
+      for (const sql of migration.steps) {
+        await call(db.run.bind(db), sql);
+      }
+    }
+    await call(db.run.bind(db), "ALTER TABLE games ADD COLUMN opponent TEXT DEFAULT 'human'");
+
+    const result = await call(migrations.migrate, db, known);
+    expect(result.current).toBe(latest);
+    expect((await columnsOf(db, 'games')).filter(name => name === 'opponent')).toHaveLength(1);
+    db.close();
+  });
+
+  it('should drop the per-letter stats rows so new players start from nothing', async () => {
+    const db = await open();
+    const keyed = known.findIndex(migration => migration.name === 'stats_by_player_id');
+    await call(migrations.migrate, db, known.slice(0, keyed));
+
+    const run = (sql) => call(db.run.bind(db), sql);
+    await run("INSERT INTO player_stats (player_name, wins, total_games) VALUES ('X', 4, 9), ('Draw', 0, 5)");
+    // A player called "O" who took over the old row: one loss of their own
+    await run("INSERT INTO players (id, name) VALUES (1, 'O')");
+    await run("INSERT INTO player_stats (player_name, player_id, losses, losses_as_o, total_games) VALUES ('O', 1, 5, 1, 10)");
+
+    await call(migrations.migrate, db, known);
+    const rows = await all(db, 'SELECT player_name, player_id, wins, losses, draws, total_games FROM player_stats');
+    expect(rows).toEqual([{ player_name: 'O', player_id: 1, wins: 0, losses: 1, draws: 0, total_games: 1 }]);
+    await expect(run("INSERT INTO player_stats (player_name, player_id) VALUES ('other', 1)")).rejects.toThrow(/UNIQUE/);
+    db.close();
+  });
+
+  it('should list pending statements on a dry run without changing anything', async () => {
+    const db = await open();
+
+    const plan = await call(migrations.dryRun, db, known);
+    expect(plan.current).toBe(0);
+    expect(plan.pending).toHaveLength(known.length);
+    expect(plan.pending[1].statements).toContain("ALTER TABLE games ADD COLUMN opponent TEXT DEFAULT 'human'");
+
+    const status = await call(migrations.status, db, known);
+    expect(status.current).toBe(0);
+    expect(status.pending).toHaveLength(known.length);
+    expect(await all(db, "SELECT name FROM sqlite_master WHERE name = 'games'")).toEqual([]);
+    db.close();
+  });
+
+  it('should roll back every migration of a run that fails', async () => {
+    const db = await open();
+    const broken = [
+      { version: 1, name: 'first', steps: ['CREATE TABLE first (id INTEGER)'] },
+      { version: 2, name: 'second', steps: ['CREATE TABLE second ('] }
+    ];
+
+    await expect(call(migrations.migrate, db, broken)).rejects.toThrow(/Migration 2 \(second\) failed/);
+    expect(await all(db, "SELECT name FROM sqlite_master WHERE name = 'first'")).toEqual([]);
+    expect((await call(migrations.status, db, broken)).current).toBe(0);
+    db.close();
+  });
+
+  it('should let only one of several servers migrate a shared database', async () => {
+    const file = path.join(os.tmpdir(), `tictactoe-migrate-${process.pid}-${Date.now()}.db`);
+    const [first, second] = [await open(file), await open(file)];
+
+    try {
+      const results = await Promise.all([
+        call(migrations.migrate, first, known),
+        call(migrations.migrate, second, known)
+      ]);
+      expect(results.map(result => result.current)).toEqual([latest, latest]);
+      expect(results[0].applied.length + results[1].applied.length).toBe(known.length);
+      expect(await all(first, 'SELECT version FROM schema_migrations')).toHaveLength(known.length);
+    } finally {
+      await call(first.close.bind(first));
+      await call(second.close.bind(second));
+      fs.unlinkSync(file);
+    }
+  });
+});
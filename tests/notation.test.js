@@ -0,0 +1,93 @@
+const { squareName, parseSquare, resultOf, formatGame, formatGames, parseGames } = require('../lib/notation');
+
+describe('Game notation', () => {
+  const game = {
+    id: 'game-1',
+    createdAt: '2024-05-01 13:45:10',
+    players: { X: 'Alice "Ace"', O: null },
+    boardSize: 3,
+    winLength: 3,
+    winner: 'X',
+    isDraw: false,
+    opponent: 'human'
+  };
+  const moves = [
+    { player: 'X', position: 4 },
+    { player: 'O', position: 0 },
+    { player: 'X', position: 8 },
+    { player: 'O', position: 2 },
+    { player: 'X', position: 1 },
+    { player: 'O', position: 6 },
+    { player: 'X', position: 7 }
+  ];
+
+  it('should name squares from the top-left corner', () => {
+    expect(squareName(0, 3)).toBe('a1');
+    expect(squareName(4, 3)).toBe('b2');
+    expect(squareName(224, 15)).toBe('o15');
+    expect(parseSquare('c3', 3)).toBe(8);
+    expect(parseSquare('d1', 3)).toBe(null);
+    expect(parseSquare('a0', 3)).toBe(null);
+  });
+
+  it('should write results like PGN', () => {
+    expect(resultOf('X', false)).toBe('1-0');
+    expect(resultOf('O', false)).toBe('0-1');
+    expect(resultOf(null, true)).toBe('1/2-1/2');
+    expect(resultOf(null, false)).toBe('*');
+  });
+
+  it('should write header tags and numbered moves', () => {
+    const text = formatGame(game, moves);
+
+    expect(text).toContain('[Date "2024.05.01"]');
+    expect(text).toContain('[X "Alice \\"Ace\\""]');
+    expect(text).toContain('[O "?"]');
+    expect(text).toContain('[Variant "3x3, 3 in a row"]');
+    expect(text).toContain('[Result "1-0"]');
+    expect(text).toContain('1. b2 a1 2. c3 c1 3. b1 a3 4. b3 1-0');
+  });
+
+  it('should read back what it writes', () => {
+    const { games } = parseGames(formatGames([{ game, moves }, { game: { ...game, id: 'game-2' }, moves }]));
+
+    expect(games).toHaveLength(2);
+    expect(games[0]).toMatchObject({
+      id: 'game-1',
+      players: { X: 'Alice "Ace"', O: null },
+      boardSize: 3,
+      winLength: 3,
+      createdAt: '2024-05-01 13:45:10',
+      result: '1-0'
+    });
+    expect(games[0].moves).toEqual(moves);
+    expect(games[1].id).toBe('game-2');
+  });
+
+  it('should tag games that ended off the board', () => {
+    const resigned = { ...game, winner: 'O', endReason: 'resignation' };
+    const text = formatGame(resigned, moves.slice(0, 2));
+    expect(text).toContain('[Termination "resignation"]');
+    expect(parseGames(text).games[0]).toMatchObject({ result: '0-1', termination: 'resignation' });
+
+    expect(formatGame({ ...game, endReason: 'board_win' }, moves)).not.toContain('Termination');
+    expect(parseGames('[Termination "abandoned"]\n1. a1 0-1').error).toMatch(/Invalid Termination/);
+    expect(parseGames('[Termination "agreed_draw"]\n1. a1 0-1').error).toMatch(/does not match/);
+  });
+
+  it('should accept bare move text on a default board', () => {
+    const { games } = parseGames('1.b2 a1 2.c3 *');
+    expect(games[0].boardSize).toBe(3);
+    expect(games[0].moves.map(move => move.position)).toEqual([4, 0, 8]);
+    expect(games[0].result).toBe('*');
+  });
+
+  it('should report what is wrong with a bad game', () => {
+    expect(parseGames('').error).toMatch(/No games/);
+    expect(parseGames('1. z9 *').error).toMatch(/Invalid square "z9"/);
+    expect(parseGames('[Variant "3x4, 3 in a row"]\n1. a1 *').error).toMatch(/Variant/);
+    expect(parseGames('[Result "1-0"]\n1. a1 *').error).toMatch(/does not match/);
+    expect(parseGames('1. a1 * b2').error).toMatch(/after the result/);
+    expect(parseGames('[X "A"]\n1. a1 *\n[X "B"]\n1. z1 *').error).toMatch(/^Game 2: /);
+  });
+});
@@ -0,0 +1,136 @@
+const request = require('supertest');
+
+process.env.NODE_ENV = 'test';
+process.env.DB_PATH = ':memory:';
+process.env.RATE_LIMIT_ALLOWLIST = '127.0.0.1, ::1';
+
+const app = require('../server');
+const openapi = require('../lib/openapi');
+const schemas = require('../lib/schemas');
+
+// Every route the app registers, as "get /api/games/{id}"
+function registeredRoutes() {
+  const routes = [];
+  for (const layer of app._router.stack) {
+    if (!layer.route || typeof layer.route.path !== 'string') {
+      continue;
+    }
+    for (const method of Object.keys(layer.route.methods)) {
+      routes.push(`${method} ${openapi.openApiPath(layer.route.path)}`);
+    }
+  }
+  return routes;
+}
+
+describe('OpenAPI description', () => {
+  const spec = openapi.buildSpec();
+
+  const documented = () => {
+    const operations = [];
+    for (const [path, methods] of Object.entries(spec.paths)) {
+      for (const method of Object.keys(methods)) {
+        operations.push(`${method} ${path}`);
+      }
+    }
+    return operations;
+  };
+
+  it('should describe every route the server registers', () => {
+    // The app page is HTML for browsers, not part of the API
+    const routes = registeredRoutes().filter(route => route !== 'get /');
+    expect(routes.length).toBeGreaterThan(30);
+    expect(routes.filter(route => !documented().includes(route))).toEqual([]);
+  });
+
+  it('should not describe routes the server does not have', () => {
+    const routes = registeredRoutes();
+    expect(documented().filter(operation => !routes.includes(operation))).toEqual([]);
+  });
+
+  it('should name an existing validation schema for every API operation', () => {
+    for (const entry of openapi.OPERATIONS) {
+      if (entry.schema !== undefined) {
+        expect(schemas).toHaveProperty([entry.schema]);
+      }
+    }
+    const validated = openapi.OPERATIONS.filter(entry => entry.path.startsWith('/api/') && !entry.schema);
+    expect(validated.map(entry => entry.path)).toEqual(['/api/openapi.json', '/api/docs']);
+  });
+
+  it('should take parameters and bodies from the validation schemas', () => {
+    const move = spec.paths['/api/games/{id}/move'].post;
+    expect(move.parameters[0]).toEqual({ name: 'id', in: 'path', required: true, schema: schemas.move.params.properties.id });
+    expect(move.requestBody.content['application/json'].schema.properties.position).toEqual(schemas.move.body.properties.position);
+    expect(move.requestBody.content['application/json'].schema.required).toEqual(['position', 'player']);
+
+    const list = spec.paths['/api/games'].get;
+    const limit = list.parameters.find(parameter => parameter.name === 'limit');
+    expect(limit).toMatchObject({ in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100 } });
+  });
+
+  it('should turn error messages into descriptions', () => {
+    const player = spec.paths['/api/games/{id}/move'].post.requestBody.content['application/json'].schema.properties.player;
+    expect(player).toEqual({ type: 'string', enum: ['X', 'O'], description: 'Player must be X or O' });
+    expect(JSON.stringify(spec)).not.toContain('errorMessage');
+  });
+
+  it('should accept notation as text or JSON for imports', () => {
+    const content = spec.paths['/api/games/import'].post.requestBody.content;
+    expect(content['text/plain'].schema).toEqual({ type: 'string' });
+    expect(content['application/json'].schema.type).toBe('object');
+  });
+
+  it('should name the credentials and headers operations take', () => {
+    const move = spec.paths['/api/games/{id}/move'].post;
+    expect(move.security).toEqual([{ seatToken: [] }]);
+    expect(move.parameters).toContainEqual({ $ref: '#/components/parameters/ifMatch' });
+    expect(spec.paths['/api/admin/cleanup'].post.security).toEqual([{ adminToken: [] }]);
+    expect(spec.paths['/api/auth/me'].get.security).toEqual([{ session: [] }]);
+    expect(spec.paths['/api/analyze'].post.security).toBeUndefined();
+    expect(spec.components.securitySchemes.seatToken).toMatchObject({ type: 'apiKey', in: 'header', name: 'X-Seat-Token' });
+  });
+
+  it('should resolve every $ref', () => {
+    const refs = JSON.stringify(spec).match(/"\$ref":"[^"]+"/g);
+    expect(refs.length).toBeGreaterThan(0);
+    for (const ref of refs) {
+      const target = JSON.parse(`{${ref}}`).$ref.split('/').slice(1).reduce((node, key) => node && node[key], spec);
+      expect(target).toBeDefined();
+    }
+  });
+
+  it('should give every operation a unique id and an error response', () => {
+    const ids = [];
+    for (const methods of Object.values(spec.paths)) {
+      for (const operation of Object.values(methods)) {
+        ids.push(operation.operationId);
+        expect(operation.responses.default).toEqual({ $ref: '#/components/responses/Error' });
+      }
+    }
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
+
+describe('API description routes', () => {
+  it('should serve the description at /api/openapi.json', async () => {
+    const response = await request(app).get('/api/openapi.json').expect(200);
+    expect(response.headers['content-type']).toMatch(/application\/json/);
+    expect(response.body.openapi).toBe('3.1.0');
+    expect(response.body.paths['/api/games/{id}'].get.operationId).toBe('getGamesId');
+  });
+
+  it('should serve a docs page that lists every operation', async () => {
+    const response = await request(app).get('/api/docs').expect(200);
+    expect(response.headers['content-type']).toMatch(/text\/html/);
+    expect(response.text).toContain('<link rel="stylesheet" href="/docs.css">');
+    expect(response.text).toContain('POST</span> <code>/api/games/{id}/move</code>');
+    expect(response.text).toContain('X-Seat-Token');
+    // The Content-Security-Policy would block these
+    expect(response.text).not.toMatch(/<script|<style|style=/);
+  });
+
+  it('should serve the docs stylesheet', async () => {
+    const response = await request(app).get('/docs.css').expect(200);
+    expect(response.headers['content-type']).toMatch(/text\/css/);
+  });
+});
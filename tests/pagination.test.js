@@ -0,0 +1,18 @@
+const { encodeCursor, decodeCursor } = require('../lib/pagination');
+
+describe('Pagination cursors', () => {
+  it('should round-trip cursor data', () => {
+    const data = { sort: 'createdAt', order: 'desc', value: '2024-01-01 10:00:00', id: 'abc' };
+    const cursor = encodeCursor(data);
+
+    expect(typeof cursor).toBe('string');
+    expect(cursor).not.toMatch(/[+/=]/);
+    expect(decodeCursor(cursor)).toEqual(data);
+  });
+
+  it('should reject cursors it did not make', () => {
+    expect(decodeCursor('not a cursor')).toBe(null);
+    expect(decodeCursor(encodeCursor([1, 2]))).toBe(null);
+    expect(decodeCursor(encodeCursor(42))).toBe(null);
+  });
+});
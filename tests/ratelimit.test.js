@@ -0,0 +1,49 @@
+const ratelimit = require('../lib/ratelimit');
+
+describe('Rate limiter', () => {
+  it('should count requests in fixed windows', () => {
+    const limiter = ratelimit.createLimiter();
+
+    expect(limiter.hit('a', 2, 1000, 0)).toEqual({ allowed: true, limit: 2, remaining: 1, resetAt: 1000 });
+    expect(limiter.hit('a', 2, 1000, 500)).toEqual({ allowed: true, limit: 2, remaining: 0, resetAt: 1000 });
+    expect(limiter.hit('a', 2, 1000, 999)).toEqual({ allowed: false, limit: 2, remaining: 0, resetAt: 1000 });
+    // Keys are counted separately
+    expect(limiter.hit('b', 2, 1000, 999).allowed).toBe(true);
+
+    expect(limiter.hit('a', 2, 1000, 1000)).toEqual({ allowed: true, limit: 2, remaining: 1, resetAt: 2000 });
+  });
+
+  it('should count a request that does the work of several as that many', () => {
+    const limiter = ratelimit.createLimiter();
+
+    expect(limiter.hit('a', 5, 1000, 0, 4)).toMatchObject({ allowed: true, remaining: 1 });
+    expect(limiter.hit('a', 5, 1000, 0, 2)).toMatchObject({ allowed: false, remaining: 0 });
+  });
+
+  it('should forget everything on reset', () => {
+    const limiter = ratelimit.createLimiter();
+    limiter.hit('a', 1, 1000, 0);
+    expect(limiter.hit('a', 1, 1000, 0).allowed).toBe(false);
+
+    limiter.reset();
+    expect(limiter.hit('a', 1, 1000, 0).allowed).toBe(true);
+  });
+});
+
+describe('Allowlist', () => {
+  it('should match exact addresses', () => {
+    expect(ratelimit.isAllowed('127.0.0.1', ['127.0.0.1'])).toBe(true);
+    expect(ratelimit.isAllowed('::ffff:127.0.0.1', ['127.0.0.1'])).toBe(true);
+    expect(ratelimit.isAllowed('::1', ['127.0.0.1', '::1'])).toBe(true);
+    expect(ratelimit.isAllowed('127.0.0.2', ['127.0.0.1'])).toBe(false);
+    expect(ratelimit.isAllowed('127.0.0.1', [])).toBe(false);
+  });
+
+  it('should match IPv4 ranges', () => {
+    expect(ratelimit.isAllowed('10.1.2.3', ['10.0.0.0/8'])).toBe(true);
+    expect(ratelimit.isAllowed('::ffff:172.18.0.5', ['172.16.0.0/12'])).toBe(true);
+    expect(ratelimit.isAllowed('172.32.0.1', ['172.16.0.0/12'])).toBe(false);
+    expect(ratelimit.isAllowed('8.8.8.8', ['0.0.0.0/0'])).toBe(true);
+    expect(ratelimit.isAllowed('10.1.2.3', ['10.0.0.0/33', 'nonsense/8'])).toBe(false);
+  });
+});
@@ -0,0 +1,36 @@
+const { INITIAL_RATING, PROVISIONAL_GAMES, expectedScore, ratingChanges, isProvisional } = require('../lib/rating');
+
+describe('Elo ratings', () => {
+  const newcomer = { rating: INITIAL_RATING, ratedGames: 0 };
+  const veteran = { rating: INITIAL_RATING, ratedGames: PROVISIONAL_GAMES };
+
+  it('should expect an even game between equal ratings', () => {
+    expect(expectedScore(1500, 1500)).toBeCloseTo(0.5);
+    expect(expectedScore(1900, 1500)).toBeCloseTo(0.909, 3);
+  });
+
+  it('should move equal ratings symmetrically for established players', () => {
+    const changes = ratingChanges(veteran, veteran, 1);
+    expect(changes.player).toBeCloseTo(10);
+    expect(changes.opponent).toBeCloseTo(-10);
+  });
+
+  it('should move provisional ratings faster', () => {
+    const changes = ratingChanges(newcomer, veteran, 1);
+    expect(changes.player).toBeCloseTo(20);
+    expect(changes.opponent).toBeCloseTo(-10);
+  });
+
+  it('should reward an upset more than an expected win', () => {
+    const strong = { rating: 1800, ratedGames: 50 };
+    const weak = { rating: 1400, ratedGames: 50 };
+    expect(ratingChanges(weak, strong, 1).player).toBeGreaterThan(ratingChanges(strong, weak, 1).player);
+    expect(ratingChanges(weak, strong, 0.5).player).toBeGreaterThan(0);
+  });
+
+  it('should treat players as provisional for their first games', () => {
+    expect(isProvisional(0)).toBe(true);
+    expect(isProvisional(PROVISIONAL_GAMES - 1)).toBe(true);
+    expect(isProvisional(PROVISIONAL_GAMES)).toBe(false);
+  });
+});
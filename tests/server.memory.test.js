@@ -0,0 +1,4 @@
+// The API suite again, with games kept by the in-memory storage
+process.env.STORAGE = 'memory';
+
+require('./server.test');
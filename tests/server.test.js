@@ -1,73 +1,20 @@
 const request = require('supertest');
-const express = require('express');
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const http = require('http');
+
+// Every run gets a fresh in-memory database, which the server migrates itself
+process.env.NODE_ENV = 'test';
+process.env.DB_PATH = ':memory:';
+// The suite makes far more requests than a client may; the rate limiting tests
+// use forwarded addresses that are not on this list
+process.env.RATE_LIMIT_ALLOWLIST = '127.0.0.1, ::1';
 
 // Import the server app without starting the server
 const app = require('../server');
+const matchmaking = require('../lib/matchmaking');
 
 describe('TicTacToe API', () => {
-  let testDb;
   let gameId;
-
-  beforeAll((done) => {
-    // Set test environment
-    process.env.NODE_ENV = 'test';
-    process.env.DB_PATH = ':memory:';
-    
-    // Create a test database
-    testDb = new sqlite3.Database(':memory:', (err) => {
-      if (err) {
-        console.error('Error opening test database:', err.message);
-      } else {
-        console.log('Connected to test database');
-        // Initialize test database
-        testDb.serialize(() => {
-          testDb.run(`CREATE TABLE IF NOT EXISTS games (
-            id TEXT PRIMARY KEY,
-            board TEXT NOT NULL,
-            current_player TEXT NOT NULL,
-            winner TEXT,
-            is_draw BOOLEAN DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-          )`);
-
-          testDb.run(`CREATE TABLE IF NOT EXISTS moves (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            game_id TEXT NOT NULL,
-            player TEXT NOT NULL,
-            position INTEGER NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (game_id) REFERENCES games (id)
-          )`);
-
-          testDb.run(`CREATE TABLE IF NOT EXISTS player_stats (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            player_name TEXT UNIQUE NOT NULL,
-            wins INTEGER DEFAULT 0,
-            losses INTEGER DEFAULT 0,
-            draws INTEGER DEFAULT 0,
-            total_games INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-          )`);
-        });
-        done();
-      }
-    });
-  });
-
-  afterAll((done) => {
-    testDb.close((err) => {
-      if (err) {
-        console.error('Error closing test database:', err.message);
-      } else {
-        console.log('Test database connection closed.');
-      }
-      done();
-    });
-  });
+  let gameToken;
 
   describe('GET /health', () => {
     it('should return health status', async () => {
@@ -79,6 +26,27 @@ describe('TicTacToe API', () => {
     });
   });
 
+  describe('Security headers', () => {
+    it('should serve the client under a Content-Security-Policy', async () => {
+      const response = await request(app).get('/').expect(200);
+      const policy = response.headers['content-security-policy'];
+      expect(policy).toContain("default-src 'self'");
+      expect(policy).toContain("script-src 'self'");
+      expect(policy).toContain("script-src-attr 'none'");
+      expect(policy).toContain("style-src 'self'");
+      expect(policy).not.toContain('unsafe-inline');
+      expect(response.headers['x-content-type-options']).toBe('nosniff');
+      expect(response.headers['x-frame-options']).toBe('SAMEORIGIN');
+    });
+
+    it('should not use inline scripts or styles in the client', async () => {
+      const page = await request(app).get('/').expect(200);
+      expect(page.text).not.toMatch(/<script>|<style|\sstyle=|\son\w+=/i);
+      const script = await request(app).get('/script.js').expect(200);
+      expect(script.text).not.toMatch(/\sstyle="/);
+    });
+  });
+
   describe('POST /api/games', () => {
     it('should create a new game', async () => {
       const response = await request(app)
@@ -94,6 +62,7 @@ describe('TicTacToe API', () => {
       expect(response.body.board.every(cell => cell === '')).toBe(true);
 
       gameId = response.body.id;
+      gameToken = response.body.seatToken;
     });
   });
 
@@ -120,7 +89,7 @@ describe('TicTacToe API', () => {
   describe('POST /api/games/:id/move', () => {
     it('should make a valid move', async () => {
       const response = await request(app)
-        .post(`/api/games/${gameId}/move`)
+        .post(`/api/games/${gameId}/move`).set('X-Seat-Token', gameToken)
         .send({
           position: 0,
           player: 'X'
@@ -135,7 +104,7 @@ describe('TicTacToe API', () => {
 
     it('should reject invalid position', async () => {
       await request(app)
-        .post(`/api/games/${gameId}/move`)
+        .post(`/api/games/${gameId}/move`).set('X-Seat-Token', gameToken)
         .send({
           position: 10,
           player: 'O'
@@ -145,7 +114,7 @@ describe('TicTacToe API', () => {
 
     it('should reject move on occupied position', async () => {
       await request(app)
-        .post(`/api/games/${gameId}/move`)
+        .post(`/api/games/${gameId}/move`).set('X-Seat-Token', gameToken)
         .send({
           position: 0,
           player: 'O'
@@ -155,7 +124,7 @@ describe('TicTacToe API', () => {
 
     it('should reject wrong player turn', async () => {
       await request(app)
-        .post(`/api/games/${gameId}/move`)
+        .post(`/api/games/${gameId}/move`).set('X-Seat-Token', gameToken)
         .send({
           position: 1,
           player: 'X'
@@ -176,10 +145,12 @@ describe('TicTacToe API', () => {
 
   describe('Game completion scenarios', () => {
     let winningGameId;
+    let winningGameToken;
 
     beforeEach(async () => {
       const createResponse = await request(app).post('/api/games');
       winningGameId = createResponse.body.id;
+      winningGameToken = createResponse.body.seatToken;
     });
 
     it('should detect a winning game', async () => {
@@ -194,7 +165,7 @@ describe('TicTacToe API', () => {
 
       for (const move of moves) {
         await request(app)
-          .post(`/api/games/${winningGameId}/move`)
+          .post(`/api/games/${winningGameId}/move`).set('X-Seat-Token', winningGameToken)
           .send(move);
       }
 
@@ -219,7 +190,7 @@ describe('TicTacToe API', () => {
 
       for (const move of moves) {
         await request(app)
-          .post(`/api/games/${winningGameId}/move`)
+          .post(`/api/games/${winningGameId}/move`).set('X-Seat-Token', winningGameToken)
           .send(move);
       }
 
@@ -230,4 +201,2030 @@ describe('TicTacToe API', () => {
       expect(gameResponse.body.isDraw).toBe(true);
     });
   });
+
+  describe('Computer opponent', () => {
+    it('should reject an unknown difficulty', async () => {
+      await request(app)
+        .post('/api/games')
+        .send({ opponent: 'computer', difficulty: 'impossible' })
+        .expect(400);
+    });
+
+    it('should reply to a human move', async () => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ opponent: 'computer', difficulty: 'perfect' })
+        .expect(201);
+
+      expect(createResponse.body).toHaveProperty('opponent', 'computer');
+      expect(createResponse.body).toHaveProperty('computerPlayer', 'O');
+
+      const response = await request(app)
+        .post(`/api/games/${createResponse.body.id}/move`).set('X-Seat-Token', createResponse.body.seatToken)
+        .send({ position: 0, player: 'X' })
+        .expect(200);
+
+      expect(response.body.move).toEqual({ position: 0, player: 'X' });
+      expect(response.body.computerMove).toHaveProperty('player', 'O');
+      // Perfect play answers a corner opening with the centre
+      expect(response.body.computerMove.position).toBe(4);
+      expect(response.body.board[4]).toBe('O');
+      expect(response.body.currentPlayer).toBe('X');
+    });
+
+    it('should open the game when the computer plays X', async () => {
+      const response = await request(app)
+        .post('/api/games')
+        .send({ opponent: 'computer', difficulty: 'easy', computerPlayer: 'X' })
+        .expect(201);
+
+      expect(response.body.computerMove).toHaveProperty('player', 'X');
+      expect(response.body.board.filter(cell => cell === 'X')).toHaveLength(1);
+      expect(response.body.currentPlayer).toBe('O');
+    });
+
+    it('should not let the human move for the computer', async () => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ opponent: 'computer', difficulty: 'easy', computerPlayer: 'X' });
+
+      const position = createResponse.body.board.indexOf('');
+      await request(app)
+        .post(`/api/games/${createResponse.body.id}/move`).set('X-Seat-Token', createResponse.body.seatToken)
+        .send({ position, player: 'X' })
+        .expect(400);
+    });
+  });
+
+  describe('Board sizes', () => {
+    it('should create a larger board with its own win length', async () => {
+      const response = await request(app)
+        .post('/api/games')
+        .send({ boardSize: 5, winLength: 4 })
+        .expect(201);
+
+      expect(response.body.board).toHaveLength(25);
+      expect(response.body).toHaveProperty('boardSize', 5);
+      expect(response.body).toHaveProperty('winLength', 4);
+    });
+
+    it('should reject unsupported dimensions', async () => {
+      await request(app).post('/api/games').send({ boardSize: 20 }).expect(400);
+      await request(app).post('/api/games').send({ boardSize: 4, winLength: 6 }).expect(400);
+      await request(app).post('/api/games').send({ boardSize: 3, winLength: 4 }).expect(400);
+    });
+
+    it('should accept positions anywhere on the board and no further', async () => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ boardSize: 4 });
+      const id = createResponse.body.id;
+      const token = createResponse.body.seatToken;
+
+      await request(app)
+        .post(`/api/games/${id}/move`).set('X-Seat-Token', token)
+        .send({ position: 15, player: 'X' })
+        .expect(200);
+
+      await request(app)
+        .post(`/api/games/${id}/move`).set('X-Seat-Token', token)
+        .send({ position: 16, player: 'O' })
+        .expect(400);
+    });
+
+    it('should only award a win for the full win length', async () => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ boardSize: 5, winLength: 4 });
+      const id = createResponse.body.id;
+      const token = createResponse.body.seatToken;
+
+      const moves = [
+        { position: 0, player: 'X' }, { position: 5, player: 'O' },
+        { position: 1, player: 'X' }, { position: 6, player: 'O' },
+        { position: 2, player: 'X' }, { position: 7, player: 'O' }
+      ];
+      for (const move of moves) {
+        const response = await request(app).post(`/api/games/${id}/move`).set('X-Seat-Token', token).send(move);
+        expect(response.body.winner).toBe(null);
+      }
+
+      const response = await request(app)
+        .post(`/api/games/${id}/move`).set('X-Seat-Token', token)
+        .send({ position: 3, player: 'X' })
+        .expect(200);
+      expect(response.body.winner).toBe('X');
+
+      const gameResponse = await request(app).get(`/api/games/${id}`);
+      expect(gameResponse.body).toHaveProperty('boardSize', 5);
+      expect(gameResponse.body).toHaveProperty('winLength', 4);
+    });
+  });
+
+  describe('GET /api/games', () => {
+    const name = `Lister-${Date.now().toString(36)}`;
+    const games = {};
+
+    const playGame = async (moves) => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ players: { X: name, O: `${name}-O` } });
+      for (const [index, position] of moves.entries()) {
+        await request(app)
+          .post(`/api/games/${createResponse.body.id}/move`)
+          .set('X-Seat-Token', createResponse.body.seatToken)
+          .send({ position, player: index % 2 === 0 ? 'X' : 'O' });
+      }
+      return createResponse.body.id;
+    };
+
+    const list = (query) => request(app).get('/api/games').query({ player: name, ...query });
+    const ids = (response) => response.body.games.map(game => game.id).sort();
+
+    beforeAll(async () => {
+      games.won = await playGame([0, 3, 1, 4, 2]);
+      games.drawn = await playGame([0, 1, 2, 4, 3, 5, 7, 6, 8]);
+      games.empty = await playGame([]);
+      games.oneMove = await playGame([4]);
+      games.twoMoves = await playGame([4, 0]);
+    });
+
+    it('should page through games with cursors', async () => {
+      const seen = [];
+      let cursor;
+      let pages = 0;
+
+      do {
+        const response = await list({ limit: 2, ...(cursor ? { cursor } : {}) }).expect(200);
+        expect(response.body.total).toBe(5);
+        expect(response.body.games.length).toBeLessThanOrEqual(2);
+        seen.push(...response.body.games.map(game => game.id));
+        cursor = response.body.nextCursor;
+        pages++;
+      } while (cursor);
+
+      expect(pages).toBe(3);
+      expect(seen.sort()).toEqual(Object.values(games).sort());
+    });
+
+    it('should filter by status', async () => {
+      expect(ids(await list({ status: 'won' }))).toEqual([games.won]);
+      expect(ids(await list({ status: 'drawn' }))).toEqual([games.drawn]);
+      expect(ids(await list({ status: 'won,drawn' }))).toEqual([games.won, games.drawn].sort());
+
+      const inProgress = await list({ status: 'in_progress' });
+      expect(inProgress.body.total).toBe(3);
+    });
+
+    it('should filter by winner, move count and date', async () => {
+      expect(ids(await list({ winner: name }))).toEqual([games.won]);
+      expect(ids(await list({ winner: 'X' }))).toEqual([games.won]);
+      expect((await list({ winner: 'O' })).body.total).toBe(0);
+      expect(ids(await list({ minMoves: 5 }))).toEqual([games.won, games.drawn].sort());
+
+      expect((await list({ from: '2000-01-01' })).body.total).toBe(5);
+      expect((await list({ to: '2000-01-01' })).body.total).toBe(0);
+    });
+
+    it('should sort by move count', async () => {
+      const response = await list({ sort: 'moves', order: 'asc' }).expect(200);
+      expect(response.body.games.map(game => game.totalMoves)).toEqual([0, 1, 2, 5, 9]);
+    });
+
+    it('should reject bad filters and cursors', async () => {
+      await list({ status: 'paused' }).expect(400);
+      await list({ sort: 'name' }).expect(400);
+      await list({ limit: 0 }).expect(400);
+      await list({ from: 'yesterday' }).expect(400);
+      await list({ cursor: 'garbage' }).expect(400);
+
+      // A cursor only works with the sort it was made for
+      const firstPage = await list({ limit: 1 });
+      await list({ sort: 'moves', cursor: firstPage.body.nextCursor }).expect(400);
+    });
+  });
+
+  describe('Game notation', () => {
+    const name = `Scribe-${Date.now().toString(36)}`;
+
+    const playGame = async (moves) => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ players: { X: name, O: `${name}-O` } });
+      for (const [index, position] of moves.entries()) {
+        await request(app)
+          .post(`/api/games/${createResponse.body.id}/move`)
+          .set('X-Seat-Token', createResponse.body.seatToken)
+          .send({ position, player: index % 2 === 0 ? 'X' : 'O' });
+      }
+      return createResponse.body.id;
+    };
+
+    const importText = (text) => request(app)
+      .post('/api/games/import')
+      .set('Content-Type', 'text/plain')
+      .send(text);
+
+    it('should export a game as text', async () => {
+      const id = await playGame([0, 3, 1, 4, 2]);
+
+      const response = await request(app)
+        .get(`/api/games/${id}/export`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/plain/);
+      expect(response.headers['content-disposition']).toContain(`${id}.pgn`);
+      expect(response.text).toContain(`[X "${name}"]`);
+      expect(response.text).toContain('[Result "1-0"]');
+      expect(response.text).toContain('1. a1 a2 2. b1 b2 3. c1 1-0');
+    });
+
+    it('should import an exported game as a new game with the same moves', async () => {
+      const id = await playGame([0, 3, 1, 4, 2]);
+      const exported = await request(app).get(`/api/games/${id}/export`);
+
+      const response = await importText(exported.text).expect(201);
+      expect(response.body.imported).toBe(1);
+      const imported = response.body.games[0];
+      expect(imported.id).not.toBe(id);
+      expect(imported.result).toBe('1-0');
+
+      const movesResponse = await request(app).get(`/api/games/${imported.id}/moves`);
+      expect(movesResponse.body.winner).toBe('X');
+      expect(movesResponse.body.players.X).toBe(name);
+      expect(movesResponse.body.moves.map(move => move.position)).toEqual([0, 3, 1, 4, 2]);
+    });
+
+    it('should let the importer play on in an unfinished game', async () => {
+      const response = await request(app)
+        .post('/api/games/import')
+        .send({ notation: '[Variant "4x4, 3 in a row"]\n1. a1 b2 *' })
+        .expect(201);
+      const imported = response.body.games[0];
+
+      await request(app)
+        .post(`/api/games/${imported.id}/move`)
+        .set('X-Seat-Token', imported.seatToken)
+        .send({ position: 15, player: 'X' })
+        .expect(200);
+    });
+
+    it('should export and import many games in one file', async () => {
+      const exported = await request(app)
+        .get('/api/games/export')
+        .query({ player: name })
+        .expect(200);
+      const count = (exported.text.match(/\[Event /g) || []).length;
+      expect(count).toBeGreaterThanOrEqual(2);
+
+      const response = await importText(exported.text).expect(201);
+      expect(response.body.imported).toBe(count);
+    });
+
+    it('should reject games that break the rules and import none of them', async () => {
+      const before = await request(app).get('/api/games').query({ player: 'Mallory' });
+
+      const taken = await importText('[X "Mallory"]\n1. a1 a1 *').expect(400);
+      expect(taken.body.error.message).toBe('Move 2: Position already taken');
+
+      const wrongResult = await importText('[X "Mallory"]\n1. a1 b1 *\n\n[X "Mallory"]\n1. a1 b1 1-0').expect(400);
+      expect(wrongResult.body.error.message).toBe('Game 2: Result does not match the moves');
+
+      const afterWin = await importText('1. a1 a2 2. b1 b2 3. c1 c2 1-0').expect(400);
+      expect(afterWin.body.error.message).toMatch(/Game is already finished/);
+
+      const after = await request(app).get('/api/games').query({ player: 'Mallory' });
+      expect(after.body.total).toBe(before.body.total);
+    });
+  });
+
+  describe('POST /api/analyze', () => {
+    it('should rate every move and recommend the best one', async () => {
+      const response = await request(app)
+        .post('/api/analyze')
+        .send({ board: ['X', 'X', '', 'O', 'O', '', '', '', ''] })
+        .expect(200);
+
+      // Both sides have two marks, so X is to move
+      expect(response.body.player).toBe('X');
+      expect(response.body.reachable).toBe(true);
+      expect(response.body.status).toBe('in_progress');
+      expect(response.body.recommendedMove).toBe(2);
+      expect(response.body.outcome).toBe('win');
+      expect(response.body.moves).toHaveLength(5);
+      expect(response.body.moves.find(move => move.position === 2)).toEqual({ position: 2, outcome: 'win', plies: 1 });
+    });
+
+    it('should flag positions no real game can reach', async () => {
+      const response = await request(app)
+        .post('/api/analyze')
+        .send({ board: ['X', 'X', '', '', '', '', '', '', ''], player: 'X' })
+        .expect(200);
+      expect(response.body.reachable).toBe(false);
+      expect(typeof response.body.reason).toBe('string');
+    });
+
+    it('should reject bad boards and positions too open to solve', async () => {
+      await request(app).post('/api/analyze').send({ board: ['X', 'Y'] }).expect(400);
+      await request(app).post('/api/analyze').send({ board: Array(8).fill('') }).expect(400);
+      await request(app).post('/api/analyze').send({ board: Array(9).fill(''), player: 'Z' }).expect(400);
+      await request(app).post('/api/analyze').send({ board: Array(25).fill(''), winLength: 4 }).expect(422);
+    });
+  });
+
+  describe('GET /api/games/:id/moves', () => {
+    it('should list moves in order with the board after each one', async () => {
+      const name = `Replay-${Date.now().toString(36)}`;
+      const createResponse = await request(app).post('/api/games').send({ players: { X: name } });
+      const id = createResponse.body.id;
+      const token = createResponse.body.seatToken;
+      const played = [8, 0, 4, 2, 1];
+
+      for (const [index, position] of played.entries()) {
+        await request(app)
+          .post(`/api/games/${id}/move`)
+          .set('X-Seat-Token', token)
+          .send({ position, player: index % 2 === 0 ? 'X' : 'O' })
+          .expect(200);
+      }
+
+      const response = await request(app)
+        .get(`/api/games/${id}/moves`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('boardSize', 3);
+      expect(response.body.moves.map(move => move.position)).toEqual(played);
+      expect(response.body.moves.map(move => move.number)).toEqual([1, 2, 3, 4, 5]);
+      expect(response.body.moves[0].board).toEqual(['', '', '', '', '', '', '', '', 'X']);
+      expect(response.body.moves[1].board[0]).toBe('O');
+      expect(response.body.moves[4].board.filter(cell => cell !== '')).toHaveLength(5);
+      expect(response.body.moves[0]).toHaveProperty('createdAt');
+
+      // The game list keeps the same order
+      const listResponse = await request(app).get('/api/games').query({ player: name });
+      const listed = listResponse.body.games.find(game => game.id === id);
+      expect(listed.moveHistory.map(move => move.position)).toEqual(played);
+    });
+
+    it('should return 404 for an unknown game', async () => {
+      await request(app)
+        .get('/api/games/non-existent-id/moves')
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/games/:id/events', () => {
+    let server;
+    let baseUrl;
+
+    // Collect server-sent events from a stream until `count` have arrived
+    const readEvents = (stream, count) => new Promise((resolve) => {
+      const received = [];
+      let buffer = '';
+      stream.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const event = block.match(/^event: (.*)$/m);
+          const data = block.match(/^data: (.*)$/m);
+          if (event && data) {
+            received.push({ event: event[1], data: JSON.parse(data[1]) });
+          }
+          if (received.length === count) {
+            stream.removeAllListeners('data');
+            resolve(received);
+          }
+        }
+      });
+    });
+
+    const openStream = (id) => new Promise((resolve, reject) => {
+      const req = http.get(`${baseUrl}/api/games/${id}/events`, (res) => {
+        res.setEncoding('utf8');
+        resolve({ req, res });
+      });
+      req.on('error', reject);
+    });
+
+    beforeAll((done) => {
+      server = app.listen(0, () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.close(done);
+    });
+
+    it('should return 404 for non-existent game', async () => {
+      await request(app)
+        .get('/api/games/non-existent-id/events')
+        .expect(404);
+    });
+
+    it('should send the current state and then push moves and the result', async () => {
+      const createResponse = await request(app).post('/api/games');
+      const id = createResponse.body.id;
+      const token = createResponse.body.seatToken;
+
+      const { req, res } = await openStream(id);
+      expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+
+      const [state, join] = await readEvents(res, 2);
+      expect(state.event).toBe('state');
+      expect(state.data).toHaveProperty('id', id);
+      expect(state.data.board).toHaveLength(9);
+      expect(join.event).toBe('join');
+      expect(join.data).toHaveProperty('viewers', 1);
+
+      const pushed = readEvents(res, 1);
+      await request(app)
+        .post(`/api/games/${id}/move`).set('X-Seat-Token', token)
+        .send({ position: 4, player: 'X' })
+        .expect(200);
+      const [move] = await pushed;
+      expect(move.event).toBe('move');
+      expect(move.data.move).toEqual({ position: 4, player: 'X' });
+      expect(move.data.board[4]).toBe('X');
+      expect(move.data.currentPlayer).toBe('O');
+
+      req.destroy();
+    });
+
+    it('should resend the full state to a reconnecting client', async () => {
+      const createResponse = await request(app).post('/api/games');
+      const id = createResponse.body.id;
+      const token = createResponse.body.seatToken;
+
+      await request(app)
+        .post(`/api/games/${id}/move`).set('X-Seat-Token', token)
+        .send({ position: 0, player: 'X' });
+
+      const { req, res } = await openStream(id);
+      const [state] = await readEvents(res, 1);
+      expect(state.event).toBe('state');
+      expect(state.data.board[0]).toBe('X');
+      expect(state.data.currentPlayer).toBe('O');
+
+      req.destroy();
+    });
+
+    it('should announce the end of the game', async () => {
+      const createResponse = await request(app).post('/api/games');
+      const id = createResponse.body.id;
+      const token = createResponse.body.seatToken;
+
+      const moves = [
+        { position: 0, player: 'X' }, { position: 3, player: 'O' },
+        { position: 1, player: 'X' }, { position: 4, player: 'O' }
+      ];
+      for (const move of moves) {
+        await request(app).post(`/api/games/${id}/move`).set('X-Seat-Token', token).send(move);
+      }
+
+      const { req, res } = await openStream(id);
+      await readEvents(res, 2);
+
+      const pushed = readEvents(res, 2);
+      await request(app)
+        .post(`/api/games/${id}/move`).set('X-Seat-Token', token)
+        .send({ position: 2, player: 'X' });
+      const [move, end] = await pushed;
+      expect(move.event).toBe('move');
+      expect(end.event).toBe('end');
+      expect(end.data).toEqual({ id, version: expect.any(Number), winner: 'X', isDraw: false, reason: 'board_win' });
+
+      req.destroy();
+    });
+  });
+
+  describe('Seats', () => {
+    it('should give the creator both seats by default', async () => {
+      const response = await request(app).post('/api/games').expect(201);
+
+      expect(response.body).toHaveProperty('seat', 'both');
+      expect(typeof response.body.seatToken).toBe('string');
+    });
+
+    it('should require the seat token to move', async () => {
+      const createResponse = await request(app).post('/api/games');
+      const id = createResponse.body.id;
+
+      await request(app)
+        .post(`/api/games/${id}/move`)
+        .send({ position: 0, player: 'X' })
+        .expect(401);
+
+      await request(app)
+        .post(`/api/games/${id}/move`)
+        .set('X-Seat-Token', 'not-the-token')
+        .send({ position: 0, player: 'X' })
+        .expect(403);
+    });
+
+    it('should let a second player join and only move for their own seat', async () => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ seat: 'X' })
+        .expect(201);
+      const id = createResponse.body.id;
+      const xToken = createResponse.body.seatToken;
+      expect(createResponse.body).toHaveProperty('seat', 'X');
+
+      await request(app)
+        .post(`/api/games/${id}/move`)
+        .set('X-Seat-Token', xToken)
+        .send({ position: 0, player: 'X' })
+        .expect(200);
+
+      // Nobody holds O yet
+      await request(app)
+        .post(`/api/games/${id}/move`)
+        .set('X-Seat-Token', xToken)
+        .send({ position: 1, player: 'O' })
+        .expect(409);
+
+      const joinResponse = await request(app)
+        .post(`/api/games/${id}/join`)
+        .expect(201);
+      expect(joinResponse.body).toHaveProperty('seat', 'O');
+      expect(joinResponse.body.game.board[0]).toBe('X');
+      const oToken = joinResponse.body.seatToken;
+
+      // X's token cannot play O's turn
+      await request(app)
+        .post(`/api/games/${id}/move`)
+        .set('X-Seat-Token', xToken)
+        .send({ position: 1, player: 'O' })
+        .expect(403);
+
+      await request(app)
+        .post(`/api/games/${id}/move`)
+        .set('X-Seat-Token', oToken)
+        .send({ position: 1, player: 'O' })
+        .expect(200);
+
+      await request(app)
+        .post(`/api/games/${id}/join`)
+        .expect(409);
+    });
+
+    it('should reject joining a taken seat', async () => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ seat: 'O' });
+
+      await request(app)
+        .post(`/api/games/${createResponse.body.id}/join`)
+        .send({ seat: 'O' })
+        .expect(409);
+    });
+
+    it('should let anyone join as a viewer without a token', async () => {
+      const createResponse = await request(app).post('/api/games');
+
+      const response = await request(app)
+        .post(`/api/games/${createResponse.body.id}/join`)
+        .send({ seat: 'viewer' })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('seat', 'viewer');
+      expect(response.body).not.toHaveProperty('seatToken');
+    });
+
+    it('should not offer the computer\'s seat', async () => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ opponent: 'computer', difficulty: 'easy' });
+      expect(createResponse.body).toHaveProperty('seat', 'X');
+
+      await request(app)
+        .post(`/api/games/${createResponse.body.id}/join`)
+        .expect(409);
+    });
+
+    it('should return 404 when joining a non-existent game', async () => {
+      await request(app)
+        .post('/api/games/non-existent-id/join')
+        .expect(404);
+    });
+  });
+
+  describe('Named players', () => {
+    // Unique per run, since the stats table outlives a single test run
+    const suffix = Date.now().toString(36);
+    const alice = `Alice-${suffix}`;
+    const bob = `Bob-${suffix}`;
+
+    it('should record wins, losses and sides for named players', async () => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ players: { X: alice, O: bob } })
+        .expect(201);
+      const id = createResponse.body.id;
+      const token = createResponse.body.seatToken;
+      expect(createResponse.body.players).toEqual({ X: alice, O: bob });
+
+      const moves = [
+        { position: 0, player: 'X' }, { position: 3, player: 'O' },
+        { position: 1, player: 'X' }, { position: 4, player: 'O' },
+        { position: 2, player: 'X' }
+      ];
+      for (const move of moves) {
+        await request(app).post(`/api/games/${id}/move`).set('X-Seat-Token', token).send(move);
+      }
+
+      const statsResponse = await request(app)
+        .get('/api/stats')
+        .query({ player: alice })
+        .expect(200);
+      expect(statsResponse.body).toHaveLength(1);
+      expect(statsResponse.body[0]).toMatchObject({
+        player_name: alice,
+        wins: 1,
+        losses: 0,
+        wins_as_x: 1,
+        wins_as_o: 0,
+        total_games: 1
+      });
+
+      const bobStats = await request(app).get('/api/stats').query({ player: bob });
+      expect(bobStats.body[0]).toMatchObject({ player_name: bob, losses: 1, losses_as_o: 1 });
+    });
+
+    it('should name the player who joins the second seat', async () => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ seat: 'X', players: { X: alice } });
+      const id = createResponse.body.id;
+
+      const joinResponse = await request(app)
+        .post(`/api/games/${id}/join`)
+        .send({ playerName: bob })
+        .expect(201);
+      expect(joinResponse.body.game.players).toEqual({ X: alice, O: bob });
+
+      const gameResponse = await request(app).get(`/api/games/${id}`);
+      expect(gameResponse.body.players).toEqual({ X: alice, O: bob });
+    });
+
+    it('should only list games the filtered player took part in', async () => {
+      const response = await request(app)
+        .get('/api/games')
+        .query({ player: bob })
+        .expect(200);
+
+      expect(response.body.games.length).toBeGreaterThan(0);
+      response.body.games.forEach(game => {
+        expect([game.players.X, game.players.O]).toContain(bob);
+      });
+    });
+
+    it('should reject naming a side the creator does not hold', async () => {
+      await request(app)
+        .post('/api/games')
+        .send({ seat: 'X', players: { O: bob } })
+        .expect(400);
+    });
+
+    it('should reject blank or overlong names', async () => {
+      await request(app).post('/api/games').send({ players: { X: '   ' } }).expect(400);
+      await request(app).post('/api/games').send({ players: { X: 'x'.repeat(33) } }).expect(400);
+    });
+
+    it('should keep stats for the computer', async () => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ opponent: 'computer', difficulty: 'perfect', players: { X: alice } });
+      expect(createResponse.body.players).toEqual({ X: alice, O: 'Computer (perfect)' });
+    });
+  });
+
+  describe('GET /api/leaderboard', () => {
+    const suffix = Date.now().toString(36);
+    const carol = `Carol-${suffix}`;
+    const dave = `Dave-${suffix}`;
+    // X wins along the top row
+    const xWins = [
+      { position: 0, player: 'X' }, { position: 3, player: 'O' },
+      { position: 1, player: 'X' }, { position: 4, player: 'O' },
+      { position: 2, player: 'X' }
+    ];
+
+    // X creates the game and O joins from another device
+    const playGame = async ({ players, ...options }, moves) => {
+      const createResponse = await request(app).post('/api/games').send({ ...options, seat: 'X', players: { X: players.X } });
+      const joinResponse = await request(app)
+        .post(`/api/games/${createResponse.body.id}/join`)
+        .send({ playerName: players.O });
+      const tokens = { X: createResponse.body.seatToken, O: joinResponse.body.seatToken };
+      for (const move of moves) {
+        await request(app)
+          .post(`/api/games/${createResponse.body.id}/move`)
+          .set('X-Seat-Token', tokens[move.player])
+          .send(move);
+      }
+      return createResponse.body;
+    };
+
+    const findPlayer = async (name) => {
+      const response = await request(app).get('/api/leaderboard').query({ limit: 100 });
+      return response.body.players.find(player => player.name === name);
+    };
+
+    it('should rate both players after a ranked game', async () => {
+      await playGame({ players: { X: carol, O: dave } }, xWins);
+
+      const winner = await findPlayer(carol);
+      const loser = await findPlayer(dave);
+      expect(winner.rating).toBe(1520);
+      expect(loser.rating).toBe(1480);
+      expect(winner).toMatchObject({ ratedGames: 1, provisional: true, trend: 20, recentChanges: [20] });
+      expect(loser).toMatchObject({ trend: -20 });
+      expect(winner.rank).toBeLessThan(loser.rank);
+    });
+
+    it('should not rate a shared-screen game, where one token plays both sides', async () => {
+      const names = { X: `Erin-${suffix}`, O: `Finn-${suffix}` };
+      const createResponse = await request(app).post('/api/games').send({ players: names, ranked: true }).expect(201);
+      expect(createResponse.body.ranked).toBe(false);
+      for (const move of xWins) {
+        await request(app)
+          .post(`/api/games/${createResponse.body.id}/move`)
+          .set('X-Seat-Token', createResponse.body.seatToken)
+          .send(move)
+          .expect(200);
+      }
+
+      expect(await findPlayer(names.X)).toBeUndefined();
+      expect(await findPlayer(names.O)).toBeUndefined();
+    });
+
+    it('should leave ratings alone for unranked games', async () => {
+      await playGame({ players: { X: dave, O: carol }, ranked: false }, xWins);
+
+      expect((await findPlayer(carol)).rating).toBe(1520);
+      expect((await findPlayer(dave)).ratedGames).toBe(1);
+    });
+
+    it('should page through players', async () => {
+      const response = await request(app)
+        .get('/api/leaderboard')
+        .query({ limit: 1, offset: 1 })
+        .expect(200);
+
+      expect(response.body.players).toHaveLength(1);
+      expect(response.body.players[0].rank).toBe(2);
+      expect(response.body.total).toBeGreaterThanOrEqual(2);
+    });
+
+    it('should reject invalid paging', async () => {
+      await request(app).get('/api/leaderboard').query({ limit: 0 }).expect(400);
+      await request(app).get('/api/leaderboard').query({ offset: -1 }).expect(400);
+    });
+
+    it('should reject a non-boolean ranked flag', async () => {
+      await request(app).post('/api/games').send({ ranked: 'no' }).expect(400);
+    });
+  });
+
+  describe('Hints', () => {
+    const move = (id, token, position, player) => request(app)
+      .post(`/api/games/${id}/move`)
+      .set('X-Seat-Token', token)
+      .send({ position, player });
+
+    const hint = (id, token, player) => request(app)
+      .post(`/api/games/${id}/hint`)
+      .set('X-Seat-Token', token)
+      .send({ player });
+
+    it('should suggest the winning move and count the hint', async () => {
+      const createResponse = await request(app).post('/api/games');
+      const id = createResponse.body.id;
+      const token = createResponse.body.seatToken;
+
+      for (const [index, position] of [0, 3, 1, 4].entries()) {
+        await move(id, token, position, index % 2 === 0 ? 'X' : 'O').expect(200);
+      }
+
+      const response = await hint(id, token, 'X').expect(200);
+      expect(response.body.position).toBe(2);
+      expect(response.body.outcome).toBe('win');
+      expect(response.body.hints).toEqual({ X: 1, O: 0 });
+
+      const gameResponse = await request(app).get(`/api/games/${id}`);
+      expect(gameResponse.body.hints).toEqual({ X: 1, O: 0 });
+    });
+
+    it('should suggest a move on boards too big to solve', async () => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ boardSize: 7, winLength: 4 });
+
+      const response = await hint(createResponse.body.id, createResponse.body.seatToken, 'X').expect(200);
+      expect(response.body.position).toBeGreaterThanOrEqual(0);
+      expect(response.body.position).toBeLessThan(49);
+      expect(response.body.outcome).toBe(null);
+    });
+
+    it('should only give hints to the side to move with its token', async () => {
+      const createResponse = await request(app).post('/api/games');
+      const id = createResponse.body.id;
+
+      await hint(id, createResponse.body.seatToken, 'O').expect(400);
+      await request(app).post(`/api/games/${id}/hint`).send({ player: 'X' }).expect(401);
+    });
+
+    it('should leave ratings alone in a game where hints were used', async () => {
+      const suffix = Date.now().toString(36);
+      const names = { X: `Hinter-${suffix}`, O: `Honest-${suffix}` };
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ seat: 'X', players: { X: names.X } });
+      const id = createResponse.body.id;
+      const joinResponse = await request(app).post(`/api/games/${id}/join`).send({ playerName: names.O });
+      const tokens = { X: createResponse.body.seatToken, O: joinResponse.body.seatToken };
+
+      await hint(id, tokens.X, 'X').expect(200);
+      for (const [index, position] of [0, 3, 1, 4, 2].entries()) {
+        const player = index % 2 === 0 ? 'X' : 'O';
+        await move(id, tokens[player], position, player).expect(200);
+      }
+
+      const leaderboard = await request(app).get('/api/leaderboard').query({ limit: 100 });
+      const rated = leaderboard.body.players.map(player => player.name);
+      expect(rated).not.toContain(names.X);
+      expect(rated).not.toContain(names.O);
+
+      // The result still counts in the win/loss record
+      const stats = await request(app).get('/api/stats').query({ player: names.X });
+      expect(stats.body[0].wins).toBe(1);
+    });
+  });
+
+  describe('Request validation', () => {
+    let game;
+
+    beforeAll(async () => {
+      game = (await request(app).post('/api/games').expect(201)).body;
+    });
+
+    const move = (body) => request(app)
+      .post(`/api/games/${game.id}/move`)
+      .set('X-Seat-Token', game.seatToken)
+      .send(body);
+
+    it('should only take whole-number positions', async () => {
+      for (const position of [1.5, '4', true, -1]) {
+        const response = await move({ position, player: 'X' }).expect(400);
+        expect(response.body.error.code).toBe('VALIDATION_FAILED');
+        expect(response.body.error.details).toEqual([
+          { location: 'body', field: 'position', message: expect.stringMatching(/^position must be/) }
+        ]);
+      }
+    });
+
+    it('should refuse a player that is not a side before checking turns', async () => {
+      const response = await move({ position: 0, player: 'Z' }).expect(400);
+      expect(response.body.error).toEqual({
+        code: 'VALIDATION_FAILED',
+        message: 'Player must be X or O',
+        details: [{ location: 'body', field: 'player', message: 'Player must be X or O' }]
+      });
+    });
+
+    it('should list every problem with a body', async () => {
+      const response = await move({ square: 4 }).expect(400);
+      expect(response.body.error.details.map(detail => detail.field).sort()).toEqual(['player', 'position', 'square']);
+
+      const nested = await request(app)
+        .post('/api/games')
+        .send({ players: { X: 7 }, timeControl: { initialSeconds: 'ten' } })
+        .expect(400);
+      expect(nested.body.error.details.map(detail => detail.field)).toEqual(['players.X', 'timeControl.initialSeconds']);
+    });
+
+    it('should check query strings and paths', async () => {
+      const query = await request(app).get('/api/games').query({ limit: 'many' }).expect(400);
+      expect(query.body.error.details).toEqual([
+        { location: 'query', field: 'limit', message: 'limit must be an integer' }
+      ]);
+      await request(app).get('/api/leaderboard').query({ limit: '10', offset: '0' }).expect(200);
+
+      const path = await request(app)
+        .post(`/api/games/${game.id}/draw/maybe`)
+        .send({ player: 'X' })
+        .expect(404);
+      expect(path.body.error.code).toBe('NOT_FOUND');
+      expect(path.body.error.details[0]).toMatchObject({ location: 'path', field: 'answer' });
+    });
+
+    it('should answer unreadable bodies and unknown endpoints in the same format', async () => {
+      const malformed = await request(app)
+        .post('/api/games')
+        .set('Content-Type', 'application/json')
+        .send('{"boardSize": ')
+        .expect(400);
+      expect(malformed.body.error.code).toBe('INVALID_JSON');
+
+      const unknown = await request(app).get('/api/nothing-here').expect(404);
+      expect(unknown.body.error).toEqual({ code: 'NOT_FOUND', message: 'Not found' });
+    });
+  });
+
+  describe('Time controls', () => {
+    const move = (id, token, position, player) => request(app)
+      .post(`/api/games/${id}/move`)
+      .set('X-Seat-Token', token)
+      .send({ position, player });
+
+    // Pretend `ms` more milliseconds have passed on the server
+    const advanceClock = (ms) => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + ms);
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should start clocks with the first move and add the increment', async () => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ timeControl: { initialSeconds: 60, incrementSeconds: 2 } })
+        .expect(201);
+      expect(createResponse.body.timeControl).toEqual({ initialSeconds: 60, incrementSeconds: 2 });
+      expect(createResponse.body.clocks).toEqual({ X: 60000, O: 60000 });
+      expect(createResponse.body.clockRunning).toBe(null);
+
+      const moveResponse = await move(createResponse.body.id, createResponse.body.seatToken, 4, 'X').expect(200);
+      expect(moveResponse.body.clocks.X).toBe(62000);
+      expect(moveResponse.body.clockRunning).toBe('O');
+    });
+
+    it('should end the game as a loss on time when a clock runs out', async () => {
+      const suffix = Date.now().toString(36);
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ timeControl: { initialSeconds: 30 }, players: { X: `Quick-${suffix}`, O: `Slow-${suffix}` } });
+      const id = createResponse.body.id;
+      const token = createResponse.body.seatToken;
+
+      await move(id, token, 4, 'X').expect(200);
+      advanceClock(31000);
+
+      const gameResponse = await request(app).get(`/api/games/${id}`).expect(200);
+      expect(gameResponse.body.winner).toBe('X');
+      expect(gameResponse.body.endReason).toBe('timeout');
+      expect(gameResponse.body.clocks.O).toBe(0);
+
+      await move(id, token, 0, 'O').expect(400);
+
+      const stats = await request(app).get('/api/stats').query({ player: `Slow-${suffix}` });
+      expect(stats.body[0].losses).toBe(1);
+      expect(stats.body[0].losses_on_time).toBe(1);
+    });
+
+    it('should refuse a move made after the clock ran out', async () => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ timeControl: { secondsPerMove: 10 } });
+      const id = createResponse.body.id;
+      const token = createResponse.body.seatToken;
+
+      await move(id, token, 4, 'X').expect(200);
+      advanceClock(11000);
+
+      const response = await move(id, token, 0, 'O').expect(400);
+      expect(response.body.error.message).toBe('Out of time');
+    });
+
+    it('should reset a per-move clock and store time left with each move', async () => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ timeControl: { secondsPerMove: 10 } });
+      const id = createResponse.body.id;
+      const token = createResponse.body.seatToken;
+
+      await move(id, token, 4, 'X').expect(200);
+      advanceClock(6000);
+      const response = await move(id, token, 0, 'O').expect(200);
+      expect(response.body.clocks).toEqual({ X: 10000, O: 10000 });
+
+      const movesResponse = await request(app).get(`/api/games/${id}/moves`);
+      expect(movesResponse.body.moves.map(m => m.remainingMs)).toEqual([10000, 10000]);
+    });
+
+    it('should reject invalid time controls', async () => {
+      await request(app)
+        .post('/api/games')
+        .send({ timeControl: { initialSeconds: -5 } })
+        .expect(400);
+    });
+  });
+
+  describe('Takebacks', () => {
+    const move = (id, token, position, player) => request(app)
+      .post(`/api/games/${id}/move`)
+      .set('X-Seat-Token', token)
+      .send({ position, player });
+
+    const startOnlineGame = async (options = {}) => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ seat: 'X', ...options });
+      const joinResponse = await request(app).post(`/api/games/${createResponse.body.id}/join`);
+      return {
+        id: createResponse.body.id,
+        xToken: createResponse.body.seatToken,
+        oToken: joinResponse.body.seatToken
+      };
+    };
+
+    it('should undo straight away against the computer', async () => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ opponent: 'computer', difficulty: 'perfect' });
+      const id = createResponse.body.id;
+      const token = createResponse.body.seatToken;
+
+      await move(id, token, 0, 'X').expect(200);
+
+      const response = await request(app)
+        .post(`/api/games/${id}/takeback`)
+        .set('X-Seat-Token', token)
+        .send({ player: 'X' })
+        .expect(200);
+
+      // Both the player's move and the computer's reply are gone
+      expect(response.body.board.every(cell => cell === '')).toBe(true);
+      expect(response.body.currentPlayer).toBe('X');
+
+      const gameResponse = await request(app).get(`/api/games/${id}`);
+      expect(gameResponse.body.board.every(cell => cell === '')).toBe(true);
+    });
+
+    it('should undo straight away when one person holds both seats', async () => {
+      const createResponse = await request(app).post('/api/games');
+      const id = createResponse.body.id;
+      const token = createResponse.body.seatToken;
+
+      await move(id, token, 0, 'X').expect(200);
+      await move(id, token, 4, 'O').expect(200);
+
+      const response = await request(app)
+        .post(`/api/games/${id}/takeback`)
+        .set('X-Seat-Token', token)
+        .send({ player: 'O' })
+        .expect(200);
+      expect(response.body.board[0]).toBe('X');
+      expect(response.body.board[4]).toBe('');
+      expect(response.body.currentPlayer).toBe('O');
+    });
+
+    it('should roll back once the opponent accepts', async () => {
+      const { id, xToken, oToken } = await startOnlineGame();
+
+      await move(id, xToken, 0, 'X').expect(200);
+      await move(id, oToken, 4, 'O').expect(200);
+
+      await request(app)
+        .post(`/api/games/${id}/takeback`)
+        .set('X-Seat-Token', xToken)
+        .send({ player: 'X' })
+        .expect(202);
+
+      const pending = await request(app).get(`/api/games/${id}`);
+      expect(pending.body.takebackRequestedBy).toBe('X');
+      expect(pending.body.board[0]).toBe('X');
+
+      // Only the opponent can answer
+      await request(app)
+        .post(`/api/games/${id}/takeback/accept`)
+        .set('X-Seat-Token', xToken)
+        .send({ player: 'X' })
+        .expect(409);
+
+      const response = await request(app)
+        .post(`/api/games/${id}/takeback/accept`)
+        .set('X-Seat-Token', oToken)
+        .send({ player: 'O' })
+        .expect(200);
+
+      // X's move and O's reply after it are both undone
+      expect(response.body.board.every(cell => cell === '')).toBe(true);
+      expect(response.body.currentPlayer).toBe('X');
+
+      const gameResponse = await request(app).get(`/api/games/${id}`);
+      expect(gameResponse.body.takebackRequestedBy).toBe(null);
+      expect(gameResponse.body.board.every(cell => cell === '')).toBe(true);
+    });
+
+    it('should leave the board alone when the opponent declines', async () => {
+      const { id, xToken, oToken } = await startOnlineGame();
+
+      await move(id, xToken, 0, 'X').expect(200);
+      await request(app)
+        .post(`/api/games/${id}/takeback`)
+        .set('X-Seat-Token', xToken)
+        .send({ player: 'X' })
+        .expect(202);
+
+      await request(app)
+        .post(`/api/games/${id}/takeback/decline`)
+        .set('X-Seat-Token', oToken)
+        .send({ player: 'O' })
+        .expect(200);
+
+      const gameResponse = await request(app).get(`/api/games/${id}`);
+      expect(gameResponse.body.board[0]).toBe('X');
+      expect(gameResponse.body.takebackRequestedBy).toBe(null);
+    });
+
+    it('should refuse takebacks in games that forbid them', async () => {
+      const { id, xToken } = await startOnlineGame({ allowTakebacks: false });
+
+      await move(id, xToken, 0, 'X').expect(200);
+      await request(app)
+        .post(`/api/games/${id}/takeback`)
+        .set('X-Seat-Token', xToken)
+        .send({ player: 'X' })
+        .expect(403);
+    });
+
+    it('should need a move to take back and the seat token', async () => {
+      const { id, xToken } = await startOnlineGame();
+
+      await request(app)
+        .post(`/api/games/${id}/takeback`)
+        .set('X-Seat-Token', xToken)
+        .send({ player: 'X' })
+        .expect(400);
+
+      await move(id, xToken, 0, 'X').expect(200);
+      await request(app)
+        .post(`/api/games/${id}/takeback`)
+        .send({ player: 'X' })
+        .expect(401);
+    });
+  });
+
+  describe('Resigning and draws', () => {
+    const move = (id, token, position, player) => request(app)
+      .post(`/api/games/${id}/move`)
+      .set('X-Seat-Token', token)
+      .send({ position, player });
+
+    const post = (path, token, player) => request(app)
+      .post(path)
+      .set('X-Seat-Token', token)
+      .send({ player });
+
+    const startOnlineGame = async (names = {}) => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ seat: 'X', players: { X: names.X } });
+      const joinResponse = await request(app)
+        .post(`/api/games/${createResponse.body.id}/join`)
+        .send({ playerName: names.O });
+      return {
+        id: createResponse.body.id,
+        xToken: createResponse.body.seatToken,
+        oToken: joinResponse.body.seatToken
+      };
+    };
+
+    it('should record how a game won on the board ended', async () => {
+      const createResponse = await request(app).post('/api/games');
+      const id = createResponse.body.id;
+      const token = createResponse.body.seatToken;
+
+      for (const [position, player] of [[0, 'X'], [3, 'O'], [1, 'X'], [4, 'O']]) {
+        await move(id, token, position, player).expect(200);
+      }
+      const response = await move(id, token, 2, 'X').expect(200);
+      expect(response.body.endReason).toBe('board_win');
+    });
+
+    it('should give the game to the opponent on resignation', async () => {
+      const suffix = Date.now().toString(36);
+      const { id, xToken } = await startOnlineGame({ X: `Quitter-${suffix}`, O: `Stayer-${suffix}` });
+
+      await move(id, xToken, 4, 'X').expect(200);
+
+      // Only the resigning side's seat may resign
+      await post(`/api/games/${id}/resign`, 'wrong-token', 'X').expect(403);
+
+      const response = await post(`/api/games/${id}/resign`, xToken, 'X').expect(200);
+      expect(response.body.winner).toBe('O');
+      expect(response.body.endReason).toBe('resignation');
+
+      await post(`/api/games/${id}/resign`, xToken, 'X').expect(400);
+
+      const stats = await request(app).get('/api/stats').query({ player: `Quitter-${suffix}` });
+      expect(stats.body[0].losses).toBe(1);
+      expect(stats.body[0].losses_by_resignation).toBe(1);
+    });
+
+    it('should end the game drawn once the opponent accepts a draw offer', async () => {
+      const suffix = Date.now().toString(36);
+      const { id, xToken, oToken } = await startOnlineGame({ X: `Peace-${suffix}`, O: `Maker-${suffix}` });
+
+      await move(id, xToken, 4, 'X').expect(200);
+
+      const offer = await post(`/api/games/${id}/draw`, xToken, 'X').expect(202);
+      expect(offer.body).toEqual({ id, version: expect.any(Number), status: 'offered', offeredBy: 'X' });
+
+      const pending = await request(app).get(`/api/games/${id}`);
+      expect(pending.body.drawOfferedBy).toBe('X');
+
+      // The side that offered cannot accept its own offer
+      await post(`/api/games/${id}/draw/accept`, xToken, 'X').expect(409);
+
+      const response = await post(`/api/games/${id}/draw/accept`, oToken, 'O').expect(200);
+      expect(response.body.isDraw).toBe(true);
+      expect(response.body.endReason).toBe('agreed_draw');
+      expect(response.body.drawOfferedBy).toBe(null);
+
+      const stats = await request(app).get('/api/stats').query({ player: `Maker-${suffix}` });
+      expect(stats.body[0].draws).toBe(1);
+      expect(stats.body[0].agreed_draws).toBe(1);
+    });
+
+    it('should clear a draw offer when it is declined or a move is made', async () => {
+      const { id, xToken, oToken } = await startOnlineGame();
+
+      await post(`/api/games/${id}/draw`, xToken, 'X').expect(202);
+      await post(`/api/games/${id}/draw`, xToken, 'X').expect(409);
+      const declined = await post(`/api/games/${id}/draw/decline`, oToken, 'O').expect(200);
+      expect(declined.body.status).toBe('declined');
+
+      await post(`/api/games/${id}/draw`, xToken, 'X').expect(202);
+      await move(id, xToken, 4, 'X').expect(200);
+      const game = await request(app).get(`/api/games/${id}`);
+      expect(game.body.drawOfferedBy).toBe(null);
+
+      await post(`/api/games/${id}/draw/accept`, oToken, 'O').expect(409);
+    });
+
+    it('should agree a draw offered against the opponent\'s standing offer', async () => {
+      const { id, xToken, oToken } = await startOnlineGame();
+
+      await post(`/api/games/${id}/draw`, xToken, 'X').expect(202);
+      const response = await post(`/api/games/${id}/draw`, oToken, 'O').expect(200);
+      expect(response.body.status).toBe('accepted');
+      expect(response.body.endReason).toBe('agreed_draw');
+    });
+
+    it('should agree a draw at once on a shared screen', async () => {
+      const createResponse = await request(app).post('/api/games');
+      const response = await post(`/api/games/${createResponse.body.id}/draw`, createResponse.body.seatToken, 'X').expect(200);
+      expect(response.body.isDraw).toBe(true);
+    });
+
+    it('should let the computer take a draw only when it cannot win', async () => {
+      const drawn = await request(app)
+        .post('/api/games')
+        .send({ opponent: 'computer', difficulty: 'perfect' });
+      await move(drawn.body.id, drawn.body.seatToken, 4, 'X').expect(200);
+      const accepted = await post(`/api/games/${drawn.body.id}/draw`, drawn.body.seatToken, 'X').expect(200);
+      expect(accepted.body.endReason).toBe('agreed_draw');
+
+      // Too big a position to solve, so the computer plays on
+      const open = await request(app)
+        .post('/api/games')
+        .send({ opponent: 'computer', difficulty: 'easy', boardSize: 5, winLength: 4 });
+      const declined = await post(`/api/games/${open.body.id}/draw`, open.body.seatToken, 'X').expect(200);
+      expect(declined.body.status).toBe('declined');
+    });
+
+    it('should export and import a resigned game', async () => {
+      const createResponse = await request(app).post('/api/games');
+      const id = createResponse.body.id;
+      const token = createResponse.body.seatToken;
+
+      await move(id, token, 4, 'X').expect(200);
+      await post(`/api/games/${id}/resign`, token, 'O').expect(200);
+
+      const exported = await request(app).get(`/api/games/${id}/export`).expect(200);
+      expect(exported.text).toContain('[Termination "resignation"]');
+
+      const imported = await request(app)
+        .post('/api/games/import')
+        .set('Content-Type', 'text/plain')
+        .send(exported.text)
+        .expect(201);
+      const game = await request(app).get(`/api/games/${imported.body.games[0].id}`);
+      expect(game.body.winner).toBe('X');
+      expect(game.body.endReason).toBe('resignation');
+    });
+  });
+
+  describe('Game versions', () => {
+    const move = (id, token, position, player) => request(app)
+      .post(`/api/games/${id}/move`)
+      .set('X-Seat-Token', token)
+      .send({ position, player });
+
+    const createGame = async () => {
+      const response = await request(app).post('/api/games');
+      return { id: response.body.id, token: response.body.seatToken };
+    };
+
+    it('should bump the version with each change and send it as the ETag', async () => {
+      const { id, token } = await createGame();
+
+      const before = await request(app).get(`/api/games/${id}`).expect(200);
+      expect(before.body.version).toBe(0);
+      expect(before.headers.etag).toBe('"0"');
+
+      const moveResponse = await move(id, token, 4, 'X').expect(200);
+      expect(moveResponse.body.version).toBe(1);
+
+      const after = await request(app).get(`/api/games/${id}`).expect(200);
+      expect(after.body.version).toBe(1);
+      expect(after.headers.etag).toBe('"1"');
+    });
+
+    it('should refuse a move made against an out-of-date version', async () => {
+      const { id, token } = await createGame();
+
+      await move(id, token, 4, 'X').set('If-Match', '"0"').expect(200);
+
+      const stale = await move(id, token, 0, 'O').set('If-Match', '"0"').expect(409);
+      expect(stale.body.error).toEqual({ code: 'VERSION_CONFLICT', message: expect.stringMatching(/changed/) });
+
+      await move(id, token, 0, 'O').set('If-Match', 'W/"1"').expect(200);
+      await move(id, token, 8, 'X').set('If-Match', 'soon').expect(400);
+
+      const moves = await request(app).get(`/api/games/${id}/moves`).expect(200);
+      expect(moves.body.moves).toHaveLength(2);
+    });
+
+    it('should accept the expected version in the body', async () => {
+      const { id, token } = await createGame();
+
+      await request(app)
+        .post(`/api/games/${id}/move`)
+        .set('X-Seat-Token', token)
+        .send({ position: 4, player: 'X', expectedVersion: 1 })
+        .expect(409);
+      await request(app)
+        .post(`/api/games/${id}/move`)
+        .set('X-Seat-Token', token)
+        .send({ position: 4, player: 'X', expectedVersion: 0 })
+        .expect(200);
+    });
+
+    it('should let only one of two racing moves through', async () => {
+      const { id, token } = await createGame();
+
+      const responses = await Promise.all([
+        move(id, token, 0, 'X'),
+        move(id, token, 1, 'X')
+      ]);
+      const statuses = responses.map(response => response.status).sort();
+      expect(statuses[0]).toBe(200);
+      expect([400, 409]).toContain(statuses[1]);
+
+      const game = await request(app).get(`/api/games/${id}`).expect(200);
+      expect(game.body.board.filter(cell => cell === 'X')).toHaveLength(1);
+      expect(game.body.version).toBe(1);
+      const moves = await request(app).get(`/api/games/${id}/moves`).expect(200);
+      expect(moves.body.moves).toHaveLength(1);
+    });
+
+    it('should leave the moves alone when a takeback is out of date', async () => {
+      const createResponse = await request(app)
+        .post('/api/games')
+        .send({ allowTakebacks: true });
+      const id = createResponse.body.id;
+      const token = createResponse.body.seatToken;
+      await move(id, token, 4, 'X').expect(200);
+
+      await request(app)
+        .post(`/api/games/${id}/takeback`)
+        .set('X-Seat-Token', token)
+        .set('If-Match', '"0"')
+        .send({ player: 'X' })
+        .expect(409);
+
+      const moves = await request(app).get(`/api/games/${id}/moves`).expect(200);
+      expect(moves.body.moves).toHaveLength(1);
+    });
+  });
+
+  describe('Idempotency keys', () => {
+    let keyCount = 0;
+    const newKey = () => `key-${Date.now().toString(36)}-${++keyCount}`;
+
+    const move = (id, token, position, player) => request(app)
+      .post(`/api/games/${id}/move`)
+      .set('X-Seat-Token', token)
+      .send({ position, player });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      delete process.env.IDEMPOTENCY_RETENTION_MS;
+    });
+
+    it('should replay the first response when creating a game is retried', async () => {
+      const key = newKey();
+
+      const first = await request(app).post('/api/games').set('Idempotency-Key', key).send({ boardSize: 4 }).expect(201);
+      expect(first.headers['idempotent-replayed']).toBeUndefined();
+
+      const retry = await request(app).post('/api/games').set('Idempotency-Key', key).send({ boardSize: 4 }).expect(201);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body).toEqual(first.body);
+
+      // Without a key, every request creates a game
+      const other = await request(app).post('/api/games').send({ boardSize: 4 }).expect(201);
+      expect(other.body.id).not.toBe(first.body.id);
+    });
+
+    it('should play a retried move once and replay its result', async () => {
+      const game = await request(app).post('/api/games');
+      const { id, seatToken } = game.body;
+      const key = newKey();
+
+      const first = await move(id, seatToken, 4, 'X').set('Idempotency-Key', key).expect(200);
+      const retry = await move(id, seatToken, 4, 'X').set('Idempotency-Key', key).expect(200);
+      expect(retry.body).toEqual(first.body);
+
+      const moves = await request(app).get(`/api/games/${id}/moves`).expect(200);
+      expect(moves.body.moves).toHaveLength(1);
+
+      // Errors are replayed too, rather than the move being tried again
+      const errorKey = newKey();
+      await move(id, seatToken, 4, 'O').set('Idempotency-Key', errorKey).expect(400);
+      const replayed = await move(id, seatToken, 4, 'O').set('Idempotency-Key', errorKey).expect(400);
+      expect(replayed.body.error.message).toBe('Position already taken');
+    });
+
+    it('should refuse a key reused for a different request', async () => {
+      const game = await request(app).post('/api/games');
+      const { id, seatToken } = game.body;
+      const key = newKey();
+
+      await move(id, seatToken, 4, 'X').set('Idempotency-Key', key).expect(200);
+      const reused = await move(id, seatToken, 0, 'O').set('Idempotency-Key', key).expect(422);
+      expect(reused.body.error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+      expect(reused.body.error.message).toMatch(/different request/);
+
+      // Keys belong to one endpoint, so another game can use the same one
+      const other = await request(app).post('/api/games');
+      await move(other.body.id, other.body.seatToken, 4, 'X').set('Idempotency-Key', key).expect(200);
+    });
+
+    it('should never replay one caller\'s response to another', async () => {
+      const key = newKey();
+      const first = await request(app).post('/api/games').set('Idempotency-Key', key).send({}).expect(201);
+
+      // Another address, with the same key and body, gets a game of its own
+      const elsewhere = await request(app).post('/api/games')
+        .set('X-Forwarded-For', '198.51.100.7').set('Idempotency-Key', key).send({}).expect(201);
+      expect(elsewhere.headers['idempotent-replayed']).toBeUndefined();
+      expect(elsewhere.body.id).not.toBe(first.body.id);
+      expect(elsewhere.body.seatToken).not.toBe(first.body.seatToken);
+
+      // So does a signed-in user on the same address
+      const registered = await request(app).post('/api/auth/register')
+        .send({ username: `idem${Date.now().toString(36)}`, password: 'correct horse' }).expect(201);
+      const signedIn = await request(app).post('/api/games')
+        .set('Authorization', `Bearer ${registered.body.token}`).set('Idempotency-Key', key).send({}).expect(201);
+      expect(signedIn.headers['idempotent-replayed']).toBeUndefined();
+      expect(signedIn.body.seatToken).not.toBe(first.body.seatToken);
+
+      // While the first caller still gets its own response back
+      const retry = await request(app).post('/api/games').set('Idempotency-Key', key).send({}).expect(201);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body.seatToken).toBe(first.body.seatToken);
+    });
+
+    it('should reject a malformed key', async () => {
+      const response = await request(app).post('/api/games').set('Idempotency-Key', 'x'.repeat(256)).expect(400);
+      expect(response.body.error.message).toMatch(/Idempotency-Key/);
+    });
+
+    it('should forget keys after the retention window', async () => {
+      process.env.IDEMPOTENCY_RETENTION_MS = '60000';
+      const key = newKey();
+
+      const first = await request(app).post('/api/games').set('Idempotency-Key', key).expect(201);
+
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 2 * 60000);
+      const later = await request(app).post('/api/games').set('Idempotency-Key', key).expect(201);
+      expect(later.headers['idempotent-replayed']).toBeUndefined();
+      expect(later.body.id).not.toBe(first.body.id);
+    });
+  });
+
+  describe('Accounts', () => {
+    let userCount = 0;
+    const newUsername = () => `user${Date.now().toString(36)}${++userCount}`;
+    const register = (username, password = 'correct horse') => request(app)
+      .post('/api/auth/register')
+      .send({ username, password });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should register, sign in and sign out', async () => {
+      const username = newUsername();
+
+      const registered = await register(username).expect(201);
+      expect(registered.body.user).toEqual({ id: expect.any(Number), username });
+      expect(registered.body.token).toEqual(expect.any(String));
+
+      const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${registered.body.token}`).expect(200);
+      expect(me.body.user.username).toBe(username);
+
+      // Usernames are taken whatever their case
+      const taken = await register(username.toUpperCase()).expect(409);
+      expect(taken.body.error).toEqual({ code: 'USERNAME_TAKEN', message: 'Username is already taken' });
+
+      const wrong = await request(app).post('/api/auth/login').send({ username, password: 'wrong password' }).expect(401);
+      const missing = await request(app).post('/api/auth/login').send({ username: newUsername(), password: 'correct horse' }).expect(401);
+      expect(missing.body.error.message).toBe(wrong.body.error.message);
+
+      const login = await request(app).post('/api/auth/login').send({ username, password: 'correct horse' }).expect(200);
+      expect(login.body.token).not.toBe(registered.body.token);
+
+      await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${login.body.token}`).expect(204);
+      await request(app).get('/api/auth/me').set('Authorization', `Bearer ${login.body.token}`).expect(401);
+      // Other sessions stay signed in
+      await request(app).get('/api/auth/me').set('Authorization', `Bearer ${registered.body.token}`).expect(200);
+    });
+
+    it('should reject bad usernames and short passwords', async () => {
+      const badName = await register('a b').expect(400);
+      expect(badName.body.error.message).toMatch(/Username/);
+      const shortPassword = await register(newUsername(), 'short').expect(400);
+      expect(shortPassword.body.error.message).toMatch(/Password/);
+    });
+
+    it('should list the games created while signed in', async () => {
+      const registered = await register(newUsername()).expect(201);
+      const auth = `Bearer ${registered.body.token}`;
+
+      const owned = await request(app).post('/api/games').set('Authorization', auth).expect(201);
+      await request(app).post('/api/games').expect(201);
+
+      const mine = await request(app).get('/api/games').query({ mine: 'true', status: 'in_progress' }).set('Authorization', auth).expect(200);
+      expect(mine.body.total).toBe(1);
+      expect(mine.body.games.map(game => game.id)).toEqual([owned.body.id]);
+
+      const guest = await request(app).get('/api/games').query({ mine: 'true' }).expect(401);
+      expect(guest.body.error.message).toMatch(/Sign in/);
+      await request(app).get('/api/games').query({ mine: 'yes' }).set('Authorization', auth).expect(400);
+    });
+
+    it('should own the games a signed-in user imports or is matched into', async () => {
+      const registered = await register(newUsername()).expect(201);
+      const auth = `Bearer ${registered.body.token}`;
+      matchmaking.clear();
+
+      const imported = await request(app)
+        .post('/api/games/import')
+        .set('Authorization', auth)
+        .send({ notation: '1. a1 b2 *' })
+        .expect(201);
+
+      // Paired with a guest, whichever side the user gets
+      const queued = await request(app).post('/api/matchmaking').set('Authorization', auth).send({ playerName: 'Queuer' }).expect(202);
+      await request(app).post('/api/matchmaking').send({ playerName: 'Guest' }).expect(201);
+      const paired = await request(app)
+        .get(`/api/matchmaking/${queued.body.ticketId}`)
+        .set('X-Ticket-Token', queued.body.ticketToken)
+        .expect(200);
+
+      // Nobody else turns up, so the computer steps in
+      const alone = await request(app).post('/api/matchmaking').set('Authorization', auth).send({ playerName: 'Queuer' }).expect(202);
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60000);
+      const fallback = await request(app)
+        .get(`/api/matchmaking/${alone.body.ticketId}`)
+        .set('X-Ticket-Token', alone.body.ticketToken)
+        .expect(200);
+      expect(fallback.body.match.opponent).toBe('computer');
+
+      const mine = await request(app).get('/api/games').query({ mine: 'true' }).set('Authorization', auth).expect(200);
+      expect(mine.body.games.map(game => game.id).sort()).toEqual(
+        [imported.body.games[0].id, paired.body.match.gameId, fallback.body.match.gameId].sort()
+      );
+    });
+
+    it('should refuse expired or unknown sessions but keep guests playing', async () => {
+      const registered = await register(newUsername()).expect(201);
+
+      await request(app).post('/api/games').set('Authorization', 'Bearer not-a-session').expect(401);
+      await request(app).get('/api/auth/me').expect(401);
+
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 31 * 24 * 60 * 60 * 1000);
+      const expired = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${registered.body.token}`).expect(401);
+      expect(expired.body.error.message).toMatch(/expired/);
+
+      const game = await request(app).post('/api/games').expect(201);
+      await request(app)
+        .post(`/api/games/${game.body.id}/move`)
+        .set('X-Seat-Token', game.body.seatToken)
+        .send({ position: 4, player: 'X' })
+        .expect(200);
+    });
+  });
+
+  describe('Rate limiting', () => {
+    const saved = {};
+    const settings = {
+      RATE_LIMIT_CREATE_PER_IP: '2',
+      RATE_LIMIT_CREATE_PER_USER: '3',
+      RATE_LIMIT_READ_PER_IP: '5',
+      RATE_LIMIT_ANALYZE_PER_IP: '2',
+      RATE_LIMIT_IMPORT_PER_IP: '3',
+      RATE_LIMIT_ALLOWLIST: '127.0.0.1, ::1, 10.20.0.0/16'
+    };
+    let ipCount = 0;
+    const newIp = () => `203.0.113.${++ipCount}`;
+
+    beforeAll(() => {
+      Object.keys(settings).forEach(name => {
+        saved[name] = process.env[name];
+        process.env[name] = settings[name];
+      });
+    });
+
+    afterAll(() => {
+      Object.keys(settings).forEach(name => {
+        if (saved[name] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = saved[name];
+        }
+      });
+    });
+
+    it('should limit game creation per client IP', async () => {
+      const ip = newIp();
+
+      const first = await request(app).post('/api/games').set('X-Forwarded-For', ip).expect(201);
+      expect(first.headers['ratelimit-limit']).toBe('2');
+      expect(first.headers['ratelimit-remaining']).toBe('1');
+      expect(first.headers['ratelimit-policy']).toBe('2;w=60');
+      expect(Number(first.headers['ratelimit-reset'])).toBeGreaterThan(0);
+
+      await request(app).post('/api/games').set('X-Forwarded-For', ip).expect(201);
+      const limited = await request(app).post('/api/games').set('X-Forwarded-For', ip).expect(429);
+      expect(limited.headers['ratelimit-remaining']).toBe('0');
+      expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+      expect(limited.body.error.code).toBe('RATE_LIMITED');
+      expect(limited.body.error.message).toMatch(/^Too many requests; try again in \d+ seconds$/);
+
+      // Reads have their own, larger quota, and other clients are not affected
+      const read = await request(app).get('/api/games').set('X-Forwarded-For', ip).expect(200);
+      expect(read.headers['ratelimit-limit']).toBe('5');
+      await request(app).post('/api/games').set('X-Forwarded-For', newIp()).expect(201);
+    });
+
+    let signUps = 0;
+    const signUp = async (ip) => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .set('X-Forwarded-For', ip)
+        .send({ username: `limited${Date.now().toString(36)}${++signUps}`, password: 'correct horse' })
+        .expect(201);
+      return `Bearer ${registered.body.token}`;
+    };
+
+    it('should give a signed-in user the per-user quota wherever they are', async () => {
+      const ip = newIp();
+      const auth = await signUp(ip);
+
+      for (let i = 0; i < 3; i++) {
+        const created = await request(app).post('/api/games').set('X-Forwarded-For', ip).set('Authorization', auth).expect(201);
+        expect(created.headers['ratelimit-limit']).toBe('3');
+      }
+      await request(app).post('/api/games').set('X-Forwarded-For', newIp()).set('Authorization', auth).expect(429);
+    });
+
+    it('should not let more accounts raise what one address may do', async () => {
+      const ip = newIp();
+      const first = await signUp(ip);
+      const second = await signUp(ip);
+
+      await request(app).post('/api/games').set('X-Forwarded-For', ip).set('Authorization', first).expect(201);
+      await request(app).post('/api/games').set('X-Forwarded-For', ip).set('Authorization', first).expect(201);
+      await request(app).post('/api/games').set('X-Forwarded-For', ip).set('Authorization', second).expect(201);
+
+      // The address has made the per-user number of games between them
+      const limited = await request(app).post('/api/games').set('X-Forwarded-For', ip).set('Authorization', second).expect(429);
+      expect(limited.headers['ratelimit-remaining']).toBe('0');
+      await request(app).post('/api/games').set('X-Forwarded-For', ip).expect(429);
+
+      // The second account still has its own quota elsewhere
+      await request(app).post('/api/games').set('X-Forwarded-For', newIp()).set('Authorization', second).expect(201);
+    });
+
+    it('should hold guests to the per-IP quota on an address users share', async () => {
+      const ip = newIp();
+      const auth = await signUp(ip);
+
+      await request(app).post('/api/games').set('X-Forwarded-For', ip).expect(201);
+      await request(app).post('/api/games').set('X-Forwarded-For', ip).expect(201);
+
+      // A user there may go on to the per-user limit, but guests are done
+      await request(app).post('/api/games').set('X-Forwarded-For', ip).set('Authorization', auth).expect(201);
+      await request(app).post('/api/games').set('X-Forwarded-For', ip).expect(429);
+    });
+
+    it('should count requests with made-up session tokens against the address', async () => {
+      const ip = newIp();
+      const create = () => request(app).post('/api/games').set('X-Forwarded-For', ip).set('Authorization', 'Bearer made-up');
+
+      // Refused as expired sessions until the address reaches the per-user limit
+      for (let i = 0; i < 3; i++) {
+        await create().expect(401);
+      }
+      const limited = await create().expect(429);
+      expect(limited.body.error.code).toBe('RATE_LIMITED');
+      await request(app).post('/api/games').set('X-Forwarded-For', ip).expect(429);
+    });
+
+    it('should give position analysis its own strict quota', async () => {
+      const ip = newIp();
+      const analyze = () => request(app).post('/api/analyze').set('X-Forwarded-For', ip).send({ board: Array(9).fill('') });
+
+      expect((await analyze().expect(200)).headers['ratelimit-limit']).toBe('2');
+      await analyze().expect(200);
+      await analyze().expect(429);
+
+      // Hints may search as long, so they share the quota
+      const game = (await request(app).post('/api/games').expect(201)).body;
+      await request(app)
+        .post(`/api/games/${game.id}/hint`)
+        .set('X-Forwarded-For', ip)
+        .set('X-Seat-Token', game.seatToken)
+        .send({ player: 'X' })
+        .expect(429);
+
+      // Other writes are counted apart
+      const other = await request(app).post('/api/auth/logout').set('X-Forwarded-For', ip).expect(401);
+      expect(Number(other.headers['ratelimit-limit'])).toBeGreaterThan(2);
+    });
+
+    it('should count every game in an import', async () => {
+      const ip = newIp();
+      const importGames = (count) => request(app)
+        .post('/api/games/import')
+        .set('X-Forwarded-For', ip)
+        .send({ notation: Array(count).fill('[Event "Casual"]\n1. a1 b2 *').join('\n\n') });
+
+      const first = await importGames(2).expect(201);
+      expect(first.headers['ratelimit-remaining']).toBe('1');
+      await importGames(2).expect(429);
+
+      // Creating games directly is counted apart
+      await request(app).post('/api/games').set('X-Forwarded-For', ip).expect(201);
+    });
+
+    it('should not limit allowlisted callers', async () => {
+      for (let i = 0; i < 3; i++) {
+        const response = await request(app).post('/api/games').set('X-Forwarded-For', '10.20.3.4').expect(201);
+        expect(response.headers['ratelimit-limit']).toBeUndefined();
+      }
+    });
+
+    it('should start a new window once the current one ends', async () => {
+      const ip = newIp();
+      const start = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(start);
+      try {
+        await request(app).post('/api/games').set('X-Forwarded-For', ip).expect(201);
+        await request(app).post('/api/games').set('X-Forwarded-For', ip).expect(201);
+        await request(app).post('/api/games').set('X-Forwarded-For', ip).expect(429);
+
+        Date.now.mockReturnValue(start + 60 * 1000);
+        await request(app).post('/api/games').set('X-Forwarded-For', ip).expect(201);
+      } finally {
+        jest.restoreAllMocks();
+      }
+    });
+  });
+
+  describe('Matchmaking', () => {
+    const suffix = Date.now().toString(36);
+
+    beforeEach(() => {
+      matchmaking.clear();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should pair two waiting players into one game', async () => {
+      const first = await request(app)
+        .post('/api/matchmaking')
+        .send({ playerName: `Erin-${suffix}` })
+        .expect(202);
+      expect(first.body).toHaveProperty('status', 'waiting');
+
+      const second = await request(app)
+        .post('/api/matchmaking')
+        .send({ playerName: `Finn-${suffix}` })
+        .expect(201);
+      expect(second.body).toHaveProperty('status', 'matched');
+
+      const poll = await request(app)
+        .get(`/api/matchmaking/${first.body.ticketId}`)
+        .set('X-Ticket-Token', first.body.ticketToken)
+        .expect(200);
+      expect(poll.body).toHaveProperty('status', 'matched');
+      expect(poll.body).not.toHaveProperty('ticketToken');
+
+      const matches = [poll.body.match, second.body.match];
+      expect(matches[0].gameId).toBe(matches[1].gameId);
+      expect(matches.map(match => match.seat).sort()).toEqual(['O', 'X']);
+      expect(matches[0].opponentName).toBe(`Finn-${suffix}`);
+
+      // Whoever drew X can open the game with their token
+      const xMatch = matches.find(match => match.seat === 'X');
+      await request(app)
+        .post(`/api/games/${xMatch.gameId}/move`)
+        .set('X-Seat-Token', xMatch.seatToken)
+        .send({ position: 4, player: 'X' })
+        .expect(200);
+
+      const gameResponse = await request(app).get(`/api/games/${xMatch.gameId}`);
+      expect(Object.values(gameResponse.body.players).sort()).toEqual([`Erin-${suffix}`, `Finn-${suffix}`]);
+    });
+
+    it('should return the same ticket when a waiting player joins again', async () => {
+      const first = await request(app).post('/api/matchmaking').send({ playerName: `Gus-${suffix}` });
+      const again = await request(app)
+        .post('/api/matchmaking')
+        .set('X-Ticket-Token', first.body.ticketToken)
+        .send({ playerName: `Gus-${suffix}` })
+        .expect(200);
+      expect(again.body.ticketId).toBe(first.body.ticketId);
+    });
+
+    it('should not hand a waiting player\'s ticket or seat to someone using their name', async () => {
+      const victim = await request(app).post('/api/matchmaking').send({ playerName: `Kim-${suffix}` }).expect(202);
+
+      const impostor = await request(app).post('/api/matchmaking').send({ playerName: `Kim-${suffix}` }).expect(409);
+      expect(impostor.body.error.code).toBe('ALREADY_QUEUED');
+      expect(JSON.stringify(impostor.body)).not.toContain(victim.body.ticketId);
+
+      // Once the victim is matched, their seat token only goes to their ticket token
+      await request(app).post('/api/matchmaking').send({ playerName: `Lou-${suffix}` }).expect(201);
+      const unsigned = await request(app).get(`/api/matchmaking/${victim.body.ticketId}`).expect(401);
+      expect(unsigned.body.error.code).toBe('TICKET_TOKEN_REQUIRED');
+      const forged = await request(app)
+        .get(`/api/matchmaking/${victim.body.ticketId}`)
+        .set('X-Ticket-Token', 'not-the-token')
+        .expect(403);
+      expect(forged.body.error.code).toBe('TICKET_TOKEN_MISMATCH');
+      expect(JSON.stringify(forged.body)).not.toContain('seatToken');
+
+      const own = await request(app)
+        .get(`/api/matchmaking/${victim.body.ticketId}`)
+        .set('X-Ticket-Token', victim.body.ticketToken)
+        .expect(200);
+      expect(own.body.match.seatToken).toEqual(expect.any(String));
+    });
+
+    it('should fall back to the computer after the timeout', async () => {
+      const joined = await request(app)
+        .post('/api/matchmaking')
+        .send({ playerName: `Hal-${suffix}` });
+
+      const realNow = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(realNow + 60000);
+
+      const poll = await request(app)
+        .get(`/api/matchmaking/${joined.body.ticketId}`)
+        .set('X-Ticket-Token', joined.body.ticketToken)
+        .expect(200);
+      expect(poll.body).toHaveProperty('status', 'matched');
+      expect(poll.body.match).toHaveProperty('opponent', 'computer');
+
+      const gameResponse = await request(app).get(`/api/games/${poll.body.match.gameId}`);
+      expect(gameResponse.body).toHaveProperty('opponent', 'computer');
+      expect(gameResponse.body.players[poll.body.match.seat]).toBe(`Hal-${suffix}`);
+    });
+
+    it('should report a timeout when the fallback is turned off', async () => {
+      const joined = await request(app)
+        .post('/api/matchmaking')
+        .send({ playerName: `Ivy-${suffix}`, fallback: 'none' });
+
+      const realNow = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(realNow + 60000);
+
+      const poll = await request(app).get(`/api/matchmaking/${joined.body.ticketId}`).set('X-Ticket-Token', joined.body.ticketToken);
+      expect(poll.body).toHaveProperty('status', 'timed_out');
+      expect(poll.body.match).toBe(null);
+    });
+
+    it('should let a waiting player leave the queue', async () => {
+      const joined = await request(app)
+        .post('/api/matchmaking')
+        .send({ playerName: `Jo-${suffix}` });
+
+      // Not without the ticket token
+      await request(app).delete(`/api/matchmaking/${joined.body.ticketId}`).expect(401);
+
+      await request(app).delete(`/api/matchmaking/${joined.body.ticketId}`).set('X-Ticket-Token', joined.body.ticketToken).expect(204);
+      await request(app).get(`/api/matchmaking/${joined.body.ticketId}`).set('X-Ticket-Token', joined.body.ticketToken).expect(404);
+    });
+
+    it('should reject a missing player name', async () => {
+      await request(app).post('/api/matchmaking').send({}).expect(400);
+    });
+  });
+
+  describe('Cleanup job', () => {
+    const adminToken = 'test-admin-token';
+    const DAY = 24 * 60 * 60 * 1000;
+
+    const move = (id, token, position, player) => request(app)
+      .post(`/api/games/${id}/move`)
+      .set('X-Seat-Token', token)
+      .send({ position, player });
+
+    const runCleanup = () => request(app)
+      .post('/api/admin/cleanup')
+      .set('X-Admin-Token', adminToken);
+
+    // Pretend `ms` more milliseconds have passed on the server
+    const advanceClock = (ms) => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + ms);
+    };
+
+    beforeEach(() => {
+      process.env.ADMIN_TOKEN = adminToken;
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      delete process.env.ADMIN_TOKEN;
+    });
+
+    it('should keep the admin endpoint behind the admin token', async () => {
+      await request(app).get('/api/admin/cleanup').expect(401);
+      await request(app).get('/api/admin/cleanup').set('X-Admin-Token', 'wrong').expect(403);
+
+      delete process.env.ADMIN_TOKEN;
+      await request(app).get('/api/admin/cleanup').set('X-Admin-Token', adminToken).expect(403);
+    });
+
+    it('should abandon idle games, then purge the empty ones', async () => {
+      const name = `Idle-${Date.now().toString(36)}`;
+      const empty = await request(app).post('/api/games');
+      const started = await request(app).post('/api/games').send({ players: { X: name } });
+      const timed = await request(app).post('/api/games').send({ timeControl: { secondsPerMove: 30 } });
+      await move(started.body.id, started.body.seatToken, 4, 'X').expect(200);
+      await move(timed.body.id, timed.body.seatToken, 4, 'X').expect(200);
+
+      advanceClock(2 * DAY);
+      const report = await runCleanup().expect(200);
+      expect(report.body.abandoned).toBeGreaterThanOrEqual(2);
+      expect(report.body.timedOut).toBeGreaterThanOrEqual(1);
+
+      const emptyGame = await request(app).get(`/api/games/${empty.body.id}`).expect(200);
+      expect(emptyGame.body.endReason).toBe('abandoned');
+      const timedGame = await request(app).get(`/api/games/${timed.body.id}`);
+      expect(timedGame.body.endReason).toBe('timeout');
+
+      const moveResponse = await move(started.body.id, started.body.seatToken, 0, 'O').expect(400);
+      expect(moveResponse.body.error.message).toBe('Game was abandoned');
+
+      // Left out of the game list unless asked for
+      const listed = await request(app).get('/api/games').query({ player: name });
+      expect(listed.body.total).toBe(0);
+      const abandoned = await request(app).get('/api/games').query({ player: name, status: 'abandoned' });
+      expect(abandoned.body.games.map(game => game.id)).toEqual([started.body.id]);
+
+      const status = await request(app).get('/api/admin/cleanup').set('X-Admin-Token', adminToken).expect(200);
+      expect(status.body.lastRun).toEqual(report.body);
+
+      jest.restoreAllMocks();
+      advanceClock(8 * DAY);
+      const purge = await runCleanup().expect(200);
+      expect(purge.body.purged).toBeGreaterThanOrEqual(1);
+      expect(purge.body.expiredKeys).toEqual(expect.any(Number));
+      expect(purge.body.expiredSessions).toEqual(expect.any(Number));
+
+      await request(app).get(`/api/games/${empty.body.id}`).expect(404);
+      await request(app).get(`/api/games/${started.body.id}`).expect(200);
+    });
+  });
 });
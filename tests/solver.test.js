@@ -0,0 +1,65 @@
+const { solve, checkReachable, analyze, canSolve, maxEmptyCells } = require('../lib/solver');
+
+describe('Solver', () => {
+  const board = (cells) => cells.split('').map(cell => (cell === '.' ? '' : cell));
+
+  it('should solve the empty 3x3 board as a draw', () => {
+    expect(solve(board('.........'), 'X')).toEqual({ outcome: 'draw', plies: 9 });
+  });
+
+  it('should find the fastest win and the slowest loss', () => {
+    // X to move wins at once on 2 (a second win at 6 also exists)
+    const position = board('XX.OO....');
+    const result = analyze(position, 'X');
+
+    expect(result.outcome).toBe('win');
+    expect(result.plies).toBe(1);
+    expect(result.recommendedMove).toBe(2);
+    expect(result.moves.find(move => move.position === 8).outcome).toBe('loss');
+  });
+
+  it('should rate every legal move', () => {
+    const result = analyze(board('X........'), 'O');
+
+    expect(result.moves).toHaveLength(8);
+    // Only the centre holds the draw against a corner opening
+    expect(result.moves.find(move => move.position === 4).outcome).toBe('draw');
+    expect(result.moves.find(move => move.position === 1).outcome).toBe('loss');
+    expect(result.recommendedMove).toBe(4);
+  });
+
+  it('should report finished games without moves', () => {
+    const result = analyze(board('XXXOO....'), 'O');
+    expect(result.status).toBe('won');
+    expect(result.winner).toBe('X');
+    expect(result.moves).toEqual([]);
+    expect(result.recommendedMove).toBe(null);
+  });
+
+  it('should tell reachable positions from impossible ones', () => {
+    expect(checkReachable(board('XXXOO....')).reachable).toBe(true);
+    expect(checkReachable(board('XX.......')).reachable).toBe(false);
+    // O cannot have moved after X completed a line
+    expect(checkReachable(board('XXXOOO...')).reachable).toBe(false);
+    // One move can finish two lines that share it, but not two apart
+    expect(checkReachable(board('XXXOOXOOX')).reachable).toBe(true);
+    expect(checkReachable(board('XXX.OO.OOO..XXX.'), 3).reachable).toBe(false);
+  });
+
+  it('should refuse positions too open to solve', () => {
+    expect(analyze(Array(16).fill(''), 'X', 3).error).toMatch(/too big/);
+  });
+
+  it('should budget solving by board size as well as empty cells', () => {
+    expect(maxEmptyCells(9)).toBe(10);
+    expect(maxEmptyCells(225)).toBe(7);
+
+    // A full 15x15 board with no three in a row anywhere, emptied from the top
+    const big = Array.from({ length: 225 }, (cell, index) => ((index % 15 + 2 * Math.floor(index / 15)) % 4 < 2 ? 'X' : 'O'));
+    const open = (count) => big.map((cell, index) => (index < count ? '' : cell));
+    expect(canSolve(open(7))).toBe(true);
+    expect(canSolve(open(8))).toBe(false);
+    expect(analyze(open(8), 'X', 5).error).toBe('Positions on this board with more than 7 empty cells are too big to solve');
+    expect(canSolve(Array(9).fill(''))).toBe(true);
+  });
+});
@@ -0,0 +1,259 @@
+const sqliteStorage = require('../lib/storage/sqlite');
+const memoryStorage = require('../lib/storage/memory');
+const { createStorage } = require('../lib/storage');
+
+// Both backends have to behave the same, so they share one set of tests
+describe.each([
+  ['sqlite', () => sqliteStorage.createStorage(':memory:')],
+  ['memory', () => memoryStorage.createStorage()]
+])('%s storage', (name, create) => {
+  let storage;
+
+  const call = (method, ...args) => new Promise((resolve, reject) => {
+    storage[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+  const board = JSON.stringify(Array(9).fill(''));
+  const insert = (id, fields = {}, moves = []) =>
+    call('insertGame', { id, board, current_player: 'X', ...fields }, moves);
+
+  beforeEach(async () => {
+    storage = create();
+    await call('open');
+  });
+
+  afterEach(async () => {
+    await call('close');
+  });
+
+  it('should read back a new game with column defaults and player names', async () => {
+    const playerId = await call('findOrCreatePlayer', 'Alice');
+    expect(await call('findOrCreatePlayer', 'Alice')).toBe(playerId);
+
+    await insert('g1', { x_player_id: playerId, ranked: false });
+    const game = await call('getGame', 'g1');
+
+    expect(game).toMatchObject({
+      id: 'g1',
+      current_player: 'X',
+      winner: null,
+      is_draw: 0,
+      ranked: 0,
+      board_size: 3,
+      version: 0,
+      x_player_name: 'Alice',
+      o_player_name: null
+    });
+    expect(await call('getGame', 'missing')).toBeUndefined();
+  });
+
+  it('should only update a game at the expected version', async () => {
+    await insert('g1');
+
+    expect(await call('updateGame', 'g1', { hints_x: 1 }, { version: 0 })).toBe(1);
+    expect(await call('updateGame', 'g1', { hints_x: 2 }, { version: 0 })).toBeNull();
+    expect((await call('getGame', 'g1')).hints_x).toBe(1);
+  });
+
+  it('should leave finished games alone when asked for unfinished ones', async () => {
+    await insert('g1', { winner: 'X' });
+
+    expect(await call('updateGame', 'g1', { end_reason: 'board_win' }, { unfinished: true })).toBeNull();
+    expect(await call('updateGame', 'g1', { end_reason: 'board_win' }, {})).toBe(1);
+  });
+
+  it('should record moves with the game and take them back together', async () => {
+    await insert('g1');
+
+    const version = await call('recordMove', 'g1', 0, { current_player: 'O' }, { player: 'X', position: 4, remaining_ms: 5000 });
+    expect(version).toBe(1);
+    expect(await call('recordMove', 'g1', 0, { current_player: 'X' }, { player: 'O', position: 0 })).toBeNull();
+    await call('recordMove', 'g1', 1, { current_player: 'X' }, { player: 'O', position: 0 });
+
+    const moves = await call('listMoves', 'g1');
+    expect(moves.map(move => [move.player, move.position, move.remaining_ms])).toEqual([['X', 4, 5000], ['O', 0, null]]);
+
+    expect(await call('takeBack', 'g1', 2, { current_player: 'X' }, moves[0].id)).toBe(3);
+    expect(await call('listMoves', 'g1')).toEqual([]);
+    expect((await call('getGame', 'g1')).current_player).toBe('X');
+  });
+
+  it('should refuse a seat that is already claimed', async () => {
+    await insert('g1');
+
+    expect(await call('claimSeats', 'g1', ['X'], 'hash-a')).toBe(true);
+    expect(await call('claimSeats', 'g1', ['X', 'O'], 'hash-b')).toBe(false);
+    expect(await call('listSeats', 'g1')).toEqual([{ seat: 'X', token_hash: 'hash-a' }]);
+  });
+
+  it('should filter, sort and page the game list', async () => {
+    const alice = await call('findOrCreatePlayer', 'Alice');
+    await insert('a', { x_player_id: alice, winner: 'X', created_at: '2024-01-01 00:00:00' }, [{ player: 'X', position: 0 }]);
+    await insert('b', { created_at: '2024-01-02 00:00:00' });
+    await insert('c', { end_reason: 'abandoned', created_at: '2024-01-03 00:00:00' });
+
+    const all = await call('listGames', { filters: {}, sort: 'created_at', order: 'desc', after: null, limit: 10 });
+    expect(all.total).toBe(3);
+    expect(all.games.map(game => game.id)).toEqual(['c', 'b', 'a']);
+    expect(all.games[2]).toMatchObject({ total_moves: 1, move_history: [{ player: 'X', position: 0 }] });
+
+    const playing = await call('listGames', { filters: { statuses: ['in_progress', 'won'] }, sort: 'created_at', order: 'asc', after: null, limit: 1 });
+    expect(playing.total).toBe(2);
+    expect(playing.games.map(game => game.id)).toEqual(['a']);
+
+    const next = await call('listGames', {
+      filters: { statuses: ['in_progress', 'won'] },
+      sort: 'created_at',
+      order: 'asc',
+      after: { value: playing.games[0].created_at, id: 'a' },
+      limit: 1
+    });
+    expect(next.games.map(game => game.id)).toEqual(['b']);
+
+    const won = await call('listGames', { filters: { winnerName: 'Alice', minMoves: 1 }, sort: 'total_moves', order: 'desc', after: null, limit: 10 });
+    expect(won.games.map(game => game.id)).toEqual(['a']);
+  });
+
+  it('should abandon idle games and purge the ones without moves', async () => {
+    await insert('idle', { created_at: '2024-01-01 00:00:00' });
+    // A move just now keeps an old game active
+    await insert('played', { created_at: '2024-01-01 00:00:00' }, [{ player: 'X', position: 0 }]);
+    await insert('fresh');
+    const cutoff = '2025-01-01 00:00:00';
+
+    expect((await call('listIdleGames', cutoff)).map(game => game.id)).toEqual(['idle']);
+    expect(await call('abandonIdleGames', cutoff)).toBe(1);
+    expect((await call('getGame', 'idle')).end_reason).toBe('abandoned');
+    await call('updateGame', 'played', { end_reason: 'abandoned' }, {});
+
+    // Nothing was abandoned before the first cutoff; games with moves are kept
+    expect(await call('purgeAbandonedGames', '2000-01-01 00:00:00')).toBe(0);
+    expect(await call('purgeAbandonedGames', '2999-01-01 00:00:00')).toBe(1);
+    expect(await call('getGame', 'idle')).toBeUndefined();
+    expect(await call('getGame', 'played')).toBeDefined();
+  });
+
+  it('should claim an idempotency key once until it expires', async () => {
+    const cutoff = '2000-01-01 00:00:00';
+    const later = '2999-01-01 00:00:00';
+    const claim = (scope, hash, pendingCutoff = cutoff) => call('claimIdempotencyKey', scope, 'k1', hash, cutoff, pendingCutoff);
+
+    expect(await claim('POST /api/games', 'hash')).toBeNull();
+    expect(await claim('POST /api/games', 'hash'))
+      .toEqual({ request_hash: 'hash', status: null, response: null });
+    expect(await claim('POST /api/other', 'hash')).toBeNull();
+
+    await call('saveIdempotentResponse', 'POST /api/games', 'k1', 201, '{"id":"g1"}');
+    expect(await claim('POST /api/games', 'other'))
+      .toEqual({ request_hash: 'hash', status: 201, response: '{"id":"g1"}' });
+
+    // A claim that never got a response can be taken over; a response is kept
+    expect(await claim('POST /api/other', 'retry', later)).toBeNull();
+    expect(await claim('POST /api/other', 'retry')).toEqual({ request_hash: 'retry', status: null, response: null });
+    expect(await claim('POST /api/games', 'other', later)).toMatchObject({ status: 201 });
+
+    await call('releaseIdempotencyKey', 'POST /api/other', 'k1');
+    expect(await claim('POST /api/other', 'hash')).toBeNull();
+
+    // Claimed before a later cutoff, so expired
+    expect(await call('claimIdempotencyKey', 'POST /api/games', 'k1', 'new', later, later)).toBeNull();
+    expect(await call('purgeIdempotencyKeys', later)).toBe(2);
+  });
+
+  it('should keep users unique by name and sessions until they expire', async () => {
+    const id = await call('createUser', 'Alice', 'scrypt$salt$hash');
+    expect(await call('createUser', 'alice', 'scrypt$other$hash')).toBeNull();
+    expect(await call('findUser', 'ALICE')).toEqual({ id, username: 'Alice', password_hash: 'scrypt$salt$hash' });
+    expect(await call('findUser', 'bob')).toBeUndefined();
+
+    await call('createSession', 'token-hash', id, '2030-01-01 00:00:00');
+    expect(await call('findSession', 'token-hash', '2029-12-31 00:00:00')).toEqual({ id, username: 'Alice' });
+    expect(await call('findSession', 'token-hash', '2030-01-02 00:00:00')).toBeUndefined();
+
+    await call('createSession', 'other-hash', id, '2030-01-01 00:00:00');
+    await call('deleteSession', 'other-hash');
+    expect(await call('findSession', 'other-hash', '2029-12-31 00:00:00')).toBeUndefined();
+    expect(await call('purgeSessions', '2030-01-02 00:00:00')).toBe(1);
+
+    await insert('owned', { owner_id: id });
+    await insert('guest');
+    const mine = await call('listGames', { filters: { ownerId: id }, sort: 'created_at', order: 'asc', after: null, limit: 10 });
+    expect(mine.games.map(game => game.id)).toEqual(['owned']);
+  });
+
+  it('should keep ratings, rating history and stats per player', async () => {
+    const alice = await call('findOrCreatePlayer', 'Alice');
+    const bob = await call('findOrCreatePlayer', 'Bob');
+    await insert('g1');
+
+    await call('recordRatingChange', alice, 'g1', 16);
+    await call('recordRatingChange', bob, 'g1', -16);
+
+    const rated = await call('listRatedPlayers', 1, 0);
+    expect(rated.total).toBe(2);
+    expect(rated.players).toEqual([{ id: alice, name: 'Alice', rating: 1516, rated_games: 1 }]);
+    expect(await call('listRatingChanges', [bob])).toEqual([{ player_id: bob, change: -16 }]);
+
+    // Changes from games ending at the same time add up
+    await insert('g2');
+    await insert('g3');
+    await Promise.all([call('recordRatingChange', bob, 'g2', 10), call('recordRatingChange', bob, 'g3', 5)]);
+    expect(await call('listRatingChanges', [bob])).toEqual(expect.arrayContaining([
+      { player_id: bob, change: 10 },
+      { player_id: bob, change: 5 }
+    ]));
+    expect((await call('getPlayers', [bob]))[0]).toMatchObject({ rating: 1499, rated_games: 3 });
+
+    await call('recordResult', alice, ['wins', 'wins_as_x']);
+    await call('recordResult', alice, ['draws', 'draws_as_x']);
+    await call('recordResult', bob, ['losses', 'losses_as_o']);
+
+    const stats = await call('listStats', null);
+    expect(stats.map(row => row.player_name)).toEqual(['Alice', 'Bob']);
+    expect(stats[0]).toMatchObject({ wins: 1, draws: 1, wins_as_x: 1, total_games: 2 });
+    expect(await call('listStats', 'Bob')).toEqual([expect.objectContaining({ losses: 1, total_games: 1 })]);
+  });
+});
+
+describe('SQLite transactions', () => {
+  let storage;
+
+  const call = (method, ...args) => new Promise((resolve, reject) => {
+    storage[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+
+  beforeEach(async () => {
+    storage = sqliteStorage.createStorage(':memory:');
+    await call('open');
+  });
+
+  afterEach(async () => {
+    await call('close');
+  });
+
+  it('should keep writes made while a transaction is open out of its rollback', async () => {
+    const userId = await call('createUser', 'Alice', 'scrypt$salt$hash');
+    await call('insertGame', { id: 'g1', board: JSON.stringify(Array(9).fill('')), current_player: 'X' }, []);
+
+    // The move has no player, so its transaction fails after changing the
+    // game; the other writes are made before it gets there
+    const failed = call('recordMove', 'g1', 0, { current_player: 'O' }, { player: null, position: 4 });
+    const written = Promise.all([
+      call('createSession', 'token-hash', userId, '2030-01-01 00:00:00'),
+      call('claimSeats', 'g1', ['X'], 'seat-hash'),
+      call('updateGame', 'g1', { hints_x: 1 }, {})
+    ]);
+
+    await expect(failed).rejects.toThrow(/NOT NULL/);
+    await written;
+
+    expect(await call('findSession', 'token-hash', '2029-12-31 00:00:00')).toEqual({ id: userId, username: 'Alice' });
+    expect(await call('listSeats', 'g1')).toEqual([{ seat: 'X', token_hash: 'seat-hash' }]);
+    expect(await call('getGame', 'g1')).toMatchObject({ current_player: 'X', hints_x: 1, version: 1 });
+  });
+});
+
+describe('Storage selection', () => {
+  it('should refuse an unknown backend', () => {
+    expect(() => createStorage('postgres')).toThrow('Unknown storage "postgres"; use sqlite or memory');
+  });
+});
@@ -0,0 +1,53 @@
+const { validate } = require('../lib/validation');
+
+describe('Schema validation', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 5 },
+      size: { type: 'integer', minimum: 3, maximum: 15 },
+      side: { type: ['string', 'null'], enum: ['X', 'O', null] },
+      cells: { type: 'array', items: { type: 'string', enum: ['', 'X', 'O'] }, maxItems: 3 },
+      code: { type: 'string', pattern: '^[a-z]+$', errorMessage: 'Code must be lowercase letters' }
+    },
+    required: ['name'],
+    additionalProperties: false
+  };
+
+  it('should accept valid values', () => {
+    expect(validate(schema, { name: 'ann', size: 3, side: null, cells: ['', 'X'], code: 'abc' })).toEqual([]);
+  });
+
+  it('should report each problem with its field', () => {
+    expect(validate(schema, { size: 2.5, side: 'Z', cells: ['X', 'Y'], extra: 1 }, { name: 'body' })).toEqual([
+      { field: 'name', message: 'name is required' },
+      { field: 'size', message: 'size must be an integer' },
+      { field: 'side', message: 'side must be one of "X", "O", null' },
+      { field: 'cells.1', message: 'cells.1 must be one of "", "X", "O"' },
+      { field: 'extra', message: 'extra is not allowed' }
+    ]);
+  });
+
+  it('should check ranges, lengths and patterns', () => {
+    expect(validate(schema, { name: '', size: 16, cells: ['', '', '', ''] })).toEqual([
+      { field: 'name', message: 'name must not be empty' },
+      { field: 'size', message: 'size must be at most 15' },
+      { field: 'cells', message: 'cells must have at most 3 items' }
+    ]);
+    expect(validate(schema, { name: 'toolong', code: 'ABC' })).toEqual([
+      { field: 'name', message: 'name must be at most 5 characters' },
+      { field: 'code', message: 'Code must be lowercase letters' }
+    ]);
+  });
+
+  it('should name the whole value when it has the wrong type', () => {
+    expect(validate(schema, 'text', { name: 'body' })).toEqual([{ field: '', message: 'body must be an object' }]);
+  });
+
+  it('should read query strings as numbers and booleans when asked to', () => {
+    const query = { type: 'object', properties: { limit: { type: 'integer', minimum: 1 }, ranked: { type: 'boolean' } } };
+    expect(validate(query, { limit: '10', ranked: 'true' }, { coerce: true })).toEqual([]);
+    expect(validate(query, { limit: '0' }, { coerce: true })).toEqual([{ field: 'limit', message: 'limit must be at least 1' }]);
+    expect(validate(query, { limit: '10' })).toEqual([{ field: 'limit', message: 'limit must be an integer' }]);
+  });
+});